@@ -1,30 +1,135 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useDeferredValue } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
 import { 
-    getFirestore, 
-    collection, 
-    query, 
-    where, 
+    getAuth, 
+    signInAnonymously, 
+    signInWithCustomToken, 
+    signInWithEmailAndPassword,
+    signOut,
+    onAuthStateChanged,
+    linkWithCredential,
+    EmailAuthProvider,
+    connectAuthEmulator,
+} from 'firebase/auth';
+import { 
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    connectFirestoreEmulator,
     onSnapshot, 
-    addDoc, 
-    updateDoc,
-    deleteDoc,
     doc,
     Timestamp,
+    GeoPoint,
 } from 'firebase/firestore';
-import { Calendar, AlertCircle, Loader, Plus, X, User, MapPin, Link, Zap, Heart, Search, CheckCircle, Trash2 } from 'lucide-react';
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { MapContainer, TileLayer, CircleMarker, Circle, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Routes, Route, Link as RouterLink, useParams, useSearchParams, useLocation, useNavigate } from 'react-router-dom';
+import { Calendar, AlertCircle, Loader, Plus, X, User, MapPin, Link, Zap, Heart, Search, CheckCircle, Trash2, Shield, LogIn, LogOut, XCircle, EyeOff, History, Repeat, Archive, CalendarPlus, Rss, Upload, LayoutGrid, CalendarDays, Pencil, Inbox, Flag, List, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, Tags, Accessibility, Hand, GlassWater, DollarSign, Users, Lock, Map as MapIcon, LocateFixed, WifiOff, Building2, Mail, Bookmark } from 'lucide-react';
+import { buildCalendar, parseCalendar } from './functions/ical.js';
+import { checkEventLink, REPORT_REASONS } from './functions/screening.js';
+import { TAG_GROUPS, MAX_TAG_LENGTH, EVENT_DETAIL_FIELDS, normalizeTaxonomy, getActiveTags, matchTags, getDetailLabel } from './functions/taxonomy.js';
+import {
+    EVENT_TIME_ZONE, pad2, toJsDate, getZonedParts, zonedTimeToDate, toDateKey, toTimeKey, addDaysToKey, getKeyWeekday,
+    getEventStart, getEventEnd, RECURRENCE_WINDOW_DAYS, expandRecurrence, distanceInMiles, getEventCoordinates,
+    EVENT_TYPES, SEARCH_PARAM, FILTER_PARAMS, readFilterParams, writeFilterParams, applyEventFilters, listUpcomingEvents, getEventPath,
+    getOrganizerPath,
+} from './functions/listing.js';
+import { normalizeText, tokenize, maxTypos, editDistance, findLikelyDuplicates } from './functions/duplicates.js';
+import { createFirestoreEventRepository, createLocalEventRepository, createSubmissionQueue, isSubmitterError } from './eventRepository.js';
 
 // --- GLOBAL VARIABLES (Provided by the Canvas Environment) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Set to true to point the app at the local Firebase emulators (see firebase.json)
+const useEmulators = typeof __use_firebase_emulators !== 'undefined' ? __use_firebase_emulators : false;
+// URL of the deployed calendarFeed function (functions/index.js); subscribing is hidden without it
+const calendarFeedUrl = typeof __calendar_feed_url !== 'undefined' ? __calendar_feed_url : null;
+// URL of the deployed eventsFeed function; the RSS/JSON links and the embed widget need it
+const eventsFeedUrl = typeof __events_feed_url !== 'undefined' ? __events_feed_url : null;
+// Address lookup backend: 'openstreetmap' or the offline 'stub' (the default with emulators)
+const geocodingProvider = typeof __geocoding_provider !== 'undefined' ? __geocoding_provider : (useEmulators ? 'stub' : 'openstreetmap');
+
+// Where the quick-exit button and double-Escape shortcut go: an everyday site to stand in for this page
+const QUICK_EXIT_URL = 'https://weather.com/';
+
+// Hides the page at once and swaps it for QUICK_EXIT_URL. Only the current history entry is replaced: pages
+// visited earlier in the app stay in the tab's history, so Back can still lead to them.
+const quickExit = () => {
+    document.documentElement.style.visibility = 'hidden';
+    document.title = '';
+    window.location.replace(QUICK_EXIT_URL);
+};
+
+// Roles stored in artifacts/{appId}/public/data/moderators/{uid}. Must match firestore.rules.
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// The user when there's no Firebase project and events are kept in the browser (see eventRepository.js).
+// They moderate too, so the review queue can be tried out.
+const LOCAL_USER_ID = 'local-user';
+
+// When the upcoming events last came from the server, for the offline banner across reloads
+const EVENTS_SYNCED_AT_KEY = 'houston-community-hub:eventsSyncedAt';
+// A cached first answer is normal while connecting; the listing only counts as offline if it lasts this long
+const CACHED_EVENTS_GRACE_MS = 5000;
+
+// Chip colors for each tag group in functions/taxonomy.js
+const TAG_GROUP_STYLES = {
+    communityFocus: 'bg-yellow-200 text-gray-800 border-yellow-300',
+    categories: 'bg-teal-100 text-teal-900 border-teal-300',
+};
+
+// No tags selected in any group, i.e. no tag filtering
+const EMPTY_TAG_SELECTION = Object.fromEntries(TAG_GROUPS.map(group => [group.key, []]));
+
+// Icons for the event details in functions/taxonomy.js: one per accessibility option, one each for cost and age
+const DETAIL_ICONS = {
+    wheelchair: Accessibility,
+    asl: Hand,
+    sober: GlassWater,
+    cost: DollarSign,
+    ageRestriction: Users,
+};
+
+// Details as a new event starts out
+const EMPTY_EVENT_DETAILS = Object.fromEntries(EVENT_DETAIL_FIELDS.map(field => [field.key, field.multiple ? [] : null]));
+
+// An event's details as { id, Icon, label } badges, in field and option order
+const getEventDetailBadges = (event) => EVENT_DETAIL_FIELDS.flatMap(field => (
+    [event[field.key]].flat().filter(Boolean).map(id => ({
+        id: `${field.key}:${id}`,
+        Icon: DETAIL_ICONS[id] || DETAIL_ICONS[field.key],
+        label: getDetailLabel(field.key, id),
+    }))
+));
+
+// Required-field rules shared by AddEventForm and the moderator importer
+const REQUIRED_EVENT_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'description', label: 'Description' },
+    { key: 'date', label: 'Date' },
+    { key: 'location', label: 'Location' },
+    { key: 'communityFocus', label: 'Community Focus' },
+];
+
+// Labels of required fields that are empty on an event (or form values)
+const getMissingRequiredFields = (event) => REQUIRED_EVENT_FIELDS
+    .filter(({ key }) => Array.isArray(event[key]) ? event[key].length === 0 : !event[key])
+    .map(({ label }) => label);
+
+// --- Date & Time Formatting ---
+// Events are entered and displayed in Houston time regardless of the viewer's device zone; the time zone
+// helpers they're built on are in functions/listing.js.
+const DEFAULT_EVENT_HOURS = 2;
 
 // Helper function to format the date
 const formatDate = (timestamp) => {
     if (!timestamp) return 'Date TBD';
-    const date = timestamp instanceof Timestamp ? timestamp.toDate() : new Date(timestamp);
+    const date = toJsDate(timestamp);
     return date.toLocaleDateString('en-US', {
+        timeZone: EVENT_TIME_ZONE,
         weekday: 'short', 
         month: 'short', 
         day: 'numeric', 
@@ -32,22 +137,803 @@ const formatDate = (timestamp) => {
     });
 };
 
-const EventCard = ({ event }) => {
+const shortDayFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+// "Sat Jun 27" (with the year only when it isn't this year)
+const formatShortDay = (date) => {
+    const parts = {};
+    shortDayFormatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    const label = `${parts.weekday} ${parts.month} ${parts.day}`;
+    return Number(parts.year) === getZonedParts(new Date()).year ? label : `${label}, ${parts.year}`;
+};
+
+// "2 PM" or "7:30 PM"
+const formatTime = (date) => date.toLocaleTimeString('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+}).replace(':00', '');
+
+// Human-readable span of an event, e.g. "Sat Jun 27, 2 PM – Sun Jun 28, 10 PM"
+const formatEventRange = (event) => {
+    if (!event.date) return 'Date TBD';
+    const start = getEventStart(event);
+
+    // Older submissions only have a free-text time
+    if (!event.endDate) return `${formatDate(event.date)} at ${event.time || 'Time TBD'}`;
+
+    const end = getEventEnd(event);
+    if (event.allDay) {
+        const lastDay = new Date(end.getTime() - 1); // end is exclusive midnight
+        return toDateKey(start) === toDateKey(lastDay)
+            ? `${formatShortDay(start)} (All day)`
+            : `${formatShortDay(start)} – ${formatShortDay(lastDay)} (All day)`;
+    }
+    if (toDateKey(start) === toDateKey(end)) {
+        return `${formatShortDay(start)}, ${formatTime(start)} – ${formatTime(end)}`;
+    }
+    return `${formatShortDay(start)}, ${formatTime(start)} – ${formatShortDay(end)}, ${formatTime(end)}`;
+};
+
+// --- Recurrence Helpers ---
+// A recurring event stores one `recurrence` rule on its document:
+// { frequency: 'weekly' | 'monthly', interval, weekday, weekdayPosition, until, exceptions: ['YYYY-MM-DD'] }
+// The listing expands the rule into individual occurrences (expandRecurrence in functions/listing.js); cancelled
+// dates go in `exceptions`. All recurrence math is done on Houston calendar days so occurrences keep their local
+// start time across DST.
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAY_POSITIONS = [
+    { value: 1, label: '1st' },
+    { value: 2, label: '2nd' },
+    { value: 3, label: '3rd' },
+    { value: 4, label: '4th' },
+    { value: -1, label: 'Last' },
+];
+
+// Which weekday of its month a day falls on (1-4, or -1 for the last one)
+const getWeekdayPosition = (dateKey) => {
+    const position = Math.ceil(Number(dateKey.split('-')[2]) / 7);
+    return position > 4 ? -1 : position;
+};
+
+const describeRecurrence = (rule) => {
+    if (!rule) return '';
+    const interval = rule.interval || 1;
+    if (rule.frequency === 'weekly') {
+        return interval === 1 ? `Every ${WEEKDAY_NAMES[rule.weekday]}` : `Every ${interval} weeks on ${WEEKDAY_NAMES[rule.weekday]}`;
+    }
+    const position = WEEKDAY_POSITIONS.find(p => p.value === rule.weekdayPosition);
+    const every = interval === 1 ? 'Monthly' : `Every ${interval} months`;
+    return `${every} on the ${position ? position.label.toLowerCase() : ''} ${WEEKDAY_NAMES[rule.weekday]}`;
+};
+
+// Sentinel `endsAt` for series with no end date, so they always match the upcoming query
+const SERIES_OPEN_ENDED = new Date('9999-12-31T00:00:00Z');
+
+// The instant an event (or, for a series, its last occurrence) is over.
+// Stored on the document as `endsAt` so upcoming/past can be split by a Firestore query.
+const computeEndsAt = (event) => {
+    const rule = event.recurrence;
+    if (!rule) return getEventEnd(event);
+    if (!rule.until) return SERIES_OPEN_ENDED;
+    const start = getEventStart(event);
+    const untilKey = toDateKey(toJsDate(rule.until));
+    return new Date(zonedTimeToDate(untilKey, toTimeKey(start)).getTime() + (getEventEnd(event) - start));
+};
+
+// --- Search Helpers ---
+// An in-memory inverted index over the loaded events. Every query term must match (exact, prefix,
+// or within a small edit distance); "quoted phrases" must appear word-for-word in one field.
+
+const SEARCH_FIELDS = [
+    { key: 'title', weight: 3 },
+    { key: 'communityFocus', weight: 2 },
+    { key: 'categories', weight: 2 },
+    { key: 'location', weight: 2 },
+    { key: 'description', weight: 1 },
+];
+
+const getFieldText = (event, key) => Array.isArray(event[key]) ? event[key].join(' ') : (event[key] || '');
+
+const buildSearchIndex = (events) => {
+    const postings = new Map(); // token -> Map(eventId -> best field weight)
+    const fieldTexts = new Map(); // eventId -> { field: ' normalized tokens ' } for phrase matching
+
+    events.forEach(event => {
+        const texts = {};
+        SEARCH_FIELDS.forEach(({ key, weight }) => {
+            const tokens = tokenize(getFieldText(event, key));
+            texts[key] = ` ${tokens.join(' ')} `;
+            tokens.forEach(token => {
+                if (!postings.has(token)) postings.set(token, new Map());
+                const docs = postings.get(token);
+                docs.set(event.id, Math.max(docs.get(event.id) || 0, weight));
+            });
+        });
+        fieldTexts.set(event.id, texts);
+    });
+
+    return { postings, fieldTexts, vocabulary: [...postings.keys()] };
+};
+
+// Splits a query into "quoted phrases" and single terms
+const parseSearchQuery = (queryText) => {
+    const phrases = [];
+    const rest = queryText.replace(/"([^"]*)"?/g, (_, phrase) => {
+        const tokens = tokenize(phrase);
+        if (tokens.length > 0) phrases.push(tokens);
+        return ' ';
+    });
+    return { phrases, terms: tokenize(rest) };
+};
+
+// Vocabulary tokens a query term matches, scored exact > prefix > typo
+const expandSearchTerm = (index, term) => {
+    const typos = maxTypos(term);
+    const matches = [];
+    index.vocabulary.forEach(token => {
+        if (token === term) {
+            matches.push({ token, quality: 1 });
+        } else if (term.length >= 2 && token.startsWith(term)) {
+            matches.push({ token, quality: 0.8 });
+        } else if (typos > 0 && Math.abs(token.length - term.length) <= typos && editDistance(term, token, typos) <= typos) {
+            matches.push({ token, quality: 0.6 });
+        }
+    });
+    return matches;
+};
+
+// Events matching every term and phrase, as Map(eventId -> { score, highlights }).
+// Returns null for an empty query so callers can skip filtering.
+const searchEvents = (index, queryText) => {
+    const { phrases, terms } = parseSearchQuery(queryText || '');
+    if (phrases.length === 0 && terms.length === 0) return null;
+
+    let results = null;
+    const intersect = (matches) => {
+        if (results === null) {
+            results = matches;
+            return;
+        }
+        results.forEach((result, id) => {
+            const match = matches.get(id);
+            if (!match) {
+                results.delete(id);
+            } else {
+                result.score += match.score;
+                result.highlights.push(...match.highlights);
+            }
+        });
+    };
+
+    terms.forEach(term => {
+        const matches = new Map();
+        expandSearchTerm(index, term).forEach(({ token, quality }) => {
+            index.postings.get(token).forEach((weight, id) => {
+                const match = matches.get(id) || { score: 0, highlights: [] };
+                match.score = Math.max(match.score, weight * quality);
+                match.highlights.push(token);
+                matches.set(id, match);
+            });
+        });
+        intersect(matches);
+    });
+
+    phrases.forEach(tokens => {
+        const needle = ` ${tokens.join(' ')} `;
+        const matches = new Map();
+        const candidates = results ? [...results.keys()] : [...index.fieldTexts.keys()];
+        candidates.forEach(id => {
+            const texts = index.fieldTexts.get(id);
+            const field = SEARCH_FIELDS.find(({ key }) => texts[key].includes(needle));
+            if (field) matches.set(id, { score: field.weight * 1.5, highlights: [tokens.join(' ')] });
+        });
+        intersect(matches);
+    });
+
+    return results;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same length as the input (one char per char) so match positions map back onto the original text
+const normalizeForHighlight = (text) => Array.from(text, char => {
+    const normalized = normalizeText(char);
+    return normalized.length === 1 ? normalized : char.toLowerCase().charAt(0) || char;
+}).join('');
+
+// Wraps search matches in <mark>. `highlights` are normalized tokens or space-separated phrases.
+const HighlightedText = ({ text, highlights }) => {
+    if (!text || !highlights || highlights.length === 0) return text || null;
+
+    const alternatives = [...new Set(highlights)]
+        .map(h => h.split(' ').map(escapeRegExp).join('[^a-z0-9]+'))
+        .sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(?<![a-z0-9])(?:${alternatives.join('|')})(?![a-z0-9])`, 'g');
+    const normalized = normalizeForHighlight(text);
+    // Array.from splits by code point, so map back onto the original the same way
+    const chars = Array.from(text);
+
+    const pieces = [];
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+        pieces.push(chars.slice(lastIndex, match.index).join(''));
+        pieces.push(
+            <mark key={match.index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+                {chars.slice(match.index, match.index + match[0].length).join('')}
+            </mark>
+        );
+        lastIndex = match.index + match[0].length;
+    }
+    pieces.push(chars.slice(lastIndex).join(''));
+    return <>{pieces}</>;
+};
+
+// --- Geocoding & Distance ---
+// In-Person events carry `coordinates` (a Firestore GeoPoint) picked from address autocomplete.
+// Geocoding goes through a provider so development and tests can use the local stub instead of the network.
+
+const HOUSTON_CENTER = { lat: 29.7604, lng: -95.3698 };
+// Greater Houston bounding box (west, north, east, south) used to keep lookups local
+const HOUSTON_BOUNDS = { west: -96.2, north: 30.4, east: -94.6, south: 29.2 };
+
+// Neighborhoods and nearby cities, used by the "near" filter and the stub geocoder
+const HOUSTON_AREAS = [
+    { label: 'Montrose', lat: 29.7436, lng: -95.3901 },
+    { label: 'Midtown', lat: 29.7405, lng: -95.3780 },
+    { label: 'Downtown', lat: 29.7604, lng: -95.3698 },
+    { label: 'Third Ward', lat: 29.7300, lng: -95.3600 },
+    { label: 'EaDo', lat: 29.7510, lng: -95.3490 },
+    { label: 'The Heights', lat: 29.7980, lng: -95.3980 },
+    { label: 'Museum District', lat: 29.7230, lng: -95.3900 },
+    { label: 'Rice Village', lat: 29.7160, lng: -95.4140 },
+    { label: 'Galleria/Uptown', lat: 29.7390, lng: -95.4620 },
+    { label: 'Bellaire', lat: 29.7058, lng: -95.4588 },
+    { label: 'Alief', lat: 29.7110, lng: -95.5960 },
+    { label: 'Katy', lat: 29.7858, lng: -95.8245 },
+    { label: 'Cypress', lat: 29.9691, lng: -95.6972 },
+    { label: 'Sugar Land', lat: 29.6197, lng: -95.6349 },
+    { label: 'Pearland', lat: 29.5636, lng: -95.2860 },
+    { label: 'Pasadena', lat: 29.6911, lng: -95.2091 },
+    { label: 'Clear Lake', lat: 29.5580, lng: -95.1230 },
+    { label: 'Baytown', lat: 29.7355, lng: -94.9774 },
+    { label: 'Humble', lat: 29.9988, lng: -95.2622 },
+    { label: 'Spring', lat: 30.0799, lng: -95.4172 },
+    { label: 'The Woodlands', lat: 30.1658, lng: -95.4613 },
+    { label: 'Galveston', lat: 29.3013, lng: -94.7977 },
+];
+
+const RADIUS_OPTIONS_MILES = [2, 5, 10, 25, 50];
+
+// Suggestions already fetched for a typed text, so editing back and forth doesn't repeat requests
+const AUTOCOMPLETE_CACHE_SIZE = 100;
+const autocompleteCache = new Map();
+
+const withAutocompleteCache = (autocomplete) => async (text) => {
+    const key = text.trim().toLowerCase();
+    if (autocompleteCache.has(key)) return autocompleteCache.get(key);
+    const results = await autocomplete(text);
+    if (autocompleteCache.size >= AUTOCOMPLETE_CACHE_SIZE) autocompleteCache.delete(autocompleteCache.keys().next().value);
+    autocompleteCache.set(key, results);
+    return results;
+};
+
+// "Name, 123 Street, City, State" from a Photon result's properties, skipping missing and repeated parts
+const formatPhotonLabel = ({ name, housenumber, street, city, state }) => [
+    name,
+    street && (housenumber ? `${housenumber} ${street}` : street),
+    city,
+    state,
+].filter((part, i, parts) => part && parts.indexOf(part) === i).join(', ');
+
+// Every provider implements autocomplete(text) -> Promise<[{ label, lat, lng }]> for suggestions while typing,
+// and lookup(text) -> Promise<{ label, lat, lng } | null> for one address typed without picking a suggestion
+const GEOCODING_PROVIDERS = {
+    // Offline lookup against HOUSTON_AREAS, for development and tests
+    stub: {
+        autocomplete: async (text) => {
+            const needle = text.trim().toLowerCase();
+            if (!needle) return [];
+            return HOUSTON_AREAS
+                .filter(area => area.label.toLowerCase().includes(needle) || needle.includes(area.label.toLowerCase()))
+                .map(area => ({ label: `${area.label}, Houston, TX`, lat: area.lat, lng: area.lng }));
+        },
+        lookup: async (text) => (await GEOCODING_PROVIDERS.stub.autocomplete(text))[0] || null,
+    },
+    // OpenStreetMap data, limited to the Houston metro. Suggestions come from Photon, which is built for
+    // search-as-you-type; Nominatim's usage policy forbids autocomplete, so it's only asked once, on submit.
+    openstreetmap: {
+        autocomplete: withAutocompleteCache(async (text) => {
+            if (text.trim().length < 3) return [];
+            const { west, north, east, south } = HOUSTON_BOUNDS;
+            const params = new URLSearchParams({
+                q: text,
+                limit: '5',
+                lang: 'en',
+                bbox: `${west},${south},${east},${north}`,
+            });
+            const response = await fetch(`https://photon.komoot.io/api/?${params}`);
+            if (!response.ok) throw new Error(`Address suggestions failed with status ${response.status}`);
+            const { features } = await response.json();
+            return features.map(({ properties, geometry }) => ({
+                label: formatPhotonLabel(properties),
+                lat: geometry.coordinates[1],
+                lng: geometry.coordinates[0],
+            }));
+        }),
+        lookup: async (text) => {
+            if (text.trim().length < 3) return null;
+            const { west, north, east, south } = HOUSTON_BOUNDS;
+            const params = new URLSearchParams({
+                q: text,
+                format: 'jsonv2',
+                limit: '1',
+                countrycodes: 'us',
+                viewbox: `${west},${north},${east},${south}`,
+                bounded: '1',
+            });
+            const response = await fetch(`https://nominatim.openstreetmap.org/search?${params}`, {
+                headers: { 'Accept-Language': 'en' },
+            });
+            if (!response.ok) throw new Error(`Geocoding failed with status ${response.status}`);
+            const [result] = await response.json();
+            return result ? { label: result.display_name, lat: Number(result.lat), lng: Number(result.lon) } : null;
+        },
+    },
+};
+
+const geocoder = GEOCODING_PROVIDERS[geocodingProvider] || GEOCODING_PROVIDERS.stub;
+
+// Location text input with address suggestions; reports the chosen { lat, lng } (or null once edited)
+const LocationAutocomplete = ({ value, onChange, onSelectCoordinates, className }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [lookupText, setLookupText] = useState('');
+
+    // Debounce lookups so we don't hit the provider on every keystroke
+    useEffect(() => {
+        if (!lookupText) {
+            setSuggestions([]);
+            return;
+        }
+        let cancelled = false;
+        const timeout = setTimeout(async () => {
+            try {
+                const results = await geocoder.autocomplete(lookupText);
+                if (!cancelled) setSuggestions(results);
+            } catch (err) {
+                console.error("Address lookup failed:", err);
+                if (!cancelled) setSuggestions([]);
+            }
+        }, 350);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [lookupText]);
+
+    return (
+        <div className="relative">
+            <input
+                type="text"
+                placeholder="Location (Required) - start typing an address"
+                value={value}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    onSelectCoordinates(null);
+                    setLookupText(e.target.value);
+                    setIsOpen(true);
+                }}
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                className={`w-full ${className}`}
+                required
+            />
+            {isOpen && suggestions.length > 0 && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                    {suggestions.map(suggestion => (
+                        <li key={`${suggestion.lat},${suggestion.lng},${suggestion.label}`}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => {
+                                    onChange(suggestion.label);
+                                    onSelectCoordinates({ lat: suggestion.lat, lng: suggestion.lng });
+                                    setIsOpen(false);
+                                }}
+                                className="w-full text-left px-3 py-2 text-sm hover:bg-purple-50 flex items-start"
+                            >
+                                <MapPin className="w-4 h-4 mr-2 mt-0.5 text-purple-600 shrink-0" />
+                                {suggestion.label}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- Event Images ---
+
+// Event cards are 600x200; images are stored at twice that for sharp high-density screens
+const EVENT_IMAGE_WIDTH = 1200;
+const EVENT_IMAGE_HEIGHT = 400;
+const EVENT_IMAGE_QUALITY = 0.82;
+const MAX_SOURCE_IMAGE_BYTES = 25 * 1024 * 1024;
+
+// Organizer logos are square and shown at up to 128px
+const ORGANIZER_LOGO_SIZE = 256;
+
+// Crops an uploaded photo to the card's 3:1 shape (or `maxWidth` and `aspect`, for logos) and re-encodes it as a
+// JPEG. `focus` (0-1) picks which part of the spare height (or width) to keep. Drawing onto a canvas drops the
+// EXIF block, GPS location included, after applying its rotation.
+const prepareEventImage = async (file, focus = 0.5, { maxWidth = EVENT_IMAGE_WIDTH, aspect = EVENT_IMAGE_WIDTH / EVENT_IMAGE_HEIGHT } = {}) => {
+    if (file.size > MAX_SOURCE_IMAGE_BYTES) throw new Error('That image is over 25MB. Please pick a smaller photo.');
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+        throw new Error("Couldn't read that image. Please use a JPEG, PNG or WebP photo.");
+    }
+
+    const cropWidth = Math.min(bitmap.width, bitmap.height * aspect);
+    const cropHeight = cropWidth / aspect;
+    const width = Math.round(Math.min(maxWidth, cropWidth)); // never upscale small images
+    const height = Math.round(width / aspect);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // JPEG has no transparency
+    context.fillRect(0, 0, width, height);
+    context.drawImage(
+        bitmap,
+        (bitmap.width - cropWidth) * focus, (bitmap.height - cropHeight) * focus, cropWidth, cropHeight,
+        0, 0, width, height
+    );
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error("Couldn't process that image. Please try another."))),
+            'image/jpeg',
+            EVENT_IMAGE_QUALITY
+        );
+    });
+};
+
+// Uploads a prepared image under the uploader's folder (see storage.rules) and returns its download URL.
+// Organizer logos go in `organizerLogos` instead.
+const uploadEventImage = async (storage, userId, blob, folder = 'eventImages') => {
+    const imageRef = storageRef(storage, `artifacts/${appId}/${folder}/${userId}/${crypto.randomUUID()}.jpg`);
+    await uploadBytes(imageRef, blob, { contentType: 'image/jpeg', cacheControl: 'public, max-age=31536000' });
+    return getDownloadURL(imageRef);
+};
+
+// Downloads a single event (or its whole series) as an .ics file
+const downloadEventIcs = (event) => {
+    const blob = new Blob([buildCalendar([event], { name: event.title })], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(event.title || 'event').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event'}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Link to a feed function (calendarFeed or eventsFeed) for the given filters, or null when it isn't deployed
+const buildFeedUrl = (feedUrl, filters, params = {}) => {
+    if (!feedUrl) return null;
+    const url = new URL(feedUrl);
+    url.searchParams.set('app', appId);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    writeFilterParams(url.searchParams, filters);
+    return url.toString();
+};
+
+// <script> tag partner sites paste to show the embed widget (public/embed.js) with the given filters
+const buildEmbedCode = (filters) => {
+    const attributes = [...writeFilterParams(new URLSearchParams(), filters)]
+        .map(([name, value]) => ` data-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}="${value.replace(/"/g, '&quot;')}"`)
+        .join('');
+    return `<script src="${window.location.origin}/embed.js"${attributes} async></script>`;
+};
+
+// --- Address on Request ---
+// Sensitive In-Person events can list only a neighborhood publicly (`locationPrivacy: 'on-request'`). The full
+// address lives in events/{id}/private/location, readable by the organizer, moderators and anyone the organizer
+// approves through events/{id}/accessRequests/{uid} (see firestore.rules). Both are read and written through
+// the event repository.
+
+// The address line of an event shared on request: the address itself for the organizer, moderators and
+// approved visitors, otherwise the state of the viewer's request (or a way to make one)
+const AddressOnRequest = ({ repository, userId, isModerator, isAnonymous = false, onSignIn = null, event }) => {
+    const eventId = event.seriesId || event.id;
+    const isOrganizer = Boolean(userId) && event.submittedBy === userId;
+    const [request, setRequest] = useState(null);
+    const [address, setAddress] = useState('');
+    const [isRequesting, setIsRequesting] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const canSeeAddress = isOrganizer || isModerator || (request !== null && request.status === 'approved');
+
+    useEffect(() => {
+        if (!repository || !userId || isOrganizer || isModerator) return;
+        const unsubscribe = repository.subscribeToAccessRequest(eventId, userId, setRequest, (err) => {
+            console.error("Error listening to address request:", err);
+        });
+        return () => unsubscribe();
+    }, [repository, userId, eventId, isOrganizer, isModerator]);
+
+    useEffect(() => {
+        if (!repository || !canSeeAddress) return;
+        const unsubscribe = repository.subscribeToPrivateLocation(eventId, (privateLocation) => {
+            setAddress(privateLocation ? privateLocation.address : '');
+        }, (err) => {
+            console.error("Error loading the private address:", err);
+        });
+        return () => { unsubscribe(); setAddress(''); };
+    }, [repository, eventId, canSeeAddress]);
+
+    const handleRequest = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await repository.requestAccess(eventId, message.trim(), { userId });
+            setIsRequesting(false);
+        } catch (err) {
+            console.error("Error requesting the address:", err);
+            setError('Could not send your request. Please try again.');
+        }
+    };
+
+    if (canSeeAddress && address) {
+        return (
+            <p className="flex items-center text-gray-800 font-medium">
+                <Lock className="w-4 h-4 mr-2 text-purple-600" />
+                {address}
+                <span className="ml-1 text-xs text-gray-500">(shared privately)</span>
+            </p>
+        );
+    }
+
+    return (
+        <div className="text-xs font-semibold text-gray-600">
+            <p className="flex items-center">
+                <Lock className="w-4 h-4 mr-2 text-purple-600" />
+                {request && request.status === 'pending' ? 'Address requested. The organizer will review your request.'
+                    : request && request.status === 'denied' ? "The organizer hasn't shared the address with you."
+                    : 'Exact address shared on request'}
+            </p>
+            {/* Requests must come from a real account, so organizers know who they're sharing the address with */}
+            {repository && userId && !request && !canSeeAddress && isAnonymous && (
+                onSignIn ? (
+                    <button onClick={onSignIn} className="ml-6 text-purple-700 hover:underline">
+                        Sign in to request the address
+                    </button>
+                ) : (
+                    <p className="ml-6 text-gray-500">Sign in to request the address.</p>
+                )
+            )}
+            {repository && userId && !request && !canSeeAddress && !isAnonymous && !isRequesting && (
+                <button onClick={() => setIsRequesting(true)} className="ml-6 text-purple-700 hover:underline">
+                    Request the address
+                </button>
+            )}
+            {isRequesting && (
+                <form onSubmit={handleRequest} className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+                    <textarea
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        rows="2"
+                        maxLength={500}
+                        required
+                        placeholder="Tell the organizer who you are and how they can reach you"
+                        className="w-full p-2 border border-gray-300 rounded-lg font-normal"
+                    />
+                    {error && <p className="text-red-700">{error}</p>}
+                    <div className="flex space-x-2">
+                        <button type="submit" disabled={!message.trim()} className="bg-purple-500 text-white px-3 py-1 rounded-full hover:bg-purple-600 transition shadow disabled:bg-gray-400">
+                            Send Request
+                        </button>
+                        <button type="button" onClick={() => setIsRequesting(false)} className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full hover:bg-gray-300 transition">
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+// Organizer's list of address requests for one of their events, to approve, deny or later revoke
+const AddressRequests = ({ repository, event }) => {
+    const [requests, setRequests] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeToAccessRequests(event.id, setRequests, (err) => {
+            console.error("Error listening to address requests:", err);
+        });
+        return () => unsubscribe();
+    }, [repository, event.id]);
+
+    const handleDecision = async (request, status) => {
+        setError('');
+        try {
+            await repository.decideAccessRequest(event.id, request.id, status);
+        } catch (err) {
+            console.error("Error updating address request:", err);
+            setError('Could not update the request. Please try again.');
+        }
+    };
+
+    const pending = requests.filter(request => request.status === 'pending');
+    const approved = requests.filter(request => request.status === 'approved');
+
+    return (
+        <div className="mt-3 p-3 bg-white rounded-lg border border-purple-200 text-sm">
+            <p className="font-bold text-gray-700 flex items-center">
+                <Lock className="w-4 h-4 mr-1" /> Address requests
+            </p>
+            {error && <p className="text-red-700 font-semibold">{error}</p>}
+            {pending.length === 0 && approved.length === 0 && (
+                <p className="text-xs text-gray-500">No one has asked for the address yet.</p>
+            )}
+            {pending.map(request => (
+                <div key={request.id} className="mt-2 p-2 bg-yellow-50 rounded-lg">
+                    <p className="text-gray-800 whitespace-pre-wrap">{request.message}</p>
+                    <p className="text-xs text-gray-500">{formatDate(request.createdAt)}</p>
+                    <div className="mt-1 flex gap-2">
+                        <button onClick={() => handleDecision(request, 'approved')} className="text-xs font-semibold text-white px-3 py-1 rounded-full bg-green-500 hover:bg-green-600 transition">
+                            Share Address
+                        </button>
+                        <button onClick={() => handleDecision(request, 'denied')} className="text-xs font-semibold text-gray-700 px-3 py-1 rounded-full bg-gray-200 hover:bg-gray-300 transition">
+                            Deny
+                        </button>
+                    </div>
+                </div>
+            ))}
+            {approved.length > 0 && (
+                <div className="mt-2">
+                    <p className="text-xs font-bold text-gray-600">Shared with:</p>
+                    {approved.map(request => (
+                        <div key={request.id} className="flex items-start justify-between gap-2 text-xs text-gray-700">
+                            <span className="whitespace-pre-wrap">{request.message}</span>
+                            <button onClick={() => handleDecision(request, 'denied')} className="font-semibold text-red-600 hover:underline whitespace-nowrap">
+                                Revoke
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Lets a visitor report a listed event; `onReport(reason, details)` resolves to reportEvent's result
+const ReportEventForm = ({ onReport, onDone }) => {
+    const [reason, setReason] = useState('');
+    const [details, setDetails] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const { alreadyReported } = await onReport(reason, details.trim());
+            onDone(alreadyReported
+                ? "You'd already reported this event, so we updated your report."
+                : 'Thanks for letting us know. A moderator will take a look.');
+        } catch (err) {
+            console.error("Error reporting event:", err);
+            setError(String(err.code).replace(/^functions\//, '') === 'not-found' ? err.message : 'Could not send your report. Please try again.');
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2 text-xs">
+            <p className="font-bold text-gray-700">What's wrong with this listing?</p>
+            {REPORT_REASONS.map(option => (
+                <label key={option.id} className="flex items-center text-gray-700">
+                    <input
+                        type="radio"
+                        name="report-reason"
+                        value={option.id}
+                        checked={reason === option.id}
+                        onChange={() => setReason(option.id)}
+                        className="mr-2"
+                    />
+                    {option.label}
+                </label>
+            ))}
+            <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                rows="2"
+                maxLength={1000}
+                placeholder="Anything moderators should know? (optional)"
+                className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+            {error && <p className="text-red-700 font-semibold">{error}</p>}
+            <div className="flex space-x-2">
+                <button
+                    type="submit"
+                    disabled={!reason || isSubmitting}
+                    className="font-semibold bg-red-500 text-white px-3 py-1 rounded-full hover:bg-red-600 transition shadow disabled:bg-gray-400"
+                >
+                    {isSubmitting ? 'Sending...' : 'Send Report'}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onDone('')}
+                    className="font-semibold bg-gray-200 text-gray-700 px-3 py-1 rounded-full hover:bg-gray-300 transition"
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// `preview` (moderator review) shows the full description without hover effects.
+// `compact` (the embed widget) leaves out the image and opens the event's page in a new tab; `theme`
+// ({ accent, background, text }, any may be missing) recolors the card.
+// `repository` and the viewer (`userId`, `isModerator`) let people request addresses shared on request.
+// `onToggleSaved(event, interested)` shows the "Interested" button, with `isSaved` for the viewer's current choice.
+const EventCard = ({ event, highlights, onCancelOccurrence, onReport, onToggleSaved = null, isSaved = false, repository = null, userId = null, isModerator = false, isAnonymous = false, onSignIn = null, preview = false, compact = false, theme = null }) => {
+    const [isReporting, setIsReporting] = useState(false);
+    const [reportNotice, setReportNotice] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+    const detailBadges = getEventDetailBadges(event);
     const isRemote = event.type === 'Remote';
     const tagColor = isRemote ? 'bg-indigo-600' : 'bg-pink-600';
     const accentColor = isRemote ? 'border-indigo-400' : 'border-pink-400';
     const bgColor = isRemote ? 'bg-white' : 'bg-white';
+    const interestCount = event.interestCount || 0;
+
+    const handleToggleSaved = async () => {
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await onToggleSaved(event, !isSaved);
+        } catch (e) {
+            console.error("Error saving event:", e);
+            setSaveError(isSaved ? "Couldn't remove it from your saved events. Please try again." : "Couldn't save this event. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
 
     return (
-        <div className={`
-            ${bgColor} rounded-3xl shadow-xl border-t-8 ${accentColor} 
-            hover:shadow-2xl transition duration-300 transform hover:scale-[1.01] 
-            overflow-hidden group
-        `}>
-            {event.imageUrl ? (
+        <div 
+            className={`
+                ${bgColor} ${compact ? 'rounded-2xl shadow-md border-t-4' : 'rounded-3xl shadow-xl border-t-8'} ${accentColor} 
+                ${preview || compact ? '' : 'hover:shadow-2xl transition duration-300 transform hover:scale-[1.01]'} 
+                overflow-hidden group
+            `}
+            style={theme ? { borderColor: theme.accent, backgroundColor: theme.background, color: theme.text } : undefined}
+        >
+            {compact ? null : event.imageUrl ? (
                 <img 
                     src={event.imageUrl} 
-                    alt={`Image for ${event.title}`} 
+                    alt={event.imageAlt || `Image for ${event.title}`} 
                     className="w-full h-40 object-cover group-hover:opacity-90 transition duration-300"
                     onError={(e) => { 
                         e.target.onerror = null; 
@@ -60,33 +946,88 @@ const EventCard = ({ event }) => {
                 </div>
             )}
             
-            <div className="p-5">
+            <div className={compact ? 'p-4' : 'p-5'}>
                 <div className="flex justify-between items-start mb-2">
-                    <h3 className="text-xl font-extrabold text-gray-900 leading-snug">{event.title}</h3>
-                    <span className={`text-xs font-bold px-3 py-1 rounded-full shadow-inner text-white ${tagColor}`}>
+                    <h3 
+                        className={`${compact ? 'text-lg' : 'text-xl'} font-extrabold text-gray-900 leading-snug`}
+                        style={theme && theme.text ? { color: theme.text } : undefined}
+                    >
+                        {preview ? (
+                            <HighlightedText text={event.title} highlights={highlights} />
+                        ) : compact ? (
+                            <a href={`${window.location.origin}${getEventPath(event)}`} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                {event.title}
+                            </a>
+                        ) : (
+                            <RouterLink to={getEventPath(event)} className="hover:text-purple-700 hover:underline">
+                                <HighlightedText text={event.title} highlights={highlights} />
+                            </RouterLink>
+                        )}
+                    </h3>
+                    <span 
+                        className={`text-xs font-bold px-3 py-1 rounded-full shadow-inner text-white ${tagColor}`}
+                        style={theme && theme.accent ? { backgroundColor: theme.accent } : undefined}
+                    >
                         {event.type}
                     </span>
                 </div>
                 
-                <p className="text-sm text-gray-600 mb-4 line-clamp-3">{event.description}</p>
+                <p className={`text-sm text-gray-600 mb-4 ${preview ? 'whitespace-pre-line' : compact ? 'line-clamp-2' : 'line-clamp-3'}`}>
+                    <HighlightedText text={event.description} highlights={highlights} />
+                </p>
                 
                 <div className="text-xs font-semibold space-x-2 mb-4 flex flex-wrap gap-2">
-                    {event.communityFocus && event.communityFocus.map(focus => (
-                        <span key={focus} className="px-2.5 py-0.5 rounded-full bg-yellow-200 text-gray-800 shadow-sm border border-yellow-300">
-                            {focus}
+                    {TAG_GROUPS.flatMap(({ key }) => (event[key] || []).map(tag => (
+                        <span key={`${key}:${tag}`} className={`px-2.5 py-0.5 rounded-full shadow-sm border ${TAG_GROUP_STYLES[key]}`}>
+                            <HighlightedText text={tag} highlights={highlights} />
                         </span>
-                    ))}
+                    )))}
                 </div>
 
                 <div className="text-sm space-y-2 pt-3 border-t border-gray-100">
                     <p className="flex items-center text-gray-800 font-medium">
                         <Calendar className="w-4 h-4 mr-2 text-pink-600" />
-                        {formatDate(event.date)} at {event.time || 'Time TBD'}
+                        {formatEventRange(event)}
                     </p>
+                    {event.recurrence && (
+                        <p className="flex items-center text-gray-600 text-xs font-semibold">
+                            <Repeat className="w-4 h-4 mr-2 text-pink-600" />
+                            {describeRecurrence(event.recurrence)}
+                        </p>
+                    )}
                     <p className="flex items-center text-gray-800 font-medium">
                         <MapPin className="w-4 h-4 mr-2 text-purple-600" />
-                        {event.location}
+                        <HighlightedText text={event.location} highlights={highlights} />
+                        {event.locationPrivacy === 'on-request' && <span className="ml-1 text-xs text-gray-500">(neighborhood)</span>}
                     </p>
+                    {event.locationPrivacy === 'on-request' && !compact && (
+                        <AddressOnRequest repository={repository} userId={userId} isModerator={isModerator} isAnonymous={isAnonymous} onSignIn={onSignIn} event={event} />
+                    )}
+                    {event.organizerId && event.organizerName && (
+                        <p className="flex items-center text-gray-800 font-medium">
+                            <Building2 className="w-4 h-4 mr-2 text-purple-600" />
+                            <span className="mr-1">Hosted by</span>
+                            {compact ? (
+                                <a href={`${window.location.origin}${getOrganizerPath(event.organizerId)}`} target="_blank" rel="noopener noreferrer" className="font-bold hover:underline">
+                                    {event.organizerName}
+                                </a>
+                            ) : (
+                                <RouterLink to={getOrganizerPath(event.organizerId)} className="font-bold text-purple-700 hover:underline">
+                                    {event.organizerName}
+                                </RouterLink>
+                            )}
+                        </p>
+                    )}
+                    {detailBadges.length > 0 && (
+                        <p className="flex flex-wrap gap-x-3 gap-y-1 text-xs font-semibold text-gray-700">
+                            {detailBadges.map(({ id, Icon, label }) => (
+                                <span key={id} className="flex items-center">
+                                    <Icon className="w-4 h-4 mr-1 text-teal-600" aria-hidden="true" />
+                                    {label}
+                                </span>
+                            ))}
+                        </p>
+                    )}
                     {event.eventLink && (
                         <a 
                             href={event.eventLink} 
@@ -98,59 +1039,271 @@ const EventCard = ({ event }) => {
                             Full Details/RSVP
                         </a>
                     )}
+                    {(onToggleSaved || interestCount > 0) && (
+                        <div className="flex flex-wrap items-center gap-3">
+                            {onToggleSaved && (
+                                <button
+                                    onClick={handleToggleSaved}
+                                    disabled={isSaving}
+                                    aria-pressed={isSaved}
+                                    className={`flex items-center px-3 py-1 rounded-full text-xs font-bold transition disabled:opacity-60 ${
+                                        isSaved ? 'bg-pink-600 text-white hover:bg-pink-700' : 'bg-pink-50 text-pink-700 border border-pink-200 hover:bg-pink-100'
+                                    }`}
+                                >
+                                    {isSaving
+                                        ? <Loader className="w-4 h-4 mr-1 animate-spin" />
+                                        : <Bookmark className={`w-4 h-4 mr-1 ${isSaved ? 'fill-current' : ''}`} />}
+                                    {isSaved ? 'Saved' : 'Interested'}
+                                </button>
+                            )}
+                            {interestCount > 0 && (
+                                <span className="text-xs font-semibold text-gray-500">{interestCount} interested</span>
+                            )}
+                        </div>
+                    )}
+                    {saveError && <p className="text-xs font-semibold text-red-600">{saveError}</p>}
+                    {event.date && (
+                        <button
+                            onClick={() => downloadEventIcs(event)}
+                            className="flex items-center text-purple-600 font-bold hover:underline transition duration-150"
+                        >
+                            <CalendarPlus className="w-4 h-4 mr-2" />
+                            Add to Calendar{event.recurrence ? ' (whole series)' : ''}
+                        </button>
+                    )}
+                    {onCancelOccurrence && event.seriesId && (
+                        <button
+                            onClick={() => onCancelOccurrence(event)}
+                            className="flex items-center text-xs font-semibold text-red-600 hover:underline"
+                        >
+                            <XCircle className="w-4 h-4 mr-2" />
+                            Cancel this date only
+                        </button>
+                    )}
+                    {onReport && !isReporting && !reportNotice && (
+                        <button
+                            onClick={() => setIsReporting(true)}
+                            className="flex items-center text-xs font-semibold text-gray-500 hover:text-red-600 hover:underline"
+                        >
+                            <Flag className="w-4 h-4 mr-2" />
+                            Report
+                        </button>
+                    )}
+                    {isReporting && (
+                        <ReportEventForm
+                            onReport={(reason, details) => onReport(event, reason, details)}
+                            onDone={(notice) => { setIsReporting(false); setReportNotice(notice); }}
+                        />
+                    )}
+                    {reportNotice && (
+                        <p className="flex items-center text-xs font-semibold text-green-700">
+                            <CheckCircle className="w-4 h-4 mr-2" />
+                            {reportNotice}
+                        </p>
+                    )}
                 </div>
             </div>
         </div>
     );
 };
 
-const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
-    const [dateString, setDateString] = useState('');
-    const [time, setTime] = useState('');
-    const [location, setLocation] = useState('');
-    const [eventLink, setEventLink] = useState('');
-    const [imageUrl, setImageUrl] = useState('');
-    const [imagePreview, setImagePreview] = useState('');
-    const [type, setType] = useState('In-Person');
-    const [communityFocus, setCommunityFocus] = useState([]);
+// Form values for an existing event (blank for a new submission)
+const getEventFormValues = (event) => {
+    if (!event) {
+        return {
+            title: '', description: '', dateString: '', startTime: '', endDateString: '', endTime: '', allDay: false,
+            location: '', coordinates: null, addressOnRequest: false, neighborhood: '',
+            eventLink: '', imageUrl: '', imageAlt: '', type: 'In-Person', tags: EMPTY_TAG_SELECTION,
+            details: EMPTY_EVENT_DETAILS,
+            repeatFrequency: 'none', repeatInterval: 1, weekdayPosition: '', untilString: '', exceptionDates: [],
+            organizerId: '',
+        };
+    }
+    const start = getEventStart(event);
+    const end = event.endDate ? toJsDate(event.endDate) : null;
+    // All-day ends are exclusive midnights; the form shows the last day instead
+    const lastDayKey = end && (event.allDay ? addDaysToKey(toDateKey(end), -1) : toDateKey(end));
+    const recurrence = event.recurrence;
+    return {
+        title: event.title || '',
+        description: event.description || '',
+        dateString: start ? toDateKey(start) : '',
+        startTime: start && end && !event.allDay ? toTimeKey(start) : '', // legacy free-text times must be re-entered
+        endDateString: lastDayKey && start && lastDayKey !== toDateKey(start) ? lastDayKey : '',
+        endTime: end && !event.allDay ? toTimeKey(end) : '',
+        allDay: Boolean(event.allDay),
+        // For addresses shared on request the public location is the neighborhood; the form loads the address itself
+        location: event.locationPrivacy === 'on-request' ? '' : event.location || '',
+        coordinates: event.locationPrivacy === 'on-request' ? null : getEventCoordinates(event),
+        addressOnRequest: event.locationPrivacy === 'on-request',
+        neighborhood: event.locationPrivacy === 'on-request' ? event.location || '' : '',
+        eventLink: event.eventLink || '',
+        imageUrl: event.imageUrl || '',
+        imageAlt: event.imageAlt || '',
+        type: event.type || 'In-Person',
+        tags: Object.fromEntries(TAG_GROUPS.map(({ key }) => [key, event[key] || []])),
+        details: Object.fromEntries(EVENT_DETAIL_FIELDS.map(({ key }) => [key, event[key] || EMPTY_EVENT_DETAILS[key]])),
+        repeatFrequency: recurrence ? recurrence.frequency : 'none',
+        repeatInterval: recurrence ? recurrence.interval : 1,
+        weekdayPosition: recurrence && recurrence.weekdayPosition ? String(recurrence.weekdayPosition) : '',
+        untilString: recurrence && recurrence.until ? toDateKey(toJsDate(recurrence.until)) : '',
+        exceptionDates: recurrence ? recurrence.exceptions || [] : [],
+        organizerId: event.organizerId || '',
+    };
+};
+
+// Submission form. With `existingEvent` it edits that event instead (see submitEventEdit),
+// starting from `revision`'s proposed changes when one is waiting for review.
+// Moderators pass `onSave` to apply their fixes directly.
+// `existingEvents` (the loaded approved events) are checked for likely duplicates before submitting.
+// New submissions go through the repository (on Firestore, the submitEvent function), which screens them.
+// Images need `storage`; without it that option is hidden.
+// With a `submissionQueue`, new submissions made offline are queued and onSubmissionQueued is called instead.
+// Submitters can host the event as one of their organizer profiles, or create one on the spot.
+// onSubmissionSuccess gets the new status: 'approved' when a trusted organizer's event skipped review.
+const AddEventForm = ({ repository, storage, taxonomy, userId, onSubmissionSuccess, existingEvent = null, revision = null, onCancel = null, onSave = null, existingEvents = [], submissionQueue = null, onSubmissionQueued = () => {} }) => {
+    const [initial] = useState(() => getEventFormValues(existingEvent && { ...existingEvent, ...(revision ? revision.changes : {}) }));
+    const [title, setTitle] = useState(initial.title);
+    const [description, setDescription] = useState(initial.description);
+    const [dateString, setDateString] = useState(initial.dateString);
+    const [startTime, setStartTime] = useState(initial.startTime);
+    const [endDateString, setEndDateString] = useState(initial.endDateString);
+    const [endTime, setEndTime] = useState(initial.endTime);
+    const [allDay, setAllDay] = useState(initial.allDay);
+    const [location, setLocation] = useState(initial.location);
+    const [coordinates, setCoordinates] = useState(initial.coordinates);
+    const [addressOnRequest, setAddressOnRequest] = useState(initial.addressOnRequest);
+    const [neighborhood, setNeighborhood] = useState(initial.neighborhood); // shown publicly instead of the address
+    const [eventLink, setEventLink] = useState(initial.eventLink);
+    const [imageUrl, setImageUrl] = useState(initial.imageUrl); // already stored image
+    const [imageSource, setImageSource] = useState(null); // newly picked file, uploaded on submit
+    const [imageFocus, setImageFocus] = useState(0.5);
+    const [imageBlob, setImageBlob] = useState(null); // imageSource cropped and re-encoded
+    const [imagePreview, setImagePreview] = useState(initial.imageUrl);
+    const [isPreparingImage, setIsPreparingImage] = useState(false);
+    const [imageAlt, setImageAlt] = useState(initial.imageAlt);
+    const [type, setType] = useState(initial.type);
+    const [tags, setTags] = useState(initial.tags); // group key -> selected tag labels
+    const [details, setDetails] = useState(initial.details); // accessibility, cost and age
+    const [repeatFrequency, setRepeatFrequency] = useState(initial.repeatFrequency);
+    const [repeatInterval, setRepeatInterval] = useState(initial.repeatInterval);
+    const [weekdayPosition, setWeekdayPosition] = useState(initial.weekdayPosition);
+    const [untilString, setUntilString] = useState(initial.untilString);
+    const [exceptionDates, setExceptionDates] = useState(initial.exceptionDates);
+    const [exceptionString, setExceptionString] = useState('');
+    const [organizerId, setOrganizerId] = useState(initial.organizerId);
+    const [myOrganizers, setMyOrganizers] = useState([]);
+    const [isCreatingOrganizer, setIsCreatingOrganizer] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
+    const [duplicateWarning, setDuplicateWarning] = useState(null); // { duplicates, awaitingReview }; submitting again confirms
+    const [honeypot, setHoneypot] = useState(''); // hidden field that only bots fill in
+    const [openedAt] = useState(() => Date.now());
 
-    const handleCommunityChange = (focus) => {
-        setCommunityFocus(prev => 
-            prev.includes(focus) 
-                ? prev.filter(c => c !== focus) 
-                : [...prev, focus]
-        );
+    // The address of an event shared on request isn't on the event itself
+    useEffect(() => {
+        if (!repository || !existingEvent || existingEvent.locationPrivacy !== 'on-request') return;
+        repository.fetchPrivateLocation(existingEvent.id)
+            .then(privateLocation => {
+                if (!privateLocation) return;
+                setLocation(privateLocation.address || '');
+                setCoordinates(getEventCoordinates(privateLocation));
+            })
+            .catch(err => console.error("Error loading the private address:", err));
+    }, [repository, existingEvent]);
+
+    // Organizer profiles the submitter can host events as
+    useEffect(() => {
+        if (!repository || !userId) return;
+        const unsubscribe = repository.subscribeToOrganizers({ ownerId: userId }, (organizers) => {
+            setMyOrganizers(organizers.sort((a, b) => a.name.localeCompare(b.name)));
+        }, (err) => {
+            console.error("Error loading your organizer profiles:", err);
+        });
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    // A moderator editing someone else's event keeps its organizer even though it isn't theirs
+    const organizerOptions = existingEvent && existingEvent.organizerId && !myOrganizers.some(o => o.id === existingEvent.organizerId)
+        ? [...myOrganizers, { id: existingEvent.organizerId, name: existingEvent.organizerName }]
+        : myOrganizers;
+    const organizer = organizerOptions.find(o => o.id === organizerId) || null;
+
+    // A different title, day or place needs a fresh duplicate check
+    useEffect(() => setDuplicateWarning(null), [title, dateString, location]);
+
+    // Date inputs give Houston calendar days ('YYYY-MM-DD'), never UTC midnight
+    const startWeekday = dateString ? getKeyWeekday(dateString) : null;
+
+    const handleAddException = () => {
+        if (!exceptionString || exceptionDates.includes(exceptionString)) return;
+        setExceptionDates(prev => [...prev, exceptionString].sort());
+        setExceptionString('');
+    };
+
+    const handleDetailToggle = (key, id) => {
+        setDetails(prev => ({
+            ...prev,
+            [key]: prev[key].includes(id) ? prev[key].filter(i => i !== id) : [...prev[key], id],
+        }));
+    };
+
+    const handleTagChange = (key, tag) => {
+        setTags(prev => ({
+            ...prev,
+            [key]: prev[key].includes(tag)
+                ? prev[key].filter(t => t !== tag)
+                : [...prev[key], tag],
+        }));
     };
     
+    // Re-crop whenever a new file is picked or the crop position moves
+    useEffect(() => {
+        if (!imageSource) return;
+        let cancelled = false;
+        setIsPreparingImage(true);
+        prepareEventImage(imageSource, imageFocus)
+            .then(blob => {
+                if (cancelled) return;
+                setImageBlob(blob);
+                setImagePreview(URL.createObjectURL(blob));
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(err.message);
+                setImageSource(null);
+                setImageBlob(null);
+                setImagePreview('');
+            })
+            .finally(() => { if (!cancelled) setIsPreparingImage(false); });
+        return () => { cancelled = true; };
+    }, [imageSource, imageFocus]);
+
+    // Free the previous preview's memory when it's replaced
+    useEffect(() => () => {
+        if (imagePreview.startsWith('blob:')) URL.revokeObjectURL(imagePreview);
+    }, [imagePreview]);
+
+    const clearImage = () => {
+        setImageUrl('');
+        setImageSource(null);
+        setImageBlob(null);
+        setImagePreview('');
+        setImageFocus(0.5);
+        setImageAlt('');
+        const fileInput = document.querySelector('input[name="eventImage"]'); // not the new organizer's logo
+        if(fileInput) fileInput.value = '';
+    };
+
     const handleImageUpload = (e) => {
         const file = e.target.files[0];
         
         setError('');
         setImageUrl('');
+        setImageBlob(null);
         setImagePreview('');
-        
-        if (file) {
-            const MAX_SIZE = 250 * 1024; // 250KB limit
-            if (file.size > MAX_SIZE) {
-                setError('Image is too large. Please use an image smaller than 250KB (approx. 0.25MB) to ensure successful saving.');
-                e.target.value = '';
-                return;
-            }
-            
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setImageUrl(reader.result);
-                setImagePreview(reader.result);
-            };
-            reader.onerror = () => {
-                setError('Failed to read image file.');
-            };
-            reader.readAsDataURL(file);
-        }
+        setImageFocus(0.5);
+        setImageSource(file || null);
     };
 
     const handleSubmit = async (e) => {
@@ -158,47 +1311,196 @@ const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
         setError('');
         setIsSubmitting(true);
 
-        if (!title || !description || !dateString || !location || communityFocus.length === 0) {
+        if (getMissingRequiredFields({ title, description, date: dateString, location, ...tags }).length > 0) {
             setError('Please fill in all required fields: Title, Description, Date, Location, and select at least one Community Focus.');
             setIsSubmitting(false);
             return;
         }
 
-        try {
-            const date = new Date(dateString);
-            const eventDate = Timestamp.fromDate(date);
+        if (!allDay && !startTime) {
+            setError('Please enter a start time, or mark the event as all day.');
+            setIsSubmitting(false);
+            return;
+        }
+
+        // Only new submissions are queued offline, and an image can't be uploaded until the connection returns
+        const queueing = Boolean(submissionQueue) && !existingEvent && !navigator.onLine;
+        if (queueing && imageBlob) {
+            setError("You're offline, so the image can't be uploaded. Remove it to send the event once you're back online, or try again later.");
+            setIsSubmitting(false);
+            return;
+        }
+
+        const linkCheck = checkEventLink(eventLink);
+        if (linkCheck.error) {
+            setError(linkCheck.error);
+            setIsSubmitting(false);
+            return;
+        }
+
+        // All-day events run from midnight of the first day to midnight after the last day.
+        // Timed events without an end time default to DEFAULT_EVENT_HOURS long.
+        const lastDayKey = endDateString || dateString;
+        const start = allDay ? zonedTimeToDate(dateString) : zonedTimeToDate(dateString, startTime);
+        const end = allDay
+            ? zonedTimeToDate(addDaysToKey(lastDayKey, 1))
+            : endTime
+                ? zonedTimeToDate(lastDayKey, endTime)
+                : new Date(start.getTime() + DEFAULT_EVENT_HOURS * 3600000);
+
+        if (end <= start) {
+            setError('The event must end after it starts.');
+            setIsSubmitting(false);
+            return;
+        }
+
+        let recurrence = null;
+        if (repeatFrequency !== 'none') {
+            if (untilString && untilString < dateString) {
+                setError('The repeat end date must be on or after the first event date.');
+                setIsSubmitting(false);
+                return;
+            }
+            recurrence = {
+                frequency: repeatFrequency,
+                interval: Math.max(1, Number(repeatInterval) || 1),
+                weekday: getKeyWeekday(dateString),
+                weekdayPosition: repeatFrequency === 'monthly'
+                    ? (weekdayPosition ? Number(weekdayPosition) : getWeekdayPosition(dateString))
+                    : null,
+                until: untilString ? Timestamp.fromDate(zonedTimeToDate(untilString)) : null,
+                exceptions: exceptionDates,
+            };
+        }
+
+        // Sensitive events list only a neighborhood, pinned at its center; the address is saved privately below
+        const publicArea = type === 'In-Person' && addressOnRequest ? HOUSTON_AREAS.find(area => area.label === neighborhood) : null;
+        if (type === 'In-Person' && addressOnRequest && !publicArea) {
+            setError('Pick the neighborhood to show instead of the address.');
+            setIsSubmitting(false);
+            return;
+        }
+
+        // Pin In-Person events on the map; an address typed without picking a suggestion is looked up once here.
+        // Addresses shared on request aren't sent to the geocoder; their pin is the neighborhood's.
+        let pinned = type === 'In-Person' ? coordinates : null;
+        if (type === 'In-Person' && !pinned && !publicArea) {
+            try {
+                const bestMatch = await geocoder.lookup(location);
+                if (bestMatch) pinned = { lat: bestMatch.lat, lng: bestMatch.lng };
+            } catch (err) {
+                console.warn("Couldn't geocode the event location:", err);
+            }
+        }
 
-            const newEvent = {
+        try {
+            const eventFields = {
                 title,
                 description,
-                date: eventDate,
-                time,
-                location,
+                date: Timestamp.fromDate(start),
+                endDate: Timestamp.fromDate(end),
+                allDay,
+                timeZone: EVENT_TIME_ZONE,
+                location: publicArea ? publicArea.label : location,
+                coordinates: publicArea
+                    ? new GeoPoint(publicArea.lat, publicArea.lng)
+                    : pinned ? new GeoPoint(pinned.lat, pinned.lng) : null,
+                locationPrivacy: publicArea ? 'on-request' : null,
                 eventLink,
-                imageUrl, 
+                imageUrl: imageBlob ? '' : imageUrl, // set once the new image is uploaded below
+                imageAlt: imageBlob || imageUrl ? imageAlt.trim() : '',
                 type,
-                communityFocus,
-                status: 'pending', 
-                submittedBy: userId,
-                submittedAt: Timestamp.now(),
+                ...tags,
+                ...details,
+                recurrence,
+                organizerId: organizer ? organizer.id : null,
+                organizerName: organizer ? organizer.name : null,
             };
+            eventFields.endsAt = Timestamp.fromDate(computeEndsAt(eventFields));
+
+            if (!duplicateWarning && !onSave) {
+                const duplicates = findLikelyDuplicates({ ...eventFields, id: existingEvent && existingEvent.id }, existingEvents);
+                if (duplicates.length > 0) {
+                    setDuplicateWarning({ duplicates, awaitingReview: false });
+                    return;
+                }
+            }
+
+            if (existingEvent && (onSave || existingEvent.status === 'approved')
+                && !imageBlob && getChangedFields(existingEvent, eventFields).length === 0) {
+                setError('Nothing has changed yet.');
+                return;
+            }
+
+            // Uploaded only now so abandoned forms and duplicate warnings don't leave files behind.
+            // Kept as the stored image so a failed submission can be retried without uploading again.
+            if (imageBlob) {
+                eventFields.imageUrl = await uploadEventImage(storage, userId, imageBlob);
+                setImageUrl(eventFields.imageUrl);
+                setImageSource(null);
+                setImageBlob(null);
+            }
+
+            const privateLocation = publicArea ? { address: location, coordinates: pinned } : null;
+
+            if (existingEvent) {
+                await (onSave ? onSave(eventFields) : submitEventEdit(repository, existingEvent, eventFields, userId, privateLocation));
+                // A live event's private address changes with the rest of its revision, once a moderator approves it
+                const appliesNow = onSave || existingEvent.status !== 'approved';
+                if (appliesNow && (privateLocation || existingEvent.locationPrivacy === 'on-request')) {
+                    await repository.savePrivateLocation(existingEvent.id, privateLocation);
+                }
+                onSubmissionSuccess(true);
+                return;
+            }
 
-            const eventsCollectionRef = collection(db, `artifacts/${appId}/public/data/events`);
-            await addDoc(eventsCollectionRef, newEvent);
+            const submitOptions = {
+                userId,
+                honeypot,
+                fillMs: Date.now() - openedAt,
+                // Submitting again after the warning confirms it's a different event
+                allowDuplicates: Boolean(duplicateWarning),
+            };
+            let queued = queueing;
+            let status = 'pending';
+            if (!queued) {
+                try {
+                    const result = await repository.submit(eventFields, submitOptions);
+                    // Also checked against pending submissions, which the form only hears exist
+                    if (result.duplicates) {
+                        setDuplicateWarning({ duplicates: result.duplicates, awaitingReview: result.awaitingReview === true });
+                        return;
+                    }
+                    status = result.status;
+                    if (privateLocation && result.id) await repository.savePrivateLocation(result.id, privateLocation);
+                } catch (err) {
+                    // The connection dropped while sending: queue it rather than lose what they typed
+                    if (!submissionQueue || navigator.onLine || isSubmitterError(err)) throw err;
+                    queued = true;
+                }
+            }
+            if (queued) {
+                // Sent by the app when the connection returns; the private address is saved then too
+                submissionQueue.add(eventFields, submitOptions, { privateLocation });
+            }
 
-            // Reset form and UI states
-            setTitle(''); setDescription(''); setDateString(''); setTime('');
-            setLocation(''); setEventLink(''); setImageUrl(''); setImagePreview(''); 
+            // Reset form and UI states (the organizer stays picked for their next event)
+            setTitle(''); setDescription(''); setDateString(''); setStartTime('');
+            setEndDateString(''); setEndTime(''); setAllDay(false);
+            setLocation(''); setCoordinates(null); setAddressOnRequest(false); setNeighborhood('');
+            setEventLink(''); clearImage();
             setType('In-Person');
-            setCommunityFocus([]);
-            const fileInput = document.querySelector('input[type="file"]');
-            if(fileInput) fileInput.value = '';
-            
-            onSubmissionSuccess(true);
+            setTags(EMPTY_TAG_SELECTION);
+            setDetails(EMPTY_EVENT_DETAILS);
+            setRepeatFrequency('none'); setRepeatInterval(1); setWeekdayPosition('');
+            setUntilString(''); setExceptionDates([]); setExceptionString('');
+            if (queued) onSubmissionQueued();
+            else onSubmissionSuccess(true, status);
 
         } catch (err) {
             console.error("Error submitting event:", err);
-            setError('Failed to submit event. Please try again. Check your image size if one was uploaded.');
+            // Screening and rate limit messages (rejected links, too many submissions) are meant for the submitter
+            setError(isSubmitterError(err) ? err.message : 'Failed to submit event. Please try again.');
         } finally {
             setIsSubmitting(false);
         }
@@ -209,9 +1511,15 @@ const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
     return (
         <form onSubmit={handleSubmit} className="p-6 bg-white rounded-3xl shadow-2xl border-t-4 border-teal-500">
             <h3 className="text-2xl font-bold mb-5 text-purple-700 flex items-center">
-                <Plus className="w-5 h-5 mr-2 stroke-2"/>
-                Share Your Event Details
+                {existingEvent ? <Pencil className="w-5 h-5 mr-2 stroke-2"/> : <Plus className="w-5 h-5 mr-2 stroke-2"/>}
+                {existingEvent ? (onSave ? 'Edit Event' : 'Edit Your Event') : 'Share Your Event Details'}
             </h3>
+
+            {existingEvent && existingEvent.status === 'approved' && !onSave && (
+                <p className="p-3 mb-4 text-sm text-purple-800 rounded-xl bg-purple-50 border border-purple-200">
+                    Your event stays listed as it is now until a moderator approves these changes.
+                </p>
+            )}
             
             {error && (
                 <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
@@ -220,46 +1528,165 @@ const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
                 </div>
             )}
 
+            {/* Honeypot: invisible to people (and screen readers), but form-filling bots complete it */}
+            <input
+                type="text"
+                name="website"
+                value={honeypot}
+                onChange={(e) => setHoneypot(e.target.value)}
+                tabIndex={-1}
+                autoComplete="off"
+                aria-hidden="true"
+                className="absolute -left-[9999px] w-px h-px opacity-0"
+            />
+
+            <div className="mb-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
+                <label className="block text-sm font-bold text-gray-700 mb-1">Hosted by (Optional)</label>
+                {isCreatingOrganizer ? (
+                    <OrganizerForm
+                        repository={repository}
+                        storage={storage}
+                        userId={userId}
+                        onSaved={(id) => { setOrganizerId(id); setIsCreatingOrganizer(false); }}
+                        onCancel={() => setIsCreatingOrganizer(false)}
+                    />
+                ) : (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <select value={organizerId} onChange={(e) => setOrganizerId(e.target.value)} className={`flex-1 ${inputClasses}`}>
+                            <option value="">No organizer profile</option>
+                            {organizerOptions.map(option => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            onClick={() => setIsCreatingOrganizer(true)}
+                            className="flex items-center px-3 py-2 rounded-lg text-sm font-semibold bg-purple-100 text-purple-700 hover:bg-purple-200 transition"
+                        >
+                            <Plus className="w-4 h-4 mr-1" /> New Organizer
+                        </button>
+                    </div>
+                )}
+                {!isCreatingOrganizer && (
+                    <p className="mt-1 text-xs text-gray-500">
+                        {organizer
+                            ? `The event's card will link to ${organizer.name}'s page, which lists all of its events.`
+                            : 'Add your group or organization so people can find all of your events in one place.'}
+                    </p>
+                )}
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <input type="text" placeholder="Event Title (Required)" value={title} onChange={(e) => setTitle(e.target.value)} className={inputClasses} required />
-                <input type="text" placeholder="Location (Required)" value={location} onChange={(e) => setLocation(e.target.value)} className={inputClasses} required />
-                <input type="date" value={dateString} onChange={(e) => setDateString(e.target.value)} className={inputClasses} required />
-                <input type="text" placeholder="Time (e.g., 7:00 PM)" value={time} onChange={(e) => setTime(e.target.value)} className={inputClasses} />
-                <input type="url" placeholder="Optional: Full Event Link" value={eventLink} onChange={(e) => setEventLink(e.target.value)} className={inputClasses} />
-                
-                <div className="col-span-1">
-                    <label className="block text-sm font-bold text-gray-700 mb-1">Event Image (Max 250KB)</label>
-                    <input 
-                        type="file" 
-                        accept="image/png, image/jpeg"
-                        onChange={handleImageUpload} 
-                        className="w-full text-sm text-gray-500
-                                file:py-2 file:px-4 file:mr-2
-                                file:rounded-lg file:border-0
-                                file:text-sm file:font-semibold
-                                file:bg-pink-100 file:text-pink-700
-                                hover:file:bg-pink-200"
-                    />
-                    {imagePreview && (
-                        <div className="mt-3 relative">
-                            <img src={imagePreview} alt="Image Preview" className="w-full h-24 object-cover rounded-lg shadow-inner border border-gray-200" />
-                            <button 
-                                type="button" 
-                                onClick={() => { 
-                                    setImageUrl(''); 
-                                    setImagePreview(''); 
-                                    const fileInput = document.querySelector('input[type="file"]');
-                                    if(fileInput) fileInput.value = '';
-                                    setError(''); 
-                                }}
-                                className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 shadow-md hover:bg-red-600 transition"
-                                title="Remove Image"
-                            >
-                                <X className="w-3 h-3"/>
-                            </button>
+                {type === 'In-Person' ? (
+                    <div>
+                        <LocationAutocomplete value={location} onChange={setLocation} onSelectCoordinates={setCoordinates} className={inputClasses} />
+                        {coordinates && !addressOnRequest && (
+                            <p className="mt-1 text-xs font-semibold text-teal-600 flex items-center">
+                                <MapPin className="w-3 h-3 mr-1" /> Pinned on the map
+                            </p>
+                        )}
+                        <label className="mt-2 flex items-start text-xs font-semibold text-gray-700">
+                            <input type="checkbox" checked={addressOnRequest} onChange={(e) => setAddressOnRequest(e.target.checked)} className="mr-2 mt-0.5" />
+                            Share the address only on request. The listing shows just the neighborhood until you approve someone.
+                        </label>
+                        {addressOnRequest && (
+                            <select value={neighborhood} onChange={(e) => setNeighborhood(e.target.value)} className={`w-full mt-2 ${inputClasses}`} required>
+                                <option value="">Neighborhood to show publicly (Required)</option>
+                                {HOUSTON_AREAS.map(area => (
+                                    <option key={area.label} value={area.label}>{area.label}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                ) : (
+                    <input type="text" placeholder="Location (Required)" value={location} onChange={(e) => setLocation(e.target.value)} className={inputClasses} required />
+                )}
+                <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
+                    <div>
+                        <label className="block text-sm font-bold text-gray-700 mb-1">Starts (Required)</label>
+                        <div className="flex gap-2">
+                            <input type="date" value={dateString} onChange={(e) => setDateString(e.target.value)} className={`flex-1 ${inputClasses}`} required />
+                            {!allDay && (
+                                <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className={inputClasses} required />
+                            )}
                         </div>
-                    )}
+                    </div>
+                    <div>
+                        <label className="block text-sm font-bold text-gray-700 mb-1">Ends</label>
+                        <div className="flex gap-2">
+                            <input type="date" value={endDateString} min={dateString} onChange={(e) => setEndDateString(e.target.value)} className={`flex-1 ${inputClasses}`} />
+                            {!allDay && (
+                                <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className={inputClasses} />
+                            )}
+                        </div>
+                    </div>
+                    <label className="md:col-span-2 flex items-center text-sm font-semibold text-gray-700">
+                        <input type="checkbox" checked={allDay} onChange={(e) => setAllDay(e.target.checked)} className="mr-2" />
+                        All day (set an end date for multi-day events like Pride weekend)
+                    </label>
+                    <p className="md:col-span-2 text-xs text-gray-500">All times are Houston time (Central). Leave the end date blank for a single-day event.</p>
                 </div>
+                <input type="url" placeholder="Optional: Full Event Link" value={eventLink} onChange={(e) => setEventLink(e.target.value)} className={inputClasses} />
+                
+                {storage && (
+                    <div className="col-span-1">
+                        <label className="block text-sm font-bold text-gray-700 mb-1">Event Image (cropped to 3:1)</label>
+                        <input 
+                            type="file" 
+                            name="eventImage"
+                            accept="image/png, image/jpeg, image/webp"
+                            onChange={handleImageUpload} 
+                            className="w-full text-sm text-gray-500
+                                    file:py-2 file:px-4 file:mr-2
+                                    file:rounded-lg file:border-0
+                                    file:text-sm file:font-semibold
+                                    file:bg-pink-100 file:text-pink-700
+                                    hover:file:bg-pink-200"
+                        />
+                        {isPreparingImage && !imagePreview && (
+                            <p className="mt-2 flex items-center text-xs text-gray-500"><Loader className="w-3 h-3 mr-1 animate-spin"/> Preparing image...</p>
+                        )}
+                        {imagePreview && (
+                            <>
+                                <div className="mt-3 relative">
+                                    <img src={imagePreview} alt="Image Preview" className="w-full aspect-[3/1] object-cover rounded-lg shadow-inner border border-gray-200" />
+                                    <button 
+                                        type="button" 
+                                        onClick={() => { clearImage(); setError(''); }}
+                                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 shadow-md hover:bg-red-600 transition"
+                                        title="Remove Image"
+                                    >
+                                        <X className="w-3 h-3"/>
+                                    </button>
+                                </div>
+                                {imageSource && (
+                                    <label className="mt-2 flex items-center text-xs font-semibold text-gray-600">
+                                        Crop position
+                                        <input
+                                            type="range"
+                                            min="0"
+                                            max="1"
+                                            step="0.05"
+                                            value={imageFocus}
+                                            onChange={(e) => setImageFocus(Number(e.target.value))}
+                                            className="ml-2 flex-1"
+                                        />
+                                    </label>
+                                )}
+                                <input
+                                    type="text"
+                                    placeholder="Describe the image for screen readers"
+                                    value={imageAlt}
+                                    onChange={(e) => setImageAlt(e.target.value)}
+                                    maxLength={300}
+                                    className={`w-full mt-2 text-sm ${inputClasses}`}
+                                />
+                                <p className="mt-1 text-xs text-gray-500">Location data is removed from photos before upload.</p>
+                            </>
+                        )}
+                    </div>
+                )}
             </div>
 
             <textarea placeholder="Detailed Description (Required)..." value={description} onChange={(e) => setDescription(e.target.value)} rows="3" className={`w-full mt-4 ${inputClasses}`} required />
@@ -273,28 +1700,158 @@ const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
             </div>
 
             <div className="mt-4">
-                <label className="block text-sm font-bold text-gray-700 mb-2">Community Focus (Select all that apply)</label>
-                <div className="flex flex-wrap gap-2">
-                    {['Trans', 'Nonbinary', 'LGBT+', 'AAPI', 'Black', 'Latinx'].map(focus => (
-                        <button
-                            key={focus}
-                            type="button"
-                            onClick={() => handleCommunityChange(focus)}
-                            className={`px-3 py-1.5 rounded-full text-sm font-semibold transition duration-150 shadow-md transform active:scale-95 ${
-                                communityFocus.includes(focus)
-                                    ? 'bg-purple-600 text-white ring-2 ring-purple-300'
-                                    : 'bg-gray-100 text-gray-700 hover:bg-purple-100 hover:text-purple-700'
-                            }`}
-                        >
-                            {focus}
-                        </button>
-                    ))}
-                </div>
+                <label className="block text-sm font-bold text-gray-700 mb-1">Repeats</label>
+                <select value={repeatFrequency} onChange={(e) => setRepeatFrequency(e.target.value)} className={`w-full ${inputClasses}`}>
+                    <option value="none">Does not repeat</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly (by weekday, e.g. first Friday)</option>
+                </select>
+
+                {repeatFrequency !== 'none' && (
+                    <div className="mt-3 p-4 bg-purple-50 rounded-xl border border-purple-200 space-y-3">
+                        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                            <span>Every</span>
+                            <input type="number" min="1" max="12" value={repeatInterval} onChange={(e) => setRepeatInterval(e.target.value)} className={`w-20 ${inputClasses}`} />
+                            <span>{repeatFrequency === 'weekly' ? 'week(s)' : 'month(s)'}</span>
+                            {repeatFrequency === 'monthly' && (
+                                <>
+                                    <span>on the</span>
+                                    <select
+                                        value={weekdayPosition || (dateString ? getWeekdayPosition(dateString) : 1)}
+                                        onChange={(e) => setWeekdayPosition(e.target.value)}
+                                        className={inputClasses}
+                                    >
+                                        {WEEKDAY_POSITIONS.map(position => (
+                                            <option key={position.value} value={position.value}>{position.label}</option>
+                                        ))}
+                                    </select>
+                                </>
+                            )}
+                            <span className="font-semibold">{startWeekday !== null ? WEEKDAY_NAMES[startWeekday] : '(pick a date above)'}</span>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-bold text-gray-700 mb-1">Ends on (optional)</label>
+                            <input type="date" value={untilString} min={dateString} onChange={(e) => setUntilString(e.target.value)} className={inputClasses} />
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-bold text-gray-700 mb-1">Skip these dates (optional)</label>
+                            <div className="flex gap-2">
+                                <input type="date" value={exceptionString} min={dateString} onChange={(e) => setExceptionString(e.target.value)} className={inputClasses} />
+                                <button
+                                    type="button"
+                                    onClick={handleAddException}
+                                    className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-purple-100 text-purple-700 hover:bg-purple-200 transition"
+                                >
+                                    Skip Date
+                                </button>
+                            </div>
+                            {exceptionDates.length > 0 && (
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {exceptionDates.map(dateKey => (
+                                        <span key={dateKey} className="flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold bg-white border border-purple-300 text-purple-700">
+                                            {dateKey}
+                                            <button type="button" onClick={() => setExceptionDates(prev => prev.filter(d => d !== dateKey))} className="ml-1 hover:text-red-600">
+                                                <X className="w-3 h-3"/>
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
             </div>
 
+            {TAG_GROUPS.map(group => {
+                // Retired tags stay visible on events that already have them, so they can be removed
+                const options = [...new Set([...getActiveTags(taxonomy, group.key), ...initial.tags[group.key]])];
+                return (
+                    <div key={group.key} className="mt-4">
+                        <label className="block text-sm font-bold text-gray-700 mb-2">
+                            {group.label} ({group.required ? 'Select all that apply' : 'Optional'})
+                        </label>
+                        <div className="flex flex-wrap gap-2">
+                            {options.map(tag => (
+                                <button
+                                    key={tag}
+                                    type="button"
+                                    onClick={() => handleTagChange(group.key, tag)}
+                                    className={`px-3 py-1.5 rounded-full text-sm font-semibold transition duration-150 shadow-md transform active:scale-95 ${
+                                        tags[group.key].includes(tag)
+                                            ? 'bg-purple-600 text-white ring-2 ring-purple-300'
+                                            : 'bg-gray-100 text-gray-700 hover:bg-purple-100 hover:text-purple-700'
+                                    }`}
+                                >
+                                    {tag}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                );
+            })}
+
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+                {EVENT_DETAIL_FIELDS.map(field => (
+                    <div key={field.key}>
+                        <label className="block text-sm font-bold text-gray-700 mb-1">{field.label} (Optional)</label>
+                        {field.multiple ? (
+                            field.options.map(option => (
+                                <label key={option.id} className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={details[field.key].includes(option.id)}
+                                        onChange={() => handleDetailToggle(field.key, option.id)}
+                                        className="mr-2"
+                                    />
+                                    {option.label}
+                                </label>
+                            ))
+                        ) : (
+                            <select
+                                value={details[field.key] || ''}
+                                onChange={(e) => setDetails(prev => ({ ...prev, [field.key]: e.target.value || null }))}
+                                className={`w-full ${inputClasses}`}
+                            >
+                                <option value="">Not specified</option>
+                                {field.options.map(option => (
+                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {duplicateWarning && (
+                <div className="mt-6 p-4 rounded-xl bg-yellow-50 border border-yellow-300 text-sm" role="alert">
+                    <p className="font-bold text-yellow-900 flex items-center">
+                        <AlertCircle className="w-4 h-4 mr-2" />
+                        {duplicateWarning.duplicates.length > 0
+                            ? "This looks like an event that's already been shared:"
+                            : 'A similar submission is already awaiting review.'}
+                    </p>
+                    {duplicateWarning.duplicates.length > 0 && (
+                        <ul className="mt-2 space-y-1 text-gray-700">
+                            {duplicateWarning.duplicates.map(({ event, reasons }) => (
+                                <li key={event.id}>
+                                    <span className="font-semibold">{event.title}</span> · {formatEventRange(event)} · {event.location}
+                                    <span className="text-xs text-gray-500"> ({reasons.join(', ')})</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {duplicateWarning.duplicates.length > 0 && duplicateWarning.awaitingReview && (
+                        <p className="mt-2 text-gray-700">A similar submission is also awaiting review.</p>
+                    )}
+                    <p className="mt-2 text-gray-700">If it's a different event, submit again and a moderator will take a look.</p>
+                </div>
+            )}
+
             <button 
                 type="submit" 
-                disabled={isSubmitting}
+                disabled={isSubmitting || isPreparingImage}
                 className="w-full mt-6 bg-gradient-to-r from-pink-500 to-purple-600 text-white p-3 rounded-xl font-extrabold text-lg shadow-lg hover:from-pink-600 hover:to-purple-700 transition duration-300 disabled:from-gray-400 disabled:to-gray-500 flex justify-center items-center transform active:scale-[0.99]"
             >
                 {isSubmitting ? (
@@ -302,155 +1859,3192 @@ const AddEventForm = ({ db, userId, onSubmissionSuccess }) => {
                         <Loader className="w-5 h-5 mr-2 animate-spin" />
                         Submitting...
                     </>
+                ) : duplicateWarning ? (
+                    "It's a Different Event - Submit Anyway"
+                ) : onSave ? (
+                    'Save Changes'
+                ) : existingEvent ? (
+                    existingEvent.status === 'approved' ? 'Submit Changes for Review' : 'Resubmit for Review'
                 ) : (
                     'Submit Event for Review'
                 )}
             </button>
+            {onCancel && (
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="w-full mt-2 p-2 rounded-xl font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 transition"
+                >
+                    Cancel
+                </button>
+            )}
         </form>
     );
 };
 
-// Component for Filter Buttons
-const FilterButton = ({ label, isSelected, onClick }) => (
-    <button
-        onClick={onClick}
-        className={`px-3 py-1.5 text-sm rounded-full font-bold transition duration-200 shadow-md transform active:scale-95 ${
-            isSelected 
-                ? 'bg-teal-500 text-white border-teal-600 shadow-lg shadow-teal-300/50' 
-                : 'bg-white text-gray-700 border border-gray-300 hover:bg-teal-50'
-        }`}
-    >
-        {label}
-    </button>
-);
+// --- Submitter Self-Service ---
+
+// Fields a submitter may change on their own event. Must match submitterEditableFields() in firestore.rules.
+const SUBMITTER_EDITABLE_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'description', label: 'Description' },
+    { key: 'date', label: 'Start' },
+    { key: 'endDate', label: 'End' },
+    { key: 'allDay', label: 'All Day' },
+    { key: 'location', label: 'Location' },
+    { key: 'coordinates', label: 'Map Pin' },
+    { key: 'locationPrivacy', label: 'Address Privacy' },
+    { key: 'eventLink', label: 'Event Link' },
+    { key: 'imageUrl', label: 'Image' },
+    { key: 'imageAlt', label: 'Image description' },
+    { key: 'type', label: 'Event Type' },
+    { key: 'communityFocus', label: 'Community Focus' },
+    { key: 'categories', label: 'Category' },
+    { key: 'accessibility', label: 'Accessibility' },
+    { key: 'cost', label: 'Cost' },
+    { key: 'ageRestriction', label: 'Age' },
+    { key: 'recurrence', label: 'Repeats' },
+    { key: 'organizerName', label: 'Organizer' }, // changes with organizerId, and reads better in diffs
+    { key: 'organizerId' },
+    { key: 'timeZone' },
+    { key: 'endsAt' },
+];
+
+const SUBMISSION_STATUS_STYLES = {
+    pending: { label: 'Pending Review', className: 'bg-yellow-100 text-yellow-800' },
+    approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+    rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+    unpublished: { label: 'Unpublished', className: 'bg-orange-100 text-orange-800' },
+    withdrawn: { label: 'Withdrawn', className: 'bg-gray-200 text-gray-700' },
+    reported: { label: 'Hidden After Reports', className: 'bg-orange-100 text-orange-800' },
+};
+
+// Key order and Timestamp/GeoPoint instances don't count as differences
+const stableStringify = (value) => JSON.stringify(value === undefined ? null : value, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+        : v
+));
+
+// Keys of the user-facing fields in `changes` that differ from `original`
+// Blank text and empty lists count the same as a missing field, e.g. on events from before the field existed
+const blankToNull = (value) => (value === '' || (Array.isArray(value) && value.length === 0) ? null : value);
+
+const getChangedFieldKeys = (original, changes) => SUBMITTER_EDITABLE_FIELDS
+    .filter(({ key, label }) => label && key in changes
+        && stableStringify(blankToNull(original[key])) !== stableStringify(blankToNull(changes[key])))
+    .map(({ key }) => key);
+
+const getChangedFields = (original, changes) => getChangedFieldKeys(original, changes)
+    .map(key => SUBMITTER_EDITABLE_FIELDS.find(field => field.key === key).label);
+
+// The editable fields of an event, with missing ones as null
+const pickEditableFields = (event, keys = SUBMITTER_EDITABLE_FIELDS.map(({ key }) => key)) => Object.fromEntries(
+    keys.map(key => [key, event[key] === undefined ? null : event[key]])
+);
+
+// Edits to live (approved) events become a pending revision in eventRevisions/{eventId}, leaving the
+// listing untouched until a moderator approves it. Anything not yet live is updated and re-queued directly.
+const submitEventEdit = async (repository, event, eventFields, userId, privateLocation = null) => {
+    if (event.status === 'approved') {
+        await repository.submitRevision(event, {
+            changes: eventFields,
+            changedFields: getChangedFields(event, eventFields),
+            previousValues: pickEditableFields(event, getChangedFieldKeys(event, eventFields)),
+            privateLocation,
+        }, { userId });
+        return;
+    }
+    await repository.update(event, eventFields);
+};
+
+// The signed-in user's own submissions with their review status, plus edit and withdraw actions, and links to
+// their organizer profiles.
+const MySubmissions = ({ repository, storage, taxonomy, userId, isAnonymous, liveEvents }) => {
+    const [submissions, setSubmissions] = useState([]);
+    const [organizers, setOrganizers] = useState([]);
+    const [revisions, setRevisions] = useState({}); // eventId -> revision
+    const [loading, setLoading] = useState(true);
+    const [editingId, setEditingId] = useState(null);
+    const [notice, setNotice] = useState('');
+    const [actionError, setActionError] = useState('');
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribe({ submittedBy: userId }, (fetchedEvents) => {
+            fetchedEvents.sort((a, b) => toJsDate(b.submittedAt) - toJsDate(a.submittedAt));
+            setSubmissions(fetchedEvents);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error listening to your submissions:", error);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        const unsubscribe = repository.subscribeToOrganizers({ ownerId: userId }, (fetchedOrganizers) => {
+            setOrganizers(fetchedOrganizers.sort((a, b) => a.name.localeCompare(b.name)));
+        }, (error) => {
+            console.error("Error listening to your organizer profiles:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        const unsubscribe = repository.subscribeToRevisions({ submittedBy: userId }, (fetchedRevisions) => {
+            setRevisions(Object.fromEntries(fetchedRevisions.map(revision => [revision.id, revision])));
+        }, (error) => {
+            console.error("Error listening to your pending changes:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    const handleWithdraw = async (event) => {
+        if (!window.confirm(`Withdraw "${event.title}"? It will no longer be listed or reviewed.`)) return;
+        setActionError('');
+        try {
+            await repository.withdraw(event, { revisionId: revisions[event.id] && revisions[event.id].id });
+        } catch (error) {
+            console.error(`Error withdrawing event ${event.id}:`, error);
+            setActionError(`Could not withdraw "${event.title}". Please try again.`);
+        }
+    };
+
+    const handleEditSuccess = (event) => {
+        setEditingId(null);
+        setNotice(event.status === 'approved'
+            ? `Your changes to "${event.title}" were sent for review. The current version stays listed until then.`
+            : `"${event.title}" was updated and is pending review.`);
+        setTimeout(() => setNotice(''), 5000);
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-3xl shadow-2xl border-t-4 border-purple-500">
+            <h3 className="text-2xl font-bold mb-2 text-purple-700 flex items-center">
+                <Inbox className="w-5 h-5 mr-2 stroke-2"/>
+                My Submissions
+            </h3>
+            {isAnonymous && (
+                <p className="text-xs text-gray-500 mb-4">
+                    Submissions and organizer profiles are tied to this browser. Clearing your browser data means you can no longer edit them.
+                </p>
+            )}
+
+            {organizers.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                    <span className="font-bold text-gray-700">Your organizer profiles:</span>
+                    {organizers.map(organizer => (
+                        <RouterLink
+                            key={organizer.id}
+                            to={getOrganizerPath(organizer.id)}
+                            className="flex items-center px-3 py-1 rounded-full bg-purple-50 border border-purple-200 font-semibold text-purple-700 hover:bg-purple-100 transition"
+                        >
+                            <Building2 className="w-4 h-4 mr-1" /> {organizer.name}
+                            {organizer.trusted && <Shield className="w-3 h-3 ml-1 text-teal-600" aria-label="Trusted" />}
+                        </RouterLink>
+                    ))}
+                </div>
+            )}
+
+            {notice && (
+                <div className="flex items-center p-3 mb-4 text-sm text-green-800 rounded-xl bg-green-100 font-semibold shadow-inner" role="status">
+                    <CheckCircle className="w-4 h-4 mr-2" />
+                    {notice}
+                </div>
+            )}
+            {actionError && (
+                <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {actionError}
+                </div>
+            )}
+
+            {loading && <p className="text-center text-purple-600">Loading your submissions...</p>}
+
+            {!loading && submissions.length === 0 && (
+                <p className="text-center text-gray-600">You haven't shared any events yet.</p>
+            )}
+
+            <div className="space-y-4">
+                {submissions.map(event => {
+                    const status = SUBMISSION_STATUS_STYLES[event.status] || SUBMISSION_STATUS_STYLES.pending;
+                    const revision = revisions[event.id];
+
+                    if (editingId === event.id) {
+                        return (
+                            <AddEventForm
+                                key={event.id}
+                                repository={repository}
+                                storage={storage}
+                                taxonomy={taxonomy}
+                                userId={userId}
+                                existingEvent={event}
+                                revision={revision}
+                                existingEvents={liveEvents}
+                                onSubmissionSuccess={() => handleEditSuccess(event)}
+                                onCancel={() => setEditingId(null)}
+                            />
+                        );
+                    }
+
+                    return (
+                        <div key={event.id} className="p-4 bg-gray-50 rounded-xl shadow-sm border border-gray-200">
+                            <div className="flex justify-between items-start gap-2">
+                                <p className="font-bold text-lg text-gray-900">{event.title}</p>
+                                <span className={`text-xs font-bold px-3 py-1 rounded-full whitespace-nowrap ${status.className}`}>
+                                    {status.label}
+                                </span>
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                {formatEventRange(event)}{event.recurrence && ` · ${describeRecurrence(event.recurrence)}`}
+                            </p>
+                            {event.statusReason && (event.status === 'rejected' || event.status === 'unpublished') && (
+                                <p className="text-sm text-red-700 mt-2 font-semibold">
+                                    Moderator note: {event.statusReason}
+                                </p>
+                            )}
+                            {revision && (revision.status === 'pending' || revision.status === 'flagged') && (
+                                <p className="text-sm text-yellow-800 mt-2 font-semibold">
+                                    Changes to {revision.changedFields.join(', ') || 'this event'} are waiting for review.
+                                </p>
+                            )}
+                            {revision && revision.status === 'rejected' && (
+                                <p className="text-sm text-red-700 mt-2 font-semibold">
+                                    Your latest changes weren't approved: {revision.statusReason}
+                                </p>
+                            )}
+                            {event.status === 'reported' && (
+                                <p className="text-sm text-orange-800 mt-2 font-semibold">
+                                    This event was hidden after several reports and is waiting for a moderator.
+                                </p>
+                            )}
+                            {event.locationPrivacy === 'on-request' && event.status !== 'withdrawn' && (
+                                <AddressRequests repository={repository} event={event} />
+                            )}
+                            {event.status !== 'withdrawn' && (
+                                <div className="mt-3 flex flex-wrap gap-2">
+                                    {event.status !== 'reported' && (
+                                        <button
+                                            onClick={() => setEditingId(event.id)}
+                                            className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow bg-purple-500 hover:bg-purple-600"
+                                        >
+                                            <Pencil className="w-4 h-4 mr-1"/> {revision && revision.status !== 'rejected' ? 'Edit Pending Changes' : 'Edit'}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => handleWithdraw(event)}
+                                        className="flex items-center text-sm font-semibold text-gray-700 px-3 py-1 rounded-full transition shadow bg-gray-200 hover:bg-gray-300"
+                                    >
+                                        <Trash2 className="w-4 h-4 mr-1"/> Withdraw
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- Saved Events ---
+
+// The user's saved ("interested") events: upcoming ones by date (a series by its next date), then past ones,
+// most recent first. `savedEventIds` are series or one-off event ids; `renderEventCard` draws each event.
+// Events that are no longer listed can be removed with onRemove(eventId).
+const SavedEvents = ({ repository, savedEventIds, isAnonymous, renderEventCard, onRemove, onSignIn = null }) => {
+    const [eventsById, setEventsById] = useState({}); // event id -> event, or null once it's missing
+    const idsKey = [...savedEventIds].sort().join(',');
+
+    useEffect(() => {
+        if (!repository || !idsKey) return;
+
+        const unsubscribes = idsKey.split(',').map(eventId => repository.subscribeToEvent(eventId, (event) => {
+            setEventsById(prev => ({ ...prev, [eventId]: event }));
+        }, (error) => {
+            console.error(`Error loading saved event ${eventId}:`, error);
+            setEventsById(prev => ({ ...prev, [eventId]: null }));
+        }));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [repository, idsKey]);
+
+    const { upcoming, past, unlisted, loading } = useMemo(() => {
+        const ids = idsKey ? idsKey.split(',') : [];
+        const listed = ids.map(id => eventsById[id]).filter(event => event && event.status === 'approved');
+        const now = new Date();
+        const windowEnd = zonedTimeToDate(addDaysToKey(toDateKey(now), RECURRENCE_WINDOW_DAYS));
+        const nextDates = new Map();
+        listUpcomingEvents(listed, { now, windowEnd }).forEach(event => {
+            const seriesId = event.seriesId || event.id;
+            if (!nextDates.has(seriesId)) nextDates.set(seriesId, event);
+        });
+        // Series with no date inside the window yet still count as upcoming, after the rest
+        const later = listed.filter(event => !nextDates.has(event.id) && computeEndsAt(event) > now);
+        return {
+            upcoming: [...nextDates.values(), ...later],
+            past: listed.filter(event => computeEndsAt(event) <= now).sort((a, b) => getEventStart(b) - getEventStart(a)),
+            unlisted: ids.filter(id => eventsById[id] === null || (eventsById[id] && eventsById[id].status !== 'approved')),
+            loading: ids.some(id => eventsById[id] === undefined),
+        };
+    }, [eventsById, idsKey]);
+
+    return (
+        <div className="p-6 bg-white rounded-3xl shadow-2xl border-t-4 border-pink-500">
+            <h3 className="text-2xl font-bold mb-2 text-pink-700 flex items-center">
+                <Bookmark className="w-5 h-5 mr-2 stroke-2"/>
+                My Saved Events
+            </h3>
+            {isAnonymous && (
+                <p className="text-xs text-gray-500 mb-4">
+                    Saved events are tied to this browser.{' '}
+                    {onSignIn && (
+                        <button onClick={onSignIn} className="font-semibold text-purple-700 hover:underline">
+                            Create an account to keep them on any device.
+                        </button>
+                    )}
+                </p>
+            )}
+
+            {savedEventIds.length === 0 && (
+                <p className="text-center text-gray-600">Tap "Interested" on an event to save it here.</p>
+            )}
+            {loading && <p className="text-center text-pink-600">Loading your saved events...</p>}
+
+            {upcoming.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {upcoming.map(renderEventCard)}
+                </div>
+            )}
+
+            {past.length > 0 && (
+                <>
+                    <h4 className="mt-6 mb-3 text-lg font-bold text-gray-700 flex items-center">
+                        <Archive className="w-4 h-4 mr-2 text-gray-500" /> Past
+                    </h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {past.map(renderEventCard)}
+                    </div>
+                </>
+            )}
+
+            {unlisted.length > 0 && (
+                <div className="mt-6 p-4 rounded-xl bg-gray-50 border border-gray-200 text-sm text-gray-700">
+                    <p className="font-semibold">
+                        {unlisted.length === 1 ? 'One saved event is' : `${unlisted.length} saved events are`} no longer listed.
+                    </p>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                        {unlisted.map(eventId => (
+                            <button
+                                key={eventId}
+                                onClick={() => onRemove(eventId)}
+                                className="flex items-center text-xs font-semibold text-gray-700 px-3 py-1 rounded-full transition shadow bg-gray-200 hover:bg-gray-300"
+                            >
+                                <Trash2 className="w-3 h-3 mr-1"/> Remove {eventsById[eventId] ? `"${eventsById[eventId].title}"` : 'it'}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Organizers ---
+
+// Organizer profiles live in artifacts/{appId}/public/data/organizers (see firestore.rules), read and written
+// through the event repository. Events store the organizer's id and a copy of its name.
+
+const MAX_ORGANIZER_LINKS = 5;
+
+// Organizer links are rendered as hrefs, so only web addresses are shown (like isWebLink in firestore.rules)
+const isWebLink = (link) => typeof link === 'string' && /^https?:\/\/./i.test(link);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Creates (without `organizer`) or edits an organizer profile, then calls onSaved with its id. It's a plain
+// block rather than a <form> so it can sit inside the event form; Enter in a field saves the profile.
+// Logos need `storage`; without it the logo option is hidden.
+const OrganizerForm = ({ repository, storage, userId, organizer = null, onSaved, onCancel }) => {
+    const initial = organizer || {};
+    const [name, setName] = useState(initial.name || '');
+    const [bio, setBio] = useState(initial.bio || '');
+    const [linksText, setLinksText] = useState((initial.links || []).join('\n')); // one per line
+    const [contactEmail, setContactEmail] = useState(initial.contactEmail || '');
+    const [logoUrl, setLogoUrl] = useState(initial.logoUrl || ''); // already stored logo
+    const [logoBlob, setLogoBlob] = useState(null); // newly picked logo, uploaded on save
+    const [logoPreview, setLogoPreview] = useState(initial.logoUrl || '');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Free the previous preview's memory when it's replaced
+    useEffect(() => () => {
+        if (logoPreview.startsWith('blob:')) URL.revokeObjectURL(logoPreview);
+    }, [logoPreview]);
+
+    const handleLogoChange = async (e) => {
+        const file = e.target.files[0];
+        setError('');
+        if (!file) return;
+        try {
+            const blob = await prepareEventImage(file, 0.5, { maxWidth: ORGANIZER_LOGO_SIZE, aspect: 1 });
+            setLogoBlob(blob);
+            setLogoPreview(URL.createObjectURL(blob));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRemoveLogo = () => {
+        setLogoUrl('');
+        setLogoBlob(null);
+        setLogoPreview('');
+    };
+
+    const handleSave = async () => {
+        setError('');
+        const links = linksText.split('\n').map(link => link.trim()).filter(Boolean);
+        if (!name.trim()) {
+            setError('Please give the organizer a name.');
+            return;
+        }
+        if (links.length > MAX_ORGANIZER_LINKS) {
+            setError(`Please list at most ${MAX_ORGANIZER_LINKS} links.`);
+            return;
+        }
+        const linkError = links.map(link => checkEventLink(link).error).find(Boolean);
+        if (linkError) {
+            setError(linkError);
+            return;
+        }
+        if (contactEmail.trim() && !EMAIL_PATTERN.test(contactEmail.trim())) {
+            setError('The contact email looks mistyped.');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const organizerFields = {
+                name: name.trim(),
+                bio: bio.trim(),
+                logoUrl: logoBlob ? await uploadEventImage(storage, userId, logoBlob, 'organizerLogos') : logoUrl,
+                links,
+                contactEmail: contactEmail.trim(),
+            };
+            onSaved(await repository.saveOrganizer(organizer, organizerFields, { userId }));
+        } catch (err) {
+            console.error("Error saving organizer:", err);
+            setError('Could not save the organizer. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+            handleSave();
+        }
+    };
+
+    const inputClasses = "w-full p-2 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500 shadow-sm text-sm";
+
+    return (
+        <div onKeyDown={handleKeyDown} className="space-y-3">
+            {error && (
+                <div className="flex items-center p-3 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                </div>
+            )}
+            <input type="text" placeholder="Organizer or group name (Required)" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} className={inputClasses} />
+            <textarea placeholder="About the organizer" value={bio} onChange={(e) => setBio(e.target.value)} maxLength={2000} rows="3" className={inputClasses} />
+            <textarea
+                placeholder={`Website and social links, one per line (up to ${MAX_ORGANIZER_LINKS})`}
+                value={linksText}
+                onChange={(e) => setLinksText(e.target.value)}
+                rows="2"
+                className={inputClasses}
+            />
+            <input type="email" placeholder="Public contact email" value={contactEmail} onChange={(e) => setContactEmail(e.target.value)} maxLength={200} className={inputClasses} />
+            {storage && (
+                <div className="flex items-center gap-3">
+                    {logoPreview && (
+                        <div className="relative flex-shrink-0">
+                            <img src={logoPreview} alt="Logo preview" className="w-16 h-16 rounded-full object-cover border border-gray-200" />
+                            <button
+                                type="button"
+                                onClick={handleRemoveLogo}
+                                className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-1 shadow-md hover:bg-red-600 transition"
+                                title="Remove Logo"
+                            >
+                                <X className="w-3 h-3"/>
+                            </button>
+                        </div>
+                    )}
+                    <label className="flex-1 text-sm font-bold text-gray-700">
+                        Logo (cropped square)
+                        <input
+                            type="file"
+                            accept="image/png, image/jpeg, image/webp"
+                            onChange={handleLogoChange}
+                            className="block w-full mt-1 text-sm font-normal text-gray-500 file:py-1 file:px-3 file:mr-2 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-pink-100 file:text-pink-700 hover:file:bg-pink-200"
+                        />
+                    </label>
+                </div>
+            )}
+            <div className="flex gap-2">
+                <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-bold text-white bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400 transition"
+                >
+                    {isSaving ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <CheckCircle className="w-4 h-4 mr-1" />}
+                    {organizer ? 'Save Profile' : 'Create Organizer'}
+                </button>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-4 py-2 rounded-lg text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 transition"
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Component for Filter Buttons
+const FilterButton = ({ label, isSelected, onClick }) => (
+    <button
+        onClick={onClick}
+        className={`px-3 py-1.5 text-sm rounded-full font-bold transition duration-200 shadow-md transform active:scale-95 ${
+            isSelected 
+                ? 'bg-teal-500 text-white border-teal-600 shadow-lg shadow-teal-300/50' 
+                : 'bg-white text-gray-700 border border-gray-300 hover:bg-teal-50'
+        }`}
+    >
+        {label}
+    </button>
+);
+
+// Messages for account creation failures people can fix themselves
+const ACCOUNT_ERRORS = {
+    'auth/email-already-in-use': 'That email already has an account. Sign in instead.',
+    'auth/credential-already-in-use': 'That email already has an account. Sign in instead.',
+    'auth/invalid-email': 'That email address looks mistyped.',
+    'auth/weak-password': 'Please use a password of at least 6 characters.',
+};
+
+// Email/password sign-in, for moderators and anyone keeping their saved events across devices. Anonymous users
+// can never moderate. Creating an account upgrades the anonymous user in place, so its uid, saved events and
+// submissions carry over (onAccountCreated gets the upgraded user). Signing in to an existing account moves the
+// anonymous user's saved events over through the transferSavedEvents function, when `functions` is given;
+// onSavedEventsNotMoved is called if that fails (the form has usually closed by then).
+const SignInForm = ({ auth, functions, onClose, onAccountCreated, onSavedEventsNotMoved = () => {} }) => {
+    const [isCreatingAccount, setIsCreatingAccount] = useState(false);
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSigningIn, setIsSigningIn] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (!email || !password) {
+            setError('Please enter your email and password.');
+            return;
+        }
+
+        setIsSigningIn(true);
+        const anonymousUser = auth.currentUser && auth.currentUser.isAnonymous ? auth.currentUser : null;
+        try {
+            if (isCreatingAccount) {
+                if (!anonymousUser) throw Object.assign(new Error('No anonymous session to upgrade'), { code: 'auth/no-current-user' });
+                const { user } = await linkWithCredential(anonymousUser, EmailAuthProvider.credential(email, password));
+                onAccountCreated(user);
+            } else {
+                // Proof of the anonymous session, taken before signing in replaces it
+                const anonymousIdToken = anonymousUser && functions ? await anonymousUser.getIdToken() : null;
+                await signInWithEmailAndPassword(auth, email, password);
+                if (anonymousIdToken) {
+                    try {
+                        const transferSavedEvents = httpsCallable(functions, 'transferSavedEvents');
+                        await transferSavedEvents({ appId, anonymousIdToken });
+                    } catch (err) {
+                        // Signed in all the same; only the saved events were left behind
+                        console.error("Couldn't move the saved events to this account:", err);
+                        onSavedEventsNotMoved();
+                    }
+                }
+            }
+            setPassword('');
+            onClose();
+        } catch (err) {
+            console.error(isCreatingAccount ? "Account creation failed:" : "Sign-in failed:", err);
+            setError(isCreatingAccount
+                ? ACCOUNT_ERRORS[err.code] || 'Could not create the account. Please try again.'
+                : 'Sign-in failed. Check your email and password.');
+        } finally {
+            setIsSigningIn(false);
+        }
+    };
+
+    const inputClasses = "p-3 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500 shadow-sm transition duration-150";
+
+    return (
+        <form onSubmit={handleSubmit} className="p-6 bg-white rounded-3xl shadow-2xl border-t-4 border-purple-500 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-2xl font-bold text-purple-700 flex items-center">
+                    {isCreatingAccount ? <User className="w-5 h-5 mr-2"/> : <LogIn className="w-5 h-5 mr-2"/>}
+                    {isCreatingAccount ? 'Create an Account' : 'Sign In'}
+                </h3>
+                <button type="button" onClick={onClose} className="text-gray-500 hover:text-purple-700 transition">
+                    <X className="w-5 h-5" />
+                </button>
+            </div>
+
+            {error && (
+                <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <input type="email" placeholder="Email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClasses} required />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    autoComplete={isCreatingAccount ? 'new-password' : 'current-password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputClasses}
+                    required
+                />
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+                {isCreatingAccount
+                    ? 'Keeps your saved events and submissions from this browser, and lets you use them on any device.'
+                    : 'Saved events from this browser move to your account. Moderators sign in here too.'}
+            </p>
+
+            <button
+                type="submit"
+                disabled={isSigningIn}
+                className="w-full mt-4 bg-purple-600 text-white p-3 rounded-xl font-bold shadow-lg hover:bg-purple-700 transition duration-300 disabled:bg-gray-400 flex justify-center items-center"
+            >
+                {isSigningIn ? (
+                    <>
+                        <Loader className="w-5 h-5 mr-2 animate-spin" />
+                        Signing in...
+                    </>
+                ) : (
+                    <>
+                        {isCreatingAccount ? <User className="w-5 h-5 mr-2" /> : <LogIn className="w-5 h-5 mr-2" />}
+                        {isCreatingAccount ? 'Create Account' : 'Sign In'}
+                    </>
+                )}
+            </button>
+            <button
+                type="button"
+                onClick={() => { setIsCreatingAccount(!isCreatingAccount); setError(''); }}
+                className="w-full mt-2 text-sm font-semibold text-purple-700 hover:underline"
+            >
+                {isCreatingAccount ? 'Already have an account? Sign in' : 'New here? Create an account'}
+            </button>
+        </form>
+    );
+};
+
+// Labels for every moderation action recorded in the moderation log
+const MODERATION_ACTIONS = {
+    approve: 'Approved',
+    reject: 'Rejected',
+    unpublish: 'Unpublished',
+    restore: 'Restored to Pending',
+    cancelOccurrence: 'Cancelled One Date',
+    import: 'Imported',
+    purge: 'Purged',
+    approveRevision: 'Approved Changes',
+    rejectRevision: 'Rejected Changes',
+    edit: 'Edited',
+    merge: 'Merged Duplicate',
+    autoHide: 'Hidden After Reports',
+    autoApprove: 'Approved (Trusted Organizer)',
+    dismissReports: 'Dismissed Reports',
+    trust: 'Trusted Organizer',
+    untrust: 'Stopped Trusting Organizer',
+};
+
+// Applies a moderation action to an event and logs it (see eventRepository.js)
+const moderateEvent = (repository, event, { action, newStatus = null, reason = '', moderator }) => repository.moderate(event, {
+    action,
+    newStatus,
+    reason,
+    moderator,
+    changes: { endsAt: Timestamp.fromDate(computeEndsAt(event)) }, // backfills events submitted before `endsAt` existed
+});
+
+// Applies a moderator's fixes to an event. The first edit keeps a copy of the fields as submitted
+// in `originalSubmission` so later reviewers can diff against it.
+const editEventAsModerator = (repository, event, eventFields, moderator) => repository.edit(event, {
+    ...eventFields,
+    ...(event.originalSubmission ? {} : { originalSubmission: pickEditableFields(event) }),
+}, {
+    reason: `Changed: ${getChangedFields(event, eventFields).join(', ')}`,
+    moderator,
+});
+
+// Details that can be filled in from a duplicate without changing when or what the event is
+const MERGE_FILLABLE_FIELDS = ['description', 'location', 'coordinates', 'eventLink', 'imageUrl', 'accessibility', 'cost', 'ageRestriction'];
+
+// Rough measure of how complete an event's details are
+const getEventRichness = (event) => (
+    ['imageUrl', 'eventLink', 'endDate', 'recurrence'].filter(key => event[key]).length +
+    (getEventCoordinates(event) ? 1 : 0) +
+    (event.communityFocus || []).length * 0.5 +
+    Math.min((event.description || '').length, 1000) / 200
+);
+
+// Which of two duplicates survives and with what details. A live event always keeps its place (and id,
+// so calendar subscriptions don't see a new event); otherwise the richer record does. The keeper stays
+// as it is apart from blank MERGE_FILLABLE_FIELDS filled in from the other and their tags combined. Its
+// host and location privacy never change, as the other's private address doesn't move with it, so an
+// address shared on request isn't used to fill in the keeper's location either.
+const planDuplicateMerge = (a, b) => {
+    const richer = getEventRichness(a) >= getEventRichness(b) ? a : b;
+    const keeper = a.status === 'approved' ? a : b.status === 'approved' ? b : richer;
+    const removed = keeper === a ? b : a;
+
+    const mergedFields = pickEditableFields(keeper);
+    const fillable = removed.locationPrivacy === 'on-request'
+        ? MERGE_FILLABLE_FIELDS.filter(key => !['location', 'coordinates'].includes(key))
+        : MERGE_FILLABLE_FIELDS;
+    fillable.forEach(key => {
+        if (blankToNull(mergedFields[key]) === null && removed[key]) mergedFields[key] = removed[key];
+    });
+    if (!keeper.imageUrl && removed.imageUrl) mergedFields.imageAlt = removed.imageAlt || ''; // alt text follows its image
+    TAG_GROUPS.forEach(({ key }) => {
+        mergedFields[key] = [...new Set([...(keeper[key] || []), ...(removed[key] || [])])];
+    });
+    return { keeper, removed, mergedFields };
+};
+
+// Merges two duplicates: the keeper gets the merged details, the other is rejected pointing at it
+const mergeDuplicateEvents = (repository, a, b, moderator) => {
+    const { keeper, removed, mergedFields } = planDuplicateMerge(a, b);
+    return repository.merge(keeper, removed, {
+        keeperChanges: {
+            ...mergedFields,
+            ...(keeper.originalSubmission ? {} : { originalSubmission: pickEditableFields(keeper) }),
+        },
+        removedChanges: {
+            duplicateOf: keeper.id,
+            endsAt: Timestamp.fromDate(computeEndsAt(removed)),
+        },
+        reason: `Duplicate of "${keeper.title}"`,
+        moderator,
+    });
+};
+
+// Human-readable value of an editable field, for diffs
+const formatFieldValue = (key, value) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '(none)';
+    if (key === 'date' || key === 'endDate') {
+        const date = toJsDate(value);
+        return `${formatShortDay(date)} ${formatTime(date)}`;
+    }
+    if (key === 'recurrence') return describeRecurrence(value);
+    if (key === 'coordinates') {
+        const point = getEventCoordinates({ coordinates: value });
+        return point ? `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}` : '(none)';
+    }
+    if (key === 'imageUrl') return value.startsWith('data:') ? 'Uploaded image' : value;
+    if (key === 'locationPrivacy') return value === 'on-request' ? 'Shared on request' : 'Public';
+    if (EVENT_DETAIL_FIELDS.some(field => field.key === key)) return [value].flat().map(id => getDetailLabel(key, id)).join(', ');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+};
+
+// Field-by-field changes between two versions of an event; only fields present in `before` are compared
+const FieldDiff = ({ title, before, after }) => {
+    const changedKeys = getChangedFieldKeys(after, before);
+    if (changedKeys.length === 0) return null;
+
+    return (
+        <div className="mt-3 p-3 bg-purple-50 rounded-lg border border-purple-200 text-xs">
+            <p className="font-bold text-purple-800 mb-1">{title}</p>
+            <dl className="space-y-1">
+                {changedKeys.map(key => (
+                    <div key={key}>
+                        <dt className="font-semibold text-gray-700">{SUBMITTER_EDITABLE_FIELDS.find(field => field.key === key).label}</dt>
+                        <dd className="text-gray-600 break-words">
+                            <span className="line-through text-red-700">{formatFieldValue(key, before[key])}</span>
+                            {' → '}
+                            <span className="text-green-700 font-semibold">{formatFieldValue(key, after[key])}</span>
+                        </dd>
+                    </div>
+                ))}
+            </dl>
+        </div>
+    );
+};
+
+// Closes an event's open reports, either dismissing them (a hidden event is listed again) or
+// upholding them by unpublishing the event with a reason
+const resolveReports = (repository, event, reports, { action, reason = '', moderator }) => repository.resolveReports(event, reports, {
+    action,
+    reason,
+    moderator,
+    changes: { endsAt: Timestamp.fromDate(computeEndsAt(event)) },
+});
+
+// Why screening held an event or revision for review
+const ScreeningFlags = ({ flags }) => (flags && flags.length > 0 ? (
+    <div className="mt-2 p-2 bg-red-100 border border-red-300 rounded-lg text-xs text-red-800">
+        <p className="font-bold flex items-center"><Shield className="w-3 h-3 mr-1" /> Flagged by screening</p>
+        <ul className="list-disc ml-5">
+            {flags.map(flag => <li key={flag}>{flag}</li>)}
+        </ul>
+    </div>
+) : null);
+
+// Inline prompt used by actions that require a reason (reject, unpublish)
+const ReasonForm = ({ label, onConfirm, onCancel }) => {
+    const [reason, setReason] = useState('');
+
+    return (
+        <div className="mt-3 p-3 bg-red-50 rounded-lg border border-red-200">
+            <label className="block text-xs font-bold text-gray-700 mb-1">{label} (Required)</label>
+            <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows="2"
+                placeholder="Explain why, so the submitter and other moderators understand..."
+                className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500"
+            />
+            <div className="mt-2 flex space-x-2">
+                <button
+                    onClick={() => onConfirm(reason.trim())}
+                    disabled={!reason.trim()}
+                    className="text-sm font-semibold bg-red-500 text-white px-3 py-1 rounded-full hover:bg-red-600 transition shadow disabled:bg-gray-400"
+                >
+                    Confirm
+                </button>
+                <button
+                    onClick={onCancel}
+                    className="text-sm font-semibold bg-gray-200 text-gray-700 px-3 py-1 rounded-full hover:bg-gray-300 transition"
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const MODERATION_LOG_PAGE_SIZE = 50;
+
+// Browsable view of the moderation log, filtered by action, moderator and event in the query itself and
+// paged back from the newest entry
+const ModerationHistory = ({ repository }) => {
+    // The filters and the page to load; changing a filter starts again from the newest entry
+    const [logQuery, setLogQuery] = useState({ action: null, moderatorId: null, event: null, cursor: null });
+    const [entries, setEntries] = useState([]);
+    const [pageCursor, setPageCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [moderators, setModerators] = useState({}); // moderatorId -> label, from every entry seen so far
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        const { action, moderatorId, event, cursor } = logQuery;
+        setLoading(true);
+        setError('');
+        repository.fetchModerationLog({ action, moderatorId, eventId: event && event.id, cursor, pageSize: MODERATION_LOG_PAGE_SIZE })
+            .then((page) => {
+                if (cancelled) return;
+                setEntries(prev => (cursor ? [...prev, ...page.entries] : page.entries));
+                setPageCursor(page.cursor);
+                setHasMore(page.hasMore);
+                setModerators(prev => ({
+                    ...prev,
+                    ...Object.fromEntries(page.entries.map(entry => [entry.moderatorId, entry.moderatorEmail || entry.moderatorId])),
+                }));
+            })
+            .catch((err) => {
+                console.error("Error loading the moderation log:", err);
+                if (!cancelled) setError('Could not load the moderation history. Please try again.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [repository, logQuery]);
+
+    const changeFilter = (filter) => setLogQuery(prev => ({ ...prev, ...filter, cursor: null }));
+
+    const selectClasses = "p-2 text-sm border border-gray-300 rounded-lg bg-white";
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <select value={logQuery.action || ''} onChange={(e) => changeFilter({ action: e.target.value || null })} className={selectClasses}>
+                    <option value="">All actions</option>
+                    {Object.entries(MODERATION_ACTIONS).map(([action, label]) => (
+                        <option key={action} value={action}>{label}</option>
+                    ))}
+                </select>
+                <select value={logQuery.moderatorId || ''} onChange={(e) => changeFilter({ moderatorId: e.target.value || null })} className={selectClasses}>
+                    <option value="">All moderators</option>
+                    {Object.entries(moderators).map(([moderatorId, label]) => (
+                        <option key={moderatorId} value={moderatorId}>{label}</option>
+                    ))}
+                </select>
+                {logQuery.event ? (
+                    <span className="flex items-center text-sm font-semibold bg-gray-200 text-gray-800 px-3 py-1 rounded-full">
+                        Only &ldquo;{logQuery.event.title}&rdquo;
+                        <button onClick={() => changeFilter({ event: null })} className="ml-2 text-gray-500 hover:text-gray-800" aria-label="Show every event">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </span>
+                ) : (
+                    <span className="text-xs text-gray-500">Pick an event's title to see only its history.</span>
+                )}
+            </div>
+
+            {error && (
+                <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                </div>
+            )}
+
+            {!loading && !error && entries.length === 0 && (
+                <p className="text-center text-gray-600">No moderation actions match these filters.</p>
+            )}
+
+            <ul className="space-y-2">
+                {entries.map(entry => (
+                    <li key={entry.id} className="p-3 bg-white rounded-lg shadow-sm border-l-4 border-gray-400 text-sm">
+                        <p className="font-bold text-gray-900">
+                            {MODERATION_ACTIONS[entry.action] || entry.action}:{' '}
+                            {entry.organizerId ? (
+                                <RouterLink to={getOrganizerPath(entry.organizerId)} className="font-bold hover:underline">
+                                    {entry.eventTitle}
+                                </RouterLink>
+                            ) : (
+                                <button onClick={() => changeFilter({ event: { id: entry.eventId, title: entry.eventTitle } })} className="font-bold hover:underline text-left">
+                                    {entry.eventTitle}
+                                </button>
+                            )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                            {entry.moderatorEmail || entry.moderatorId} on {formatDate(entry.at)} &middot; {entry.previousStatus || 'new'} &rarr; {entry.newStatus || 'deleted'}
+                        </p>
+                        {entry.reason && <p className="text-gray-700 mt-1">Reason: {entry.reason}</p>}
+                    </li>
+                ))}
+            </ul>
+
+            {loading && <p className="text-center text-red-600 mt-4">Loading moderation history...</p>}
+
+            {!loading && hasMore && (
+                <button
+                    onClick={() => setLogQuery(prev => ({ ...prev, cursor: pageCursor }))}
+                    className="w-full mt-4 p-3 bg-white text-purple-700 font-bold rounded-xl shadow-md hover:bg-purple-50 transition"
+                >
+                    Load older entries
+                </button>
+            )}
+        </div>
+    );
+};
+
+// --- Bulk Import ---
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, embedded newlines)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Columns a CSV can be mapped onto, with header names we recognise automatically
+const CSV_IMPORT_FIELDS = [
+    { key: 'title', label: 'Title', aliases: ['title', 'name', 'event', 'event name', 'event title', 'summary'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'details', 'about'] },
+    { key: 'startDate', label: 'Start Date', aliases: ['date', 'start date', 'startdate', 'start'] },
+    { key: 'startTime', label: 'Start Time', aliases: ['time', 'start time', 'starttime'] },
+    { key: 'endDate', label: 'End Date', aliases: ['end date', 'enddate', 'end'] },
+    { key: 'endTime', label: 'End Time', aliases: ['end time', 'endtime'] },
+    { key: 'location', label: 'Location', aliases: ['location', 'venue', 'address', 'where'] },
+    { key: 'eventLink', label: 'Event Link', aliases: ['link', 'url', 'event link', 'website', 'rsvp'] },
+    { key: 'type', label: 'Event Type', aliases: ['type', 'event type', 'format'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'community focus', 'focus', 'community', 'categories', 'category'] },
+];
+
+const guessCsvMapping = (headers) => {
+    const normalized = headers.map(h => h.trim().toLowerCase().replace(/[_-]+/g, ' '));
+    const mapping = {};
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex(h => field.aliases.includes(h));
+        mapping[field.key] = index === -1 ? '' : String(index);
+    });
+    return mapping;
+};
+
+// '2026-06-27' or '6/27/2026' -> '2026-06-27'
+const parseCsvDate = (value) => {
+    const text = (value || '').trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (match) return `${match[1]}-${pad2(match[2])}-${pad2(match[3])}`;
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (match) return `${match[3]}-${pad2(match[1])}-${pad2(match[2])}`;
+    return null;
+};
+
+// '19:30', '7 PM' or '7:30pm' -> '19:30'
+const parseCsvTime = (value) => {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i.exec((value || '').trim());
+    if (!match) return null;
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (match[3]) {
+        const isPm = match[3].toLowerCase().startsWith('p');
+        if (hour === 12) hour = isPm ? 12 : 0;
+        else if (isPm) hour += 12;
+    }
+    if (hour > 23 || minute > 59) return null;
+    return `${pad2(hour)}:${pad2(minute)}`;
+};
+
+const csvRowToDraft = (row, mapping) => {
+    const cell = (key) => (mapping[key] !== '' && row[Number(mapping[key])] !== undefined ? row[Number(mapping[key])].trim() : '');
+    const warnings = [];
+
+    const startKey = parseCsvDate(cell('startDate'));
+    const endKey = parseCsvDate(cell('endDate')) || startKey;
+    const startTime = parseCsvTime(cell('startTime'));
+    const endTime = parseCsvTime(cell('endTime'));
+    if (cell('startDate') && !startKey) warnings.push(`Couldn't read the date "${cell('startDate')}".`);
+    if (cell('startTime') && !startTime) warnings.push(`Couldn't read the time "${cell('startTime')}".`);
+
+    const allDay = Boolean(startKey) && !startTime;
+    if (allDay && !cell('startTime')) warnings.push('No start time; imported as an all-day event.');
+
+    let date = null;
+    let endDate = null;
+    if (startKey) {
+        date = allDay ? zonedTimeToDate(startKey) : zonedTimeToDate(startKey, startTime);
+        if (allDay) endDate = zonedTimeToDate(addDaysToKey(endKey, 1));
+        else if (endTime) endDate = zonedTimeToDate(endKey, endTime);
+    }
+
+    const typeText = cell('type').toLowerCase();
+    return {
+        title: cell('title'),
+        description: cell('description'),
+        location: cell('location'),
+        eventLink: cell('eventLink'),
+        type: /remote|online|virtual/.test(typeText) ? 'Remote' : typeText ? 'In-Person' : '',
+        date,
+        endDate,
+        allDay,
+        recurrence: null,
+        categories: cell('tags').split(/[;,|]/).filter(Boolean),
+        warnings,
+    };
+};
+
+// Turns a parsed draft into an event document plus any problems that block importing it.
+// The draft's categories become tags in whichever groups of the taxonomy they match.
+const prepareImportedEvent = (draft, { defaultType, defaultFocus, taxonomy }) => {
+    const tags = Object.fromEntries(TAG_GROUPS.map(({ key }) => [key, matchTags(draft.categories, getActiveTags(taxonomy, key))]));
+    const event = {
+        title: draft.title,
+        description: draft.description,
+        location: draft.location,
+        coordinates: draft.coordinates || null,
+        eventLink: draft.eventLink,
+        type: draft.type || defaultType,
+        ...tags,
+        communityFocus: tags.communityFocus.length > 0 ? tags.communityFocus : defaultFocus,
+        date: draft.date,
+        endDate: draft.endDate || (draft.date && !draft.allDay ? new Date(draft.date.getTime() + DEFAULT_EVENT_HOURS * 3600000) : null),
+        allDay: draft.allDay,
+        recurrence: draft.recurrence,
+    };
+
+    const errors = [];
+    const missing = getMissingRequiredFields(event);
+    if (missing.length > 0) errors.push(`Missing ${missing.join(', ')}`);
+    if (event.date && event.endDate && event.endDate <= event.date) errors.push('Ends before it starts');
+    // Imported links go live as they are, so they get the same checks as the submission form's
+    const warnings = [...draft.warnings];
+    const linkCheck = checkEventLink(event.eventLink);
+    if (linkCheck.error) errors.push(linkCheck.error);
+    if (linkCheck.flag) warnings.push(linkCheck.flag);
+    return { event, errors, warnings };
+};
+
+const EventImporter = ({ repository, moderator, taxonomy }) => {
+    const [fileName, setFileName] = useState('');
+    const [format, setFormat] = useState(null); // 'ics' | 'csv'
+    const [icsDrafts, setIcsDrafts] = useState([]);
+    const [csvRows, setCsvRows] = useState([]);
+    const [csvMapping, setCsvMapping] = useState({});
+    const [defaultType, setDefaultType] = useState('In-Person');
+    const [defaultFocus, setDefaultFocus] = useState([]);
+    const [importStatus, setImportStatus] = useState('pending');
+    const [isImporting, setIsImporting] = useState(false);
+    const [error, setError] = useState('');
+    const [result, setResult] = useState('');
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        setError('');
+        setResult('');
+        setFormat(null);
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result);
+            setFileName(file.name);
+            if (/\.ics$/i.test(file.name) || text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+                setIcsDrafts(parseCalendar(text));
+                setFormat('ics');
+            } else {
+                const rows = parseCsv(text);
+                if (rows.length < 2) {
+                    setError('That CSV has no data rows. The first row must be the column headers.');
+                    return;
+                }
+                setCsvRows(rows);
+                setCsvMapping(guessCsvMapping(rows[0]));
+                setFormat('csv');
+            }
+        };
+        reader.onerror = () => setError('Failed to read the file.');
+        reader.readAsText(file);
+    };
+
+    const prepared = useMemo(() => {
+        const drafts = format === 'ics'
+            ? icsDrafts
+            : format === 'csv' ? csvRows.slice(1).map(row => csvRowToDraft(row, csvMapping)) : [];
+        return drafts.map(draft => prepareImportedEvent(draft, { defaultType, defaultFocus, taxonomy }));
+    }, [format, icsDrafts, csvRows, csvMapping, defaultType, defaultFocus, taxonomy]);
+
+    const validItems = prepared.filter(item => item.errors.length === 0);
+
+    const handleImport = async () => {
+        if (validItems.length === 0) return;
+        setIsImporting(true);
+        setError('');
+        setResult('');
+
+        try {
+            const eventsFields = validItems.map(({ event }) => {
+                const eventFields = {
+                    ...event,
+                    date: Timestamp.fromDate(event.date),
+                    endDate: event.endDate ? Timestamp.fromDate(event.endDate) : null,
+                    timeZone: EVENT_TIME_ZONE,
+                    coordinates: event.coordinates && event.type === 'In-Person'
+                        ? new GeoPoint(event.coordinates.lat, event.coordinates.lng)
+                        : null,
+                    imageUrl: '',
+                    imageAlt: '',
+                    recurrence: event.recurrence && {
+                        ...event.recurrence,
+                        until: event.recurrence.until ? Timestamp.fromDate(event.recurrence.until) : null,
+                    },
+                    importedFrom: format,
+                };
+                eventFields.endsAt = Timestamp.fromDate(computeEndsAt(eventFields));
+                return eventFields;
+            });
+            await repository.importEvents(eventsFields, { status: importStatus, reason: `Imported from ${fileName}`, moderator });
+            setResult(`Imported ${validItems.length} event${validItems.length === 1 ? '' : 's'} as ${importStatus}.`);
+            setFormat(null);
+        } catch (err) {
+            console.error("Error importing events:", err);
+            setError('The import failed part-way. Check the Pending and Approved tabs before retrying to avoid duplicates.');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const selectClasses = "p-2 text-sm border border-gray-300 rounded-lg bg-white";
+
+    return (
+        <div className="space-y-4">
+            <div className="p-4 bg-white rounded-xl shadow-md">
+                <label className="block text-sm font-bold text-gray-700 mb-1">Calendar file (.ics) or spreadsheet (.csv)</label>
+                <input
+                    type="file"
+                    accept=".ics,.csv,text/calendar,text/csv"
+                    onChange={handleFile}
+                    className="w-full text-sm text-gray-500 file:py-2 file:px-4 file:mr-2 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-red-100 file:text-red-700 hover:file:bg-red-200"
+                />
+            </div>
+
+            {error && (
+                <div className="flex items-center p-3 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                </div>
+            )}
+
+            {result && (
+                <p className="text-center text-lg font-semibold text-green-700 flex items-center justify-center">
+                    <CheckCircle className="w-5 h-5 mr-2" /> {result}
+                </p>
+            )}
+
+            {format === 'csv' && (
+                <div className="p-4 bg-white rounded-xl shadow-md">
+                    <p className="text-sm font-bold text-gray-700 mb-2">Match your columns</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {CSV_IMPORT_FIELDS.map(field => (
+                            <label key={field.key} className="flex items-center justify-between text-sm gap-2">
+                                <span className="font-semibold text-gray-700">{field.label}</span>
+                                <select
+                                    value={csvMapping[field.key]}
+                                    onChange={(e) => setCsvMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                                    className={selectClasses}
+                                >
+                                    <option value="">(not in file)</option>
+                                    {csvRows[0].map((header, index) => (
+                                        <option key={index} value={String(index)}>{header || `Column ${index + 1}`}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {format && (
+                <>
+                    <div className="p-4 bg-white rounded-xl shadow-md space-y-3">
+                        <p className="text-sm font-bold text-gray-700">Defaults for rows that don't say</p>
+                        <div className="flex flex-wrap items-center gap-2">
+                            <span className="text-sm text-gray-700">Event type:</span>
+                            <select value={defaultType} onChange={(e) => setDefaultType(e.target.value)} className={selectClasses}>
+                                <option value="In-Person">In-Person</option>
+                                <option value="Remote">Remote/Online</option>
+                            </select>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2">
+                            <span className="text-sm text-gray-700">Community focus:</span>
+                            {getActiveTags(taxonomy, 'communityFocus').map(focus => (
+                                <FilterButton
+                                    key={focus}
+                                    label={focus}
+                                    isSelected={defaultFocus.includes(focus)}
+                                    onClick={() => setDefaultFocus(prev => prev.includes(focus) ? prev.filter(f => f !== focus) : [...prev, focus])}
+                                />
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="p-4 bg-white rounded-xl shadow-md">
+                        <p className="text-sm font-bold text-gray-700 mb-2">
+                            Preview: {validItems.length} of {prepared.length} ready to import from {fileName}
+                        </p>
+                        <ul className="space-y-2 max-h-96 overflow-y-auto">
+                            {prepared.map(({ event, errors, warnings }, index) => (
+                                <li
+                                    key={index}
+                                    className={`p-3 rounded-lg border-l-4 text-sm ${errors.length > 0 ? 'border-red-500 bg-red-50' : 'border-green-500 bg-gray-50'}`}
+                                >
+                                    <p className="font-bold text-gray-900">{event.title || '(untitled)'}</p>
+                                    <p className="text-xs text-gray-600">
+                                        {event.date ? formatEventRange({ ...event, date: Timestamp.fromDate(event.date), endDate: event.endDate && Timestamp.fromDate(event.endDate) }) : 'No date'}
+                                        {event.recurrence && ` · ${describeRecurrence(event.recurrence)}`}
+                                        {event.location && ` · ${event.location}`}
+                                    </p>
+                                    <p className="text-xs text-gray-500">{event.type} · {event.communityFocus.join(', ') || 'No community focus'}{event.categories.length > 0 && ` · ${event.categories.join(', ')}`}</p>
+                                    {errors.map(message => (
+                                        <p key={message} className="text-xs font-semibold text-red-700">✗ {message}</p>
+                                    ))}
+                                    {warnings.map(message => (
+                                        <p key={message} className="text-xs text-yellow-700">! {message}</p>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3">
+                        <select value={importStatus} onChange={(e) => setImportStatus(e.target.value)} className={selectClasses}>
+                            <option value="pending">Import as pending (review each one)</option>
+                            <option value="approved">Import as approved (publish now)</option>
+                        </select>
+                        <button
+                            onClick={handleImport}
+                            disabled={isImporting || validItems.length === 0}
+                            className="flex items-center text-sm font-semibold bg-green-500 text-white px-4 py-2 rounded-full hover:bg-green-600 transition shadow-lg disabled:bg-gray-400"
+                        >
+                            {isImporting ? <Loader className="w-4 h-4 mr-1 animate-spin"/> : <Upload className="w-4 h-4 mr-1"/>}
+                            Import {validItems.length} Event{validItems.length === 1 ? '' : 's'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// One reported event with its open reports, and the moderator's choice to dismiss or unpublish
+const ReportedEventReview = ({ repository, event, moderator, onError }) => {
+    const [reports, setReports] = useState([]);
+    const [isUnpublishing, setIsUnpublishing] = useState(false);
+    const [reason, setReason] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = repository.subscribeToReports(event.id, setReports, (error) => {
+            console.error("Error listening to event reports:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository, event.id]);
+
+    const handleResolve = async (action) => {
+        onError('');
+        setIsSaving(true);
+        try {
+            await resolveReports(repository, event, reports, { action, reason: reason.trim(), moderator });
+        } catch (error) {
+            console.error("Error resolving reports:", error);
+            onError(`Could not update "${event.title}". Please try again.`);
+            setIsSaving(false);
+        }
+    };
+
+    const reasonLabels = Object.fromEntries(REPORT_REASONS.map(option => [option.id, option.label]));
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-md border-l-4 border-orange-500">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <p className="text-sm font-bold text-gray-800">
+                    {reports.length} open report{reports.length === 1 ? '' : 's'}
+                </p>
+                {event.status === 'reported' && (
+                    <span className="text-xs font-bold px-2 py-0.5 rounded-full bg-orange-100 text-orange-800">
+                        Hidden until reviewed
+                    </span>
+                )}
+            </div>
+            <ul className="space-y-1 mb-3 text-sm">
+                {reports.map(report => (
+                    <li key={report.id} className="p-2 bg-orange-50 rounded-lg">
+                        <span className="font-semibold text-gray-800">{reasonLabels[report.reason] || report.reason}</span>
+                        <span className="text-xs text-gray-500"> &middot; {formatDate(report.updatedAt || report.createdAt)}</span>
+                        {report.details && <p className="text-gray-700 mt-1 whitespace-pre-wrap">{report.details}</p>}
+                    </li>
+                ))}
+            </ul>
+
+            <EventCard event={event} repository={repository} userId={moderator.uid} isModerator preview />
+
+            {isUnpublishing ? (
+                <div className="mt-3 space-y-2">
+                    <input
+                        type="text"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="Reason for unpublishing (required)"
+                        className="w-full p-2 text-sm border border-gray-300 rounded-lg"
+                    />
+                    <div className="flex space-x-2">
+                        <button
+                            onClick={() => handleResolve('unpublish')}
+                            disabled={!reason.trim() || isSaving}
+                            className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow-lg bg-orange-500 hover:bg-orange-600 disabled:bg-gray-400"
+                        >
+                            <EyeOff className="w-4 h-4 mr-1"/> Confirm Unpublish
+                        </button>
+                        <button
+                            onClick={() => { setIsUnpublishing(false); setReason(''); }}
+                            className="text-sm font-semibold bg-gray-200 text-gray-700 px-3 py-1 rounded-full hover:bg-gray-300 transition"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="mt-3 flex flex-wrap gap-2">
+                    <button
+                        onClick={() => handleResolve('dismissReports')}
+                        disabled={isSaving}
+                        className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow-lg bg-green-500 hover:bg-green-600 disabled:bg-gray-400"
+                    >
+                        <CheckCircle className="w-4 h-4 mr-1"/> {event.status === 'reported' ? 'Dismiss & Relist' : 'Dismiss Reports'}
+                    </button>
+                    <button
+                        onClick={() => setIsUnpublishing(true)}
+                        disabled={isSaving}
+                        className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow-lg bg-orange-500 hover:bg-orange-600 disabled:bg-gray-400"
+                    >
+                        <EyeOff className="w-4 h-4 mr-1"/> Unpublish
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Events with open reports, hidden ones (status 'reported') first
+const ReportsQueue = ({ repository, moderator, onError }) => {
+    const [reportedEvents, setReportedEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        const unsubscribe = repository.subscribeToReportedEvents((events) => {
+            events.sort((a, b) => (
+                (b.status === 'reported') - (a.status === 'reported') || b.openReportCount - a.openReportCount
+            ));
+            setReportedEvents(events);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error listening to reported events:", error);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository]);
+
+    if (loading) return <p className="text-center text-red-600">Loading reports...</p>;
+    if (reportedEvents.length === 0) return <p className="text-center text-gray-600">No open reports.</p>;
+
+    return (
+        <div className="space-y-4">
+            {reportedEvents.map(event => (
+                <ReportedEventReview key={event.id} repository={repository} event={event} moderator={moderator} onError={onError} />
+            ))}
+        </div>
+    );
+};
+
+// Moderators add, rename, retire and reorder each group's tags. Retired tags stay on existing events
+// but can't be picked for new ones or used as filters.
+const TaxonomyEditor = ({ repository, taxonomy, moderator }) => {
+    const [newTags, setNewTags] = useState({}); // group key -> label being added
+    const [renaming, setRenaming] = useState(null); // { key, label, value }
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    // Commas, semicolons and pipes separate tags in feed URLs and imported files
+    const validateLabel = (key, label, currentLabel = null) => {
+        if (!label) return 'Enter a tag name.';
+        if (label.length > MAX_TAG_LENGTH) return `Tag names can be at most ${MAX_TAG_LENGTH} characters.`;
+        if (/[,;|]/.test(label)) return 'Tag names cannot contain commas, semicolons or "|".';
+        if (taxonomy[key].some(tag => tag.label !== currentLabel && tag.label.toLowerCase() === label.toLowerCase())) {
+            return `"${label}" already exists.`;
+        }
+        return '';
+    };
+
+    // `action` may resolve to a message for the moderator
+    const runSave = async (action) => {
+        setIsSaving(true);
+        setError('');
+        setNotice('');
+        try {
+            setNotice(await action() || '');
+        } catch (err) {
+            console.error("Error updating the tag taxonomy:", err);
+            setError('Could not save the tags. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const updateGroup = (key, tags) => runSave(() => repository.saveTaxonomy({ ...taxonomy, [key]: tags }, { moderator }));
+
+    const handleAdd = (key) => {
+        const label = (newTags[key] || '').trim();
+        const problem = validateLabel(key, label);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        updateGroup(key, [...taxonomy[key], { label, retired: false }]);
+        setNewTags(prev => ({ ...prev, [key]: '' }));
+    };
+
+    const handleMove = (key, index, offset) => {
+        const tags = [...taxonomy[key]];
+        [tags[index], tags[index + offset]] = [tags[index + offset], tags[index]];
+        updateGroup(key, tags);
+    };
+
+    const handleToggleRetired = (key, index) => {
+        updateGroup(key, taxonomy[key].map((tag, i) => (i === index ? { ...tag, retired: !tag.retired } : tag)));
+    };
+
+    const handleRename = () => {
+        const { key, label } = renaming;
+        const value = renaming.value.trim();
+        if (value === label) {
+            setRenaming(null);
+            return;
+        }
+        const problem = validateLabel(key, value, label);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        if (!window.confirm(`Rename "${label}" to "${value}" on every event that uses it?`)) return;
+        setRenaming(null);
+        runSave(async () => {
+            const { eventCount, revisionCount } = await repository.renameTag(taxonomy, key, label, value, { moderator });
+            return `Renamed "${label}" to "${value}" on ${eventCount} event${eventCount === 1 ? '' : 's'}`
+                + (revisionCount > 0 ? ` and ${revisionCount} waiting change${revisionCount === 1 ? '' : 's'}.` : '.');
+        });
+    };
+
+    const iconButtonClasses = "p-1 rounded-full text-gray-500 hover:bg-gray-200 hover:text-gray-800 transition disabled:opacity-30";
+
+    return (
+        <div className="space-y-4">
+            {error && <p className="p-3 text-sm text-red-800 rounded-xl bg-red-100 font-semibold">{error}</p>}
+            {notice && <p className="p-3 text-sm text-green-800 rounded-xl bg-green-100 font-semibold">{notice}</p>}
+
+            {TAG_GROUPS.map(group => (
+                <div key={group.key} className="p-4 bg-white rounded-xl shadow-md">
+                    <p className="text-sm font-bold text-gray-700 mb-2 flex items-center">
+                        <Tags className="w-4 h-4 mr-2" />
+                        {group.label}{group.required && ' (required on every event)'}
+                    </p>
+                    <ul className="space-y-1">
+                        {taxonomy[group.key].map((tag, index) => (
+                            <li key={tag.label} className="flex items-center gap-2 text-sm">
+                                <button onClick={() => handleMove(group.key, index, -1)} disabled={isSaving || index === 0} className={iconButtonClasses} title="Move up">
+                                    <ChevronUp className="w-4 h-4" />
+                                </button>
+                                <button onClick={() => handleMove(group.key, index, 1)} disabled={isSaving || index === taxonomy[group.key].length - 1} className={iconButtonClasses} title="Move down">
+                                    <ChevronDown className="w-4 h-4" />
+                                </button>
+                                {renaming && renaming.key === group.key && renaming.label === tag.label ? (
+                                    <>
+                                        <input
+                                            type="text"
+                                            value={renaming.value}
+                                            onChange={(e) => setRenaming(prev => ({ ...prev, value: e.target.value }))}
+                                            maxLength={MAX_TAG_LENGTH}
+                                            className="flex-1 p-1 border border-gray-300 rounded-lg"
+                                            autoFocus
+                                        />
+                                        <button onClick={handleRename} disabled={isSaving} className="font-semibold text-purple-700 hover:underline">Save</button>
+                                        <button onClick={() => setRenaming(null)} className="font-semibold text-gray-500 hover:underline">Cancel</button>
+                                    </>
+                                ) : (
+                                    <>
+                                        <span className={`flex-1 font-semibold ${tag.retired ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{tag.label}</span>
+                                        <button
+                                            onClick={() => setRenaming({ key: group.key, label: tag.label, value: tag.label })}
+                                            disabled={isSaving}
+                                            className="flex items-center font-semibold text-purple-700 hover:underline"
+                                        >
+                                            <Pencil className="w-3 h-3 mr-1" /> Rename
+                                        </button>
+                                        <button
+                                            onClick={() => handleToggleRetired(group.key, index)}
+                                            disabled={isSaving}
+                                            className="font-semibold text-gray-600 hover:underline"
+                                        >
+                                            {tag.retired ? 'Restore' : 'Retire'}
+                                        </button>
+                                    </>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex gap-2 mt-3">
+                        <input
+                            type="text"
+                            value={newTags[group.key] || ''}
+                            onChange={(e) => setNewTags(prev => ({ ...prev, [group.key]: e.target.value }))}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(group.key); }}
+                            maxLength={MAX_TAG_LENGTH}
+                            placeholder={`New ${group.label.toLowerCase()} tag`}
+                            className="flex-1 p-2 text-sm border border-gray-300 rounded-lg"
+                        />
+                        <button
+                            onClick={() => handleAdd(group.key)}
+                            disabled={isSaving}
+                            className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow-lg bg-purple-500 hover:bg-purple-600 disabled:bg-gray-400"
+                        >
+                            <Plus className="w-4 h-4 mr-1" /> Add
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const ADMIN_TABS = [
+    { id: 'pending', label: 'Pending', statuses: ['pending'] },
+    { id: 'flagged', label: 'Flagged', statuses: ['flagged'] }, // held by anti-spam screening (functions/screening.js)
+    { id: 'reports', label: 'Reports' }, // approved events visitors have reported
+    { id: 'approved', label: 'Approved', statuses: ['approved'] },
+    { id: 'rejected', label: 'Rejected/Removed', statuses: ['rejected', 'unpublished', 'withdrawn'] },
+    { id: 'history', label: 'History' },
+    { id: 'import', label: 'Import' },
+    { id: 'tags', label: 'Tags' },
+];
+
+const AdminPanel = ({ repository, storage, taxonomy, moderator, liveEvents, setPendingCount, onToggle }) => {
+    const [awaitingEvents, setAwaitingEvents] = useState([]); // pending and flagged, for the count
+    const [pendingRevisions, setPendingRevisions] = useState([]);
+    const [tabEvents, setTabEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [activeTab, setActiveTab] = useState('pending');
+    const [reasonPrompt, setReasonPrompt] = useState(null); // { eventId, action }
+    const [actionError, setActionError] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [selectedIds, setSelectedIds] = useState([]); // pending events picked for bulk actions
+    const [bulkRejecting, setBulkRejecting] = useState(false);
+    const [previewDuplicateId, setPreviewDuplicateId] = useState(null);
+
+    // Fetch events awaiting review: pending ones, and flagged ones screening held back
+    useEffect(() => {
+        if (!repository) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribe({ status: ['pending', 'flagged'] }, (fetchedEvents) => {
+            setAwaitingEvents(fetchedEvents);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error listening to pending events:", error);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository]);
+
+    // Fetch submitters' changes to live events
+    useEffect(() => {
+        if (!repository) return;
+
+        const unsubscribe = repository.subscribeToRevisions({ status: ['pending', 'flagged'] }, setPendingRevisions, (error) => {
+            console.error("Error listening to pending revisions:", error);
+        });
+
+        return () => unsubscribe();
+    }, [repository]);
+
+    const pendingEvents = useMemo(() => awaitingEvents.filter(event => event.status === 'pending'), [awaitingEvents]);
+    const awaitingCount = awaitingEvents.length + pendingRevisions.length;
+
+    // Update the count in the parent
+    useEffect(() => {
+        setPendingCount(awaitingCount);
+    }, [awaitingCount, setPendingCount]);
+
+    // Fetch events for the other status tabs
+    useEffect(() => {
+        const tab = ADMIN_TABS.find(t => t.id === activeTab);
+        if (!repository || activeTab === 'pending' || !tab.statuses) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribe({ status: tab.statuses }, (fetchedEvents) => {
+            setTabEvents(fetchedEvents);
+            setLoading(false);
+        }, (error) => {
+            console.error(`Error listening to ${activeTab} events:`, error);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository, activeTab]);
+
+    const handleAction = async (event, action, reason = '') => {
+        if (!repository) return;
+        setActionError('');
+
+        const newStatus = {
+            approve: 'approved',
+            reject: 'rejected',
+            unpublish: 'unpublished',
+            restore: 'pending',
+            purge: null,
+        }[action];
+
+        try {
+            await moderateEvent(repository, event, { action, newStatus, reason, moderator });
+            setReasonPrompt(null);
+        } catch (error) {
+            console.error(`Error performing ${action} on event ${event.id}:`, error);
+            setActionError(`Could not ${action} "${event.title}". Please try again.`);
+        }
+    };
+
+    const handleRevisionAction = async (revision, action, reason = '') => {
+        if (!repository) return;
+        setActionError('');
+        try {
+            await repository.moderateRevision(revision, { action, reason, moderator });
+            setReasonPrompt(null);
+        } catch (error) {
+            console.error(`Error performing ${action} on revision ${revision.id}:`, error);
+            setActionError(`Could not update the changes to "${revision.eventTitle}". Please try again.`);
+        }
+    };
+
+    // Likely duplicates of each pending event among live and other pending events
+    const duplicatesById = useMemo(() => {
+        const candidates = [...liveEvents, ...pendingEvents];
+        return new Map(pendingEvents.map(event => [event.id, findLikelyDuplicates(event, candidates)]));
+    }, [liveEvents, pendingEvents]);
+
+    const handleMerge = async (event, duplicate) => {
+        const { keeper, removed } = planDuplicateMerge(event, duplicate);
+        const message = `Merge these duplicates?\n\nKeep: "${keeper.title}" (${keeper.status}), filling in any missing details from the other.\n`
+            + `Reject as duplicate: "${removed.title}" (${removed.status}).`;
+        if (!window.confirm(message)) return;
+        setActionError('');
+        try {
+            await mergeDuplicateEvents(repository, event, duplicate, moderator);
+            setPreviewDuplicateId(null);
+        } catch (error) {
+            console.error(`Error merging events ${event.id} and ${duplicate.id}:`, error);
+            setActionError(`Could not merge "${event.title}". Please try again.`);
+        }
+    };
+
+    const handleEditSave = async (event, eventFields) => {
+        setActionError('');
+        await editEventAsModerator(repository, event, eventFields, moderator);
+    };
+
+    // Each event keeps its own batch, so one failure doesn't block the rest; failed ones stay selected
+    const handleBulkAction = async (action, reason = '') => {
+        if (!repository) return;
+        setActionError('');
+        const targets = pendingEvents.filter(event => selectedIds.includes(event.id));
+        const newStatus = action === 'approve' ? 'approved' : 'rejected';
+        const results = await Promise.allSettled(
+            targets.map(event => moderateEvent(repository, event, { action, newStatus, reason, moderator }))
+        );
+        const failed = targets.filter((event, i) => {
+            if (results[i].status === 'fulfilled') return false;
+            console.error(`Error performing ${action} on event ${event.id}:`, results[i].reason);
+            return true;
+        });
+        setSelectedIds(failed.map(event => event.id));
+        setBulkRejecting(false);
+        if (failed.length > 0) {
+            setActionError(`Could not ${action} ${failed.length} of ${targets.length} events. They are still selected; please try again.`);
+        }
+    };
+
+    const toggleSelected = (eventId) => {
+        setSelectedIds(prev => prev.includes(eventId) ? prev.filter(id => id !== eventId) : [...prev, eventId]);
+    };
+
+    const handlePurge = (event) => {
+        if (window.confirm(`Permanently delete "${event.title}"? This cannot be undone.`)) {
+            handleAction(event, 'purge');
+        }
+    };
+
+    const visibleEvents = activeTab === 'pending' ? pendingEvents : tabEvents;
+    const selectedCount = pendingEvents.filter(event => selectedIds.includes(event.id)).length;
+    const actionButtonClasses = "flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow-lg";
+
+    return (
+        <div className="p-6 bg-red-50 border-4 border-red-500 rounded-3xl shadow-inner mb-8 transition duration-300">
+            <div className="flex justify-between items-center mb-4 border-b pb-2">
+                <h2 className="text-2xl font-extrabold text-red-800 flex items-center">
+                    <AlertCircle className="w-6 h-6 mr-2 fill-red-200 text-red-500"/> 
+                    ADMIN REVIEW PANEL ({awaitingCount} Awaiting Review)
+                </h2>
+                <button 
+                    onClick={onToggle}
+                    className="text-gray-500 hover:text-red-700 transition"
+                >
+                    <X className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+                {ADMIN_TABS.map(tab => (
+                    <FilterButton
+                        key={tab.id}
+                        label={tab.label}
+                        isSelected={activeTab === tab.id}
+                        onClick={() => { setActiveTab(tab.id); setReasonPrompt(null); setEditingId(null); }}
+                    />
+                ))}
+            </div>
+
+            {actionError && (
+                <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {actionError}
+                </div>
+            )}
+
+            {activeTab === 'history' ? (
+                <ModerationHistory repository={repository} />
+            ) : activeTab === 'import' ? (
+                <EventImporter repository={repository} moderator={moderator} taxonomy={taxonomy} />
+            ) : activeTab === 'reports' ? (
+                <ReportsQueue repository={repository} moderator={moderator} onError={setActionError} />
+            ) : activeTab === 'tags' ? (
+                <TaxonomyEditor repository={repository} taxonomy={taxonomy} moderator={moderator} />
+            ) : (
+                <>
+                    {loading && <p className="text-center text-red-600">Loading submissions...</p>}
+
+                    {activeTab === 'pending' && pendingRevisions.length > 0 && (
+                        <div className="mb-6">
+                            <h3 className="text-lg font-bold text-gray-800 mb-2">Changes to Live Events</h3>
+                            <div className="space-y-4">
+                                {pendingRevisions.map(revision => (
+                                    <div key={revision.id} className="p-4 bg-white rounded-xl shadow-md border-l-4 border-purple-500">
+                                        <p className="font-bold text-lg text-gray-900">{revision.changes.title}</p>
+                                        {revision.changes.title !== revision.eventTitle && (
+                                            <p className="text-xs text-gray-500">Currently listed as "{revision.eventTitle}"</p>
+                                        )}
+                                        <p className="text-xs text-purple-700 font-semibold mt-1">
+                                            Changed: {revision.changedFields.join(', ')} · submitted {formatDate(revision.submittedAt)}
+                                        </p>
+                                        <ScreeningFlags flags={revision.flags} />
+                                        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
+                                            <EventCard event={{ id: revision.eventId, ...revision.changes }} preview />
+                                            <FieldDiff title="Changes to the live event" before={revision.previousValues || {}} after={revision.changes} />
+                                        </div>
+                                        <div className="mt-3 flex flex-wrap gap-2">
+                                            <button
+                                                onClick={() => handleRevisionAction(revision, 'approveRevision')}
+                                                className={`${actionButtonClasses} bg-green-500 hover:bg-green-600`}
+                                            >
+                                                <CheckCircle className="w-4 h-4 mr-1"/> Approve Changes
+                                            </button>
+                                            <button
+                                                onClick={() => setReasonPrompt({ eventId: revision.id, action: 'rejectRevision' })}
+                                                className={`${actionButtonClasses} bg-red-500 hover:bg-red-600`}
+                                            >
+                                                <XCircle className="w-4 h-4 mr-1"/> Reject Changes
+                                            </button>
+                                        </div>
+                                        {reasonPrompt && reasonPrompt.eventId === revision.id && reasonPrompt.action === 'rejectRevision' && (
+                                            <ReasonForm
+                                                label="Why these changes weren't approved"
+                                                onConfirm={(reason) => handleRevisionAction(revision, 'rejectRevision', reason)}
+                                                onCancel={() => setReasonPrompt(null)}
+                                            />
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <h3 className="text-lg font-bold text-gray-800 mt-6">New Submissions</h3>
+                        </div>
+                    )}
+
+                    {!loading && visibleEvents.length === 0 && (
+                        <p className="text-center text-lg font-semibold text-green-700 flex items-center justify-center">
+                            <CheckCircle className="w-5 h-5 mr-2" /> All clear! No events in this list.
+                        </p>
+                    )}
+
+                    {activeTab === 'pending' && pendingEvents.length > 0 && (
+                        <div className="mb-4 p-3 bg-white rounded-xl shadow flex flex-wrap items-center gap-3 text-sm">
+                            <label className="flex items-center font-semibold text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedCount === pendingEvents.length}
+                                    onChange={(e) => setSelectedIds(e.target.checked ? pendingEvents.map(event => event.id) : [])}
+                                    className="mr-2"
+                                />
+                                Select all ({selectedCount} selected)
+                            </label>
+                            <button
+                                onClick={() => handleBulkAction('approve')}
+                                disabled={selectedCount === 0}
+                                className={`${actionButtonClasses} bg-green-500 hover:bg-green-600 disabled:bg-gray-400`}
+                            >
+                                <CheckCircle className="w-4 h-4 mr-1"/> Approve Selected
+                            </button>
+                            <button
+                                onClick={() => setBulkRejecting(true)}
+                                disabled={selectedCount === 0}
+                                className={`${actionButtonClasses} bg-red-500 hover:bg-red-600 disabled:bg-gray-400`}
+                            >
+                                <XCircle className="w-4 h-4 mr-1"/> Reject Selected
+                            </button>
+                            {bulkRejecting && selectedCount > 0 && (
+                                <div className="w-full">
+                                    <ReasonForm
+                                        label={`Rejection reason for ${selectedCount} event${selectedCount === 1 ? '' : 's'}`}
+                                        onConfirm={(reason) => handleBulkAction('reject', reason)}
+                                        onCancel={() => setBulkRejecting(false)}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="space-y-4">
+                        {visibleEvents.map(event => editingId === event.id ? (
+                            <AddEventForm
+                                key={event.id}
+                                repository={repository}
+                                storage={storage}
+                                taxonomy={taxonomy}
+                                userId={moderator.uid}
+                                existingEvent={event}
+                                onSave={(eventFields) => handleEditSave(event, eventFields)}
+                                onSubmissionSuccess={() => setEditingId(null)}
+                                onCancel={() => setEditingId(null)}
+                            />
+                        ) : (
+                            <div key={event.id} className="p-4 bg-white rounded-xl shadow-md border-l-4 border-yellow-500">
+                                {activeTab === 'pending' && (
+                                    <label className="flex items-center text-sm font-semibold text-gray-700 mb-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.includes(event.id)}
+                                            onChange={() => toggleSelected(event.id)}
+                                            className="mr-2"
+                                        />
+                                        Select
+                                    </label>
+                                )}
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
+                                    <EventCard event={event} repository={repository} userId={moderator.uid} isModerator preview />
+                                    <div>
+                                        <p className="text-xs text-gray-500">
+                                            Submitted by: <span className="font-mono">{event.submittedBy}</span> on {formatDate(event.submittedAt)}
+                                            {event.importedFrom && ` · imported from ${event.importedFrom.toUpperCase()}`}
+                                        </p>
+                                        {event.moderatedAt && (
+                                            <p className="text-xs text-gray-500">Last moderated {formatDate(event.moderatedAt)}</p>
+                                        )}
+                                        <ScreeningFlags flags={event.flags} />
+                                        {getMissingRequiredFields(event).length > 0 && (
+                                            <p className="text-xs text-red-700 mt-1 font-semibold">
+                                                Missing: {getMissingRequiredFields(event).join(', ')}
+                                            </p>
+                                        )}
+                                        {activeTab === 'pending' && (duplicatesById.get(event.id) || []).map(({ event: duplicate, reasons }) => (
+                                            <div key={duplicate.id} className="mt-2 p-2 bg-yellow-50 border border-yellow-300 rounded-lg text-xs">
+                                                <p className="text-yellow-900">
+                                                    Possible duplicate of{' '}
+                                                    <button
+                                                        onClick={() => setPreviewDuplicateId(previewDuplicateId === `${event.id}:${duplicate.id}` ? null : `${event.id}:${duplicate.id}`)}
+                                                        className="font-bold underline hover:text-purple-700"
+                                                    >
+                                                        "{duplicate.title}"
+                                                    </button>
+                                                    {' '}({duplicate.status}) · {reasons.join(', ')}
+                                                </p>
+                                                <button
+                                                    onClick={() => handleMerge(event, duplicate)}
+                                                    className="mt-2 px-3 py-1 rounded-full font-semibold bg-yellow-500 text-white hover:bg-yellow-600 transition shadow"
+                                                >
+                                                    Merge
+                                                </button>
+                                                {previewDuplicateId === `${event.id}:${duplicate.id}` && (
+                                                    <div className="mt-2">
+                                                        <EventCard event={duplicate} preview />
+                                                    </div>
+                                                )}
+                                            </div>
+                                        ))}
+                                        {event.status === 'withdrawn' && (
+                                            <p className="text-xs text-gray-700 mt-1 font-semibold">Withdrawn by the submitter</p>
+                                        )}
+                                        {event.duplicateOf && (
+                                            <p className="text-xs text-gray-700 mt-1">Merged as a duplicate of event {event.duplicateOf}</p>
+                                        )}
+                                        {event.statusReason && event.status !== 'withdrawn' && (
+                                            <p className="text-xs text-red-700 mt-1 font-semibold">
+                                                {{ pending: 'Earlier moderator note', unpublished: 'Unpublished' }[event.status] || 'Rejected'}: {event.statusReason}
+                                            </p>
+                                        )}
+                                        {event.originalSubmission && (
+                                            <FieldDiff title="Edited since it was submitted" before={event.originalSubmission} after={event} />
+                                        )}
+                                        <div className="mt-3 flex flex-wrap gap-2">
+                                            <button
+                                                onClick={() => { setEditingId(event.id); setReasonPrompt(null); }}
+                                                className={`${actionButtonClasses} bg-purple-500 hover:bg-purple-600`}
+                                            >
+                                                <Pencil className="w-4 h-4 mr-1"/> Edit
+                                            </button>
+                                            {(event.status === 'pending' || event.status === 'flagged') && (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleAction(event, 'approve')}
+                                                        className={`${actionButtonClasses} bg-green-500 hover:bg-green-600`}
+                                                    >
+                                                        <CheckCircle className="w-4 h-4 mr-1"/> Approve
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setReasonPrompt({ eventId: event.id, action: 'reject' })}
+                                                        className={`${actionButtonClasses} bg-red-500 hover:bg-red-600`}
+                                                    >
+                                                        <XCircle className="w-4 h-4 mr-1"/> Reject
+                                                    </button>
+                                                </>
+                                            )}
+                                            {event.status === 'approved' && (
+                                                <button
+                                                    onClick={() => setReasonPrompt({ eventId: event.id, action: 'unpublish' })}
+                                                    className={`${actionButtonClasses} bg-orange-500 hover:bg-orange-600`}
+                                                >
+                                                    <EyeOff className="w-4 h-4 mr-1"/> Unpublish
+                                                </button>
+                                            )}
+                                            {['rejected', 'unpublished', 'withdrawn'].includes(event.status) && (
+                                                <>
+                                                    {event.status !== 'withdrawn' && (
+                                                        <button
+                                                            onClick={() => handleAction(event, 'restore')}
+                                                            className={`${actionButtonClasses} bg-yellow-500 hover:bg-yellow-600`}
+                                                        >
+                                                            <History className="w-4 h-4 mr-1"/> Restore to Pending
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handlePurge(event)}
+                                                        className={`${actionButtonClasses} bg-red-700 hover:bg-red-800`}
+                                                    >
+                                                        <Trash2 className="w-4 h-4 mr-1"/> Purge
+                                                    </button>
+                                                </>
+                                            )}
+                                        </div>
+                                        {reasonPrompt && reasonPrompt.eventId === event.id && reasonPrompt.action !== 'rejectRevision' && (
+                                            <ReasonForm
+                                                label={reasonPrompt.action === 'reject' ? 'Rejection reason' : 'Reason for unpublishing'}
+                                                onConfirm={(reason) => handleAction(event, reasonPrompt.action, reason)}
+                                                onCancel={() => setReasonPrompt(null)}
+                                            />
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+
+// --- Calendar Views ---
+
+const DATE_RANGE_OPTIONS = [
+    { id: 'any', label: 'Any Time' },
+    { id: 'weekend', label: 'This Weekend' },
+    { id: 'next7', label: 'Next 7 Days' },
+    { id: 'custom', label: 'Custom Range' },
+];
+
+// [start, end) instants for the date-range filter, or null for "Any Time"
+const getDateRangeBounds = (dateRange, customStartKey, customEndKey) => {
+    const todayKey = toDateKey(new Date());
+    if (dateRange === 'weekend') {
+        // Friday through Sunday; on a weekend day this is the current weekend
+        const weekday = getKeyWeekday(todayKey);
+        const fridayKey = addDaysToKey(todayKey, weekday === 0 ? -2 : 5 - weekday);
+        return { start: zonedTimeToDate(fridayKey), end: zonedTimeToDate(addDaysToKey(fridayKey, 3)) };
+    }
+    if (dateRange === 'next7') {
+        return { start: zonedTimeToDate(todayKey), end: zonedTimeToDate(addDaysToKey(todayKey, 7)) };
+    }
+    if (dateRange === 'custom' && (customStartKey || customEndKey)) {
+        return {
+            start: customStartKey ? zonedTimeToDate(customStartKey) : null,
+            end: customEndKey ? zonedTimeToDate(addDaysToKey(customEndKey, 1)) : null,
+        };
+    }
+    return null;
+};
+
+// Day keys shown by a calendar layout: whole weeks (Sunday first) covering the month, or one week
+const getCalendarRange = (layout, cursorKey) => {
+    if (layout === 'week') {
+        const startKey = addDaysToKey(cursorKey, -getKeyWeekday(cursorKey));
+        return { startKey, endKey: addDaysToKey(startKey, 7) };
+    }
+    const firstKey = `${cursorKey.slice(0, 7)}-01`;
+    const startKey = addDaysToKey(firstKey, -getKeyWeekday(firstKey));
+    const [year, month] = cursorKey.split('-').map(Number);
+    const nextMonthKey = month === 12 ? `${year + 1}-01-01` : `${year}-${pad2(month + 1)}-01`;
+    const lastKey = addDaysToKey(nextMonthKey, -1);
+    return { startKey, endKey: addDaysToKey(lastKey, 7 - getKeyWeekday(lastKey)) };
+};
+
+const getDayKeysBetween = (startKey, endKey) => {
+    const keys = [];
+    for (let key = startKey; key < endKey; key = addDaysToKey(key, 1)) keys.push(key);
+    return keys;
+};
+
+// Every Houston day an event touches (multi-day events appear on each day, capped at two months)
+const getEventDayKeys = (event) => {
+    const start = getEventStart(event);
+    if (!start) return [];
+    const lastKey = toDateKey(new Date(getEventEnd(event).getTime() - 1));
+    const keys = [toDateKey(start)];
+    while (keys[keys.length - 1] < lastKey && keys.length < 62) {
+        keys.push(addDaysToKey(keys[keys.length - 1], 1));
+    }
+    return keys;
+};
+
+const groupEventsByDay = (events) => {
+    const byDay = new Map();
+    events.forEach(event => {
+        getEventDayKeys(event).forEach(key => {
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(event);
+        });
+    });
+    return byDay;
+};
+
+const formatDayKey = (dateKey, options) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+};
+
+// "7 PM", "All day", or "cont." for an event that started on an earlier day
+const formatTimeOnDay = (event, dateKey) => {
+    if (event.allDay || !event.endDate) return 'All day';
+    const start = getEventStart(event);
+    return toDateKey(start) === dateKey ? formatTime(start) : 'cont.';
+};
+
+const CalendarNavigation = ({ label, onPrevious, onNext, onToday }) => (
+    <div className="flex items-center justify-between mb-4">
+        <button onClick={onPrevious} className="p-2 rounded-full bg-white shadow hover:bg-purple-50 transition" title="Previous">
+            <ChevronLeft className="w-5 h-5 text-purple-700" />
+        </button>
+        <div className="flex items-center gap-3">
+            <p className="text-xl font-extrabold text-gray-900">{label}</p>
+            <button onClick={onToday} className="text-xs font-bold text-teal-600 hover:underline">Today</button>
+        </div>
+        <button onClick={onNext} className="p-2 rounded-full bg-white shadow hover:bg-purple-50 transition" title="Next">
+            <ChevronRight className="w-5 h-5 text-purple-700" />
+        </button>
+    </div>
+);
+
+const MonthCalendar = ({ events, cursorKey, onNavigate, renderEvent }) => {
+    const [expandedDay, setExpandedDay] = useState(null);
+    const eventsByDay = useMemo(() => groupEventsByDay(events), [events]);
+    const { startKey, endKey } = getCalendarRange('month', cursorKey);
+    const monthPrefix = cursorKey.slice(0, 7);
+    const todayKey = toDateKey(new Date());
+    const [year, month] = cursorKey.split('-').map(Number);
+
+    const goToMonth = (offset) => {
+        const target = new Date(Date.UTC(year, month - 1 + offset, 1));
+        setExpandedDay(null);
+        onNavigate(`${target.getUTCFullYear()}-${pad2(target.getUTCMonth() + 1)}-01`);
+    };
+
+    const expandedEvents = expandedDay ? (eventsByDay.get(expandedDay) || []) : [];
+
+    return (
+        <div>
+            <CalendarNavigation
+                label={formatDayKey(`${monthPrefix}-01`, { month: 'long', year: 'numeric' })}
+                onPrevious={() => goToMonth(-1)}
+                onNext={() => goToMonth(1)}
+                onToday={() => { setExpandedDay(null); onNavigate(todayKey); }}
+            />
+
+            <div className="grid grid-cols-7 gap-1 text-center text-xs font-bold text-gray-500 mb-1">
+                {WEEKDAY_NAMES.map(name => <div key={name}>{name.slice(0, 3)}</div>)}
+            </div>
+            <div className="grid grid-cols-7 gap-1">
+                {getDayKeysBetween(startKey, endKey).map(dateKey => {
+                    const dayEvents = eventsByDay.get(dateKey) || [];
+                    const inMonth = dateKey.startsWith(monthPrefix);
+                    return (
+                        <button
+                            key={dateKey}
+                            onClick={() => setExpandedDay(expandedDay === dateKey ? null : dateKey)}
+                            className={`min-h-[5.5rem] p-1.5 rounded-lg text-left align-top transition border ${
+                                expandedDay === dateKey ? 'border-teal-500 ring-2 ring-teal-300' : 'border-gray-100'
+                            } ${inMonth ? 'bg-white hover:bg-purple-50' : 'bg-gray-50 text-gray-400'}`}
+                        >
+                            <span className={`text-xs font-bold ${dateKey === todayKey ? 'bg-pink-600 text-white rounded-full px-1.5 py-0.5' : ''}`}>
+                                {Number(dateKey.slice(8))}
+                            </span>
+                            <div className="mt-1 space-y-0.5">
+                                {dayEvents.slice(0, 3).map(event => (
+                                    <p
+                                        key={event.id}
+                                        className={`text-[10px] leading-tight truncate rounded px-1 text-white ${event.type === 'Remote' ? 'bg-indigo-500' : 'bg-pink-500'}`}
+                                    >
+                                        {formatTimeOnDay(event, dateKey)} {event.title}
+                                    </p>
+                                ))}
+                                {dayEvents.length > 3 && (
+                                    <p className="text-[10px] font-bold text-purple-700">+{dayEvents.length - 3} more</p>
+                                )}
+                            </div>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {expandedDay && (
+                <div className="mt-6">
+                    <h3 className="text-xl font-extrabold text-gray-900 mb-4">
+                        {formatDayKey(expandedDay, { weekday: 'long', month: 'long', day: 'numeric' })}
+                    </h3>
+                    {expandedEvents.length === 0 ? (
+                        <p className="text-gray-600">Nothing scheduled this day (yet!).</p>
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            {expandedEvents.map(renderEvent)}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const WeekAgenda = ({ events, cursorKey, onNavigate, renderEvent }) => {
+    const [expandedEventId, setExpandedEventId] = useState(null);
+    const eventsByDay = useMemo(() => groupEventsByDay(events), [events]);
+    const { startKey, endKey } = getCalendarRange('week', cursorKey);
+    const todayKey = toDateKey(new Date());
+
+    return (
+        <div>
+            <CalendarNavigation
+                label={`${formatDayKey(startKey, { month: 'short', day: 'numeric' })} – ${formatDayKey(addDaysToKey(endKey, -1), { month: 'short', day: 'numeric', year: 'numeric' })}`}
+                onPrevious={() => onNavigate(addDaysToKey(startKey, -7))}
+                onNext={() => onNavigate(addDaysToKey(startKey, 7))}
+                onToday={() => onNavigate(todayKey)}
+            />
+
+            <div className="space-y-3">
+                {getDayKeysBetween(startKey, endKey).map(dateKey => {
+                    const dayEvents = eventsByDay.get(dateKey) || [];
+                    return (
+                        <div key={dateKey} className={`p-4 bg-white rounded-xl shadow-md border-l-4 ${dateKey === todayKey ? 'border-pink-500' : 'border-teal-400'}`}>
+                            <p className="text-sm font-extrabold text-gray-800 mb-2">
+                                {formatDayKey(dateKey, { weekday: 'long', month: 'short', day: 'numeric' })}
+                            </p>
+                            {dayEvents.length === 0 && <p className="text-sm text-gray-400">No events</p>}
+                            <ul className="space-y-2">
+                                {dayEvents.map(event => (
+                                    <li key={event.id}>
+                                        <button
+                                            onClick={() => setExpandedEventId(expandedEventId === event.id ? null : event.id)}
+                                            className="w-full flex items-center text-left text-sm hover:bg-purple-50 rounded-lg p-1 transition"
+                                        >
+                                            <span className="w-16 shrink-0 font-bold text-pink-600">{formatTimeOnDay(event, dateKey)}</span>
+                                            <span className="font-semibold text-gray-900 truncate">{event.title}</span>
+                                            <span className="ml-auto text-xs text-gray-500 truncate pl-2">{event.location}</span>
+                                        </button>
+                                        {expandedEventId === event.id && (
+                                            <div className="mt-2">{renderEvent(event)}</div>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- Map View ---
+
+// Markers closer than this many pixels at the current zoom are drawn as one cluster
+const CLUSTER_RADIUS_PX = 48;
+
+// Groups points on a pixel grid at the map's zoom level
+const clusterEvents = (map, zoom, events) => {
+    const cells = new Map();
+    events.forEach(event => {
+        const coordinates = getEventCoordinates(event);
+        const point = map.project([coordinates.lat, coordinates.lng], zoom);
+        const key = `${Math.floor(point.x / CLUSTER_RADIUS_PX)}:${Math.floor(point.y / CLUSTER_RADIUS_PX)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ event, coordinates });
+    });
+    return [...cells.values()].map(members => ({
+        members,
+        lat: members.reduce((sum, m) => sum + m.coordinates.lat, 0) / members.length,
+        lng: members.reduce((sum, m) => sum + m.coordinates.lng, 0) / members.length,
+    }));
+};
+
+const ClusteredMarkers = ({ events, onSelectEvent }) => {
+    const map = useMap();
+    const [zoom, setZoom] = useState(map.getZoom());
+    useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+    const clusters = useMemo(() => clusterEvents(map, zoom, events), [map, zoom, events]);
+
+    return clusters.map(cluster => {
+        if (cluster.members.length === 1) {
+            const { event } = cluster.members[0];
+            return (
+                <CircleMarker
+                    key={event.id}
+                    center={[cluster.lat, cluster.lng]}
+                    radius={9}
+                    pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#db2777', fillOpacity: 0.9 }}
+                    eventHandlers={{ click: () => onSelectEvent(event) }}
+                >
+                    <Tooltip>{event.title}</Tooltip>
+                </CircleMarker>
+            );
+        }
+        return (
+            <CircleMarker
+                key={cluster.members.map(m => m.event.id).join('|')}
+                center={[cluster.lat, cluster.lng]}
+                radius={14 + Math.min(cluster.members.length, 20)}
+                pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#7c3aed', fillOpacity: 0.85 }}
+                eventHandlers={{ click: () => map.setView([cluster.lat, cluster.lng], Math.min(zoom + 2, 18)) }}
+            >
+                <Tooltip permanent direction="center" className="font-bold">{cluster.members.length}</Tooltip>
+            </CircleMarker>
+        );
+    });
+};
+
+const EventMap = ({ events, nearby, renderEvent }) => {
+    const [selectedEvent, setSelectedEvent] = useState(null);
+    const mappedEvents = useMemo(() => events.filter(event => getEventCoordinates(event)), [events]);
+    const unmappedCount = events.length - mappedEvents.length;
+
+    return (
+        <div>
+            <div className="h-[28rem] rounded-3xl overflow-hidden shadow-xl border-4 border-white">
+                <MapContainer
+                    center={nearby ? [nearby.lat, nearby.lng] : [HOUSTON_CENTER.lat, HOUSTON_CENTER.lng]}
+                    zoom={nearby ? 11 : 10}
+                    className="h-full w-full"
+                    scrollWheelZoom
+                >
+                    <TileLayer
+                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                    />
+                    {nearby && (
+                        <Circle
+                            center={[nearby.lat, nearby.lng]}
+                            radius={nearby.radiusMiles * 1609.34}
+                            pathOptions={{ color: '#14b8a6', fillOpacity: 0.08 }}
+                        />
+                    )}
+                    <ClusteredMarkers events={mappedEvents} onSelectEvent={setSelectedEvent} />
+                </MapContainer>
+            </div>
+
+            {unmappedCount > 0 && (
+                <p className="mt-2 text-sm text-gray-500">
+                    {unmappedCount} event{unmappedCount === 1 ? ' is' : 's are'} remote or {unmappedCount === 1 ? 'has' : 'have'} no map location and {unmappedCount === 1 ? "isn't" : "aren't"} shown.
+                </p>
+            )}
+
+            {selectedEvent && (
+                <div className="mt-6 relative">
+                    <button
+                        onClick={() => setSelectedEvent(null)}
+                        className="absolute -top-3 -right-3 z-10 bg-white rounded-full p-1 shadow-md text-gray-500 hover:text-red-600"
+                        title="Close"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                    {renderEvent(selectedEvent)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ARCHIVE_PAGE_SIZE = 12;
+
+// Paginated list of past approved events, optionally narrowed to one month
+const EventArchive = ({ repository, selectedType, selectedTags, selectedDetails, selectedOrganizer = null, searchText, nearby }) => {
+    const [monthString, setMonthString] = useState(''); // 'YYYY-MM'
+    const [pastEvents, setPastEvents] = useState([]);
+    const [pageCursor, setPageCursor] = useState(null);
+    const [requestedCursor, setRequestedCursor] = useState(null); // page to load; null starts from the first
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // Month search ranges on the start date; the default view pages back from the most recently ended.
+    // Recurring series appear once, under their first date.
+    const getMonthRange = () => {
+        if (!monthString) return {};
+        const [year, month] = monthString.split('-').map(Number);
+        const nextMonth = month === 12 ? `${year + 1}-01` : `${year}-${pad2(month + 1)}`;
+        return { startsFrom: zonedTimeToDate(`${monthString}-01`), startsBefore: zonedTimeToDate(`${nextMonth}-01`) };
+    };
+
+    // Pages load one at a time, and a response for a month or page that's no longer wanted is dropped
+    useEffect(() => {
+        if (!repository) return;
+        let cancelled = false;
+        setLoading(true);
+        setError('');
+        repository.fetchPastEvents({ ...getMonthRange(), cursor: requestedCursor, pageSize: ARCHIVE_PAGE_SIZE })
+            .then((page) => {
+                if (cancelled) return;
+                const now = new Date();
+                const fetchedEvents = page.events.filter(event => computeEndsAt(event) <= now); // the month query can include ongoing events
+                setPastEvents(prev => requestedCursor ? [...prev, ...fetchedEvents] : fetchedEvents);
+                setPageCursor(page.cursor);
+                setHasMore(page.hasMore);
+            })
+            .catch((err) => {
+                console.error("Error loading archived events:", err);
+                if (!cancelled) setError('Could not load past events. Please try again.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [repository, monthString, requestedCursor]);
+
+    // A new month starts again from its first page
+    const changeMonth = (value) => {
+        setMonthString(value);
+        setRequestedCursor(null);
+    };
+
+    const searchResults = useMemo(() => searchEvents(buildSearchIndex(pastEvents), searchText), [pastEvents, searchText]);
+    const visibleEvents = applyEventFilters(pastEvents, { selectedType, selectedTags, selectedDetails, selectedOrganizer, searchResults, nearby });
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+                <label className="text-sm font-bold text-gray-700">Browse by month:</label>
+                <input
+                    type="month"
+                    value={monthString}
+                    onChange={(e) => changeMonth(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg shadow-sm"
+                />
+                {monthString && (
+                    <button onClick={() => changeMonth('')} className="text-sm font-semibold text-teal-600 hover:underline">
+                        Show all past events
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {error}
+                </div>
+            )}
+
+            {!loading && visibleEvents.length === 0 && !error && (
+                <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-gray-200">
+                    <Archive className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+                    <p className="text-xl font-bold text-gray-700">No past events found.</p>
+                    <p className="text-base text-gray-600 mt-2">Try another month or adjust your filters.</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {visibleEvents.map(event => (
+                    <EventCard 
+                        key={event.id} 
+                        event={event} 
+                        highlights={searchResults && searchResults.get(event.id).highlights} 
+                    />
+                ))}
+            </div>
+
+            {loading && (
+                <div className="flex justify-center items-center h-24">
+                    <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+                </div>
+            )}
+
+            {!loading && hasMore && (
+                <button
+                    onClick={() => setRequestedCursor(pageCursor)}
+                    className="w-full mt-6 p-3 bg-white text-purple-700 font-bold rounded-xl shadow-md hover:bg-purple-50 transition"
+                >
+                    Load older events
+                </button>
+            )}
+        </div>
+    );
+};
+
+// --- Event Pages & Shareable URLs ---
+
+// The listing's filters live in the query string so the back button, bookmarks and shared links restore them,
+// read with readFilterParams (functions/listing.js) like the feeds and the embed widget.
+
+// Copy of `searchParams` with `name` set to `value` (a string or list); empty values remove the parameter
+const withParam = (searchParams, name, value) => {
+    const next = new URLSearchParams(searchParams);
+    const text = Array.isArray(value) ? value.join(',') : value;
+    if (text) {
+        next.set(name, text);
+    } else {
+        next.delete(name);
+    }
+    return next;
+};
+
+// Full page for one event with its untruncated description, at /events/:eventId
+const EventDetailPage = ({ repository, userId, isModerator, isAnonymous = false, onSignIn = null, onReport, savedEventIds = [], onToggleSaved = null }) => {
+    const { eventId } = useParams();
+    const [searchParams] = useSearchParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const [event, setEvent] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [linkCopied, setLinkCopied] = useState(false);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribeToEvent(eventId, (fetchedEvent) => {
+            setEvent(fetchedEvent);
+            setLoading(false);
+        }, (error) => {
+            console.error("Error loading event:", error);
+            setEvent(null);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId, eventId]);
+
+    // One occurrence of a series when the link names its date
+    const occurrenceDate = searchParams.get('date');
+    const shownEvent = useMemo(() => {
+        if (!event || !event.recurrence || !/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate || '')) return event;
+        const occurrences = expandRecurrence(event, zonedTimeToDate(occurrenceDate), zonedTimeToDate(addDaysToKey(occurrenceDate, 1)));
+        return occurrences.find(occurrence => occurrence.occurrenceDate === occurrenceDate) || event;
+    }, [event, occurrenceDate]);
+
+    const pageTitle = shownEvent ? shownEvent.title : null;
+    useEffect(() => {
+        if (!pageTitle) return;
+        const previousTitle = document.title;
+        document.title = `${pageTitle} | Houston Community Hub`;
+        return () => { document.title = previousTitle; };
+    }, [pageTitle]);
+
+    // Back to the listing and its filters, unless the page was opened straight from a shared link
+    const handleBack = () => {
+        if (location.key !== 'default') {
+            navigate(-1);
+        } else {
+            navigate('/');
+        }
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 3000);
+        } catch (e) {
+            console.error("Could not copy event link:", e);
+        }
+    };
+
+    return (
+        <section className="mb-8">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <button onClick={handleBack} className="flex items-center font-bold text-purple-700 hover:underline">
+                    <ChevronLeft className="w-5 h-5 mr-1" /> Back to events
+                </button>
+                {shownEvent && (
+                    <button
+                        onClick={handleCopyLink}
+                        className="flex items-center px-3 py-1 rounded-full bg-gray-100 text-sm text-gray-700 font-semibold hover:bg-purple-100 transition"
+                    >
+                        <Link className="w-4 h-4 mr-1" /> {linkCopied ? 'Copied!' : 'Copy link'}
+                    </button>
+                )}
+            </div>
+
+            {loading && (
+                <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
+                    <Loader className="w-10 h-10 text-pink-600 animate-spin" />
+                </div>
+            )}
+
+            {!loading && !shownEvent && (
+                <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-yellow-400">
+                    <AlertCircle className="w-12 h-12 mx-auto text-yellow-500 mb-4" />
+                    <p className="text-xl font-bold text-gray-700">This event isn't listed.</p>
+                    <p className="text-base text-gray-600 mt-2">It may have been removed, or the link may be mistyped.</p>
+                </div>
+            )}
+
+            {!loading && shownEvent && (
+                <>
+                    {shownEvent.status !== 'approved' && (
+                        <div className="flex items-center p-3 mb-4 text-sm text-yellow-800 rounded-xl bg-yellow-100 font-semibold shadow-inner" role="alert">
+                            <EyeOff className="w-4 h-4 mr-2" />
+                            This event isn't publicly listed (status: {shownEvent.status}).
+                        </div>
+                    )}
+                    <EventCard
+                        event={shownEvent}
+                        onReport={shownEvent.status === 'approved' ? onReport : null}
+                        onToggleSaved={shownEvent.status === 'approved' ? onToggleSaved : null}
+                        isSaved={savedEventIds.includes(shownEvent.seriesId || shownEvent.id)}
+                        repository={repository}
+                        userId={userId}
+                        isModerator={isModerator}
+                        isAnonymous={isAnonymous}
+                        onSignIn={onSignIn}
+                        preview
+                    />
+                </>
+            )}
+        </section>
+    );
+};
+
+// An organizer's profile with their upcoming and past events, at /organizers/:organizerId. The owner can edit the
+// profile here; moderators (`moderator` is { uid, email } for them, null otherwise) mark it trusted.
+const OrganizerPage = ({ repository, storage, userId, moderator, isAnonymous = false, onSignIn = null, onReport, savedEventIds = [], onToggleSaved = null }) => {
+    const { organizerId } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const [organizer, setOrganizer] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [isEditing, setIsEditing] = useState(false);
+    const [upcomingEvents, setUpcomingEvents] = useState([]);
+    const [pastEvents, setPastEvents] = useState([]);
+    const [pastCursor, setPastCursor] = useState(null);
+    const [pastRequest, setPastRequest] = useState({ organizerId, cursor: null }); // page of past events to load
+    const [hasMorePast, setHasMorePast] = useState(false);
+    const [loadingPast, setLoadingPast] = useState(false);
+    const [error, setError] = useState('');
+    const todayKey = toDateKey(new Date());
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        setLoading(true);
+        const unsubscribe = repository.subscribeToOrganizer(organizerId, (fetchedOrganizer) => {
+            setOrganizer(fetchedOrganizer);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error loading organizer:", err);
+            setOrganizer(null);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId, organizerId]);
+
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        const unsubscribe = repository.subscribe({ status: 'approved', organizerId, endsAfter: zonedTimeToDate(todayKey) }, (fetchedEvents) => {
+            const windowEnd = zonedTimeToDate(addDaysToKey(todayKey, RECURRENCE_WINDOW_DAYS));
+            setUpcomingEvents(listUpcomingEvents(fetchedEvents, { windowEnd }));
+        }, (err) => {
+            console.error("Error loading the organizer's events:", err);
+            setError("Could not load this organizer's events. Please try again.");
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId, organizerId, todayKey]);
+
+    // Like the archive, a response for another organizer or an earlier request is dropped
+    useEffect(() => {
+        if (!repository || !userId) return;
+        const cursor = pastRequest.organizerId === organizerId ? pastRequest.cursor : null; // another organizer starts over
+        let cancelled = false;
+        setLoadingPast(true);
+        repository.fetchPastEvents({ organizerId, cursor, pageSize: ARCHIVE_PAGE_SIZE })
+            .then((page) => {
+                if (cancelled) return;
+                setPastEvents(prev => cursor ? [...prev, ...page.events] : page.events);
+                setPastCursor(page.cursor);
+                setHasMorePast(page.hasMore);
+            })
+            .catch((err) => {
+                console.error("Error loading the organizer's past events:", err);
+                if (!cancelled) setError("Could not load this organizer's past events. Please try again.");
+            })
+            .finally(() => {
+                if (!cancelled) setLoadingPast(false);
+            });
+        return () => { cancelled = true; };
+    }, [repository, userId, organizerId, pastRequest]);
+
+    const organizerName = organizer ? organizer.name : null;
+    useEffect(() => {
+        if (!organizerName) return;
+        const previousTitle = document.title;
+        document.title = `${organizerName} | Houston Community Hub`;
+        return () => { document.title = previousTitle; };
+    }, [organizerName]);
+
+    // Back to wherever the link was followed from, unless the page was opened straight from a shared link
+    const handleBack = () => {
+        if (location.key !== 'default') {
+            navigate(-1);
+        } else {
+            navigate('/');
+        }
+    };
+
+    const handleToggleTrusted = async () => {
+        const message = organizer.trusted
+            ? `Stop trusting ${organizer.name}? Their new events will wait for review again.`
+            : `Trust ${organizer.name}? Their new events will be listed without review unless screening flags them.`;
+        if (!window.confirm(message)) return;
+        setError('');
+        try {
+            await repository.setOrganizerTrusted(organizer, !organizer.trusted, { moderator });
+        } catch (err) {
+            console.error("Error changing the organizer's trusted status:", err);
+            setError('Could not change the trusted status. Please try again.');
+        }
+    };
+
+    const renderEventCard = (event) => (
+        <EventCard
+            key={event.id}
+            event={event}
+            onReport={onReport}
+            onToggleSaved={onToggleSaved}
+            isSaved={savedEventIds.includes(event.seriesId || event.id)}
+            repository={repository}
+            userId={userId}
+            isModerator={Boolean(moderator)}
+            isAnonymous={isAnonymous}
+            onSignIn={onSignIn}
+        />
+    );
+
+    return (
+        <section className="mb-8">
+            <button onClick={handleBack} className="flex items-center mb-4 font-bold text-purple-700 hover:underline">
+                <ChevronLeft className="w-5 h-5 mr-1" /> Back
+            </button>
+
+            {loading && (
+                <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
+                    <Loader className="w-10 h-10 text-pink-600 animate-spin" />
+                </div>
+            )}
+
+            {!loading && !organizer && (
+                <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-yellow-400">
+                    <AlertCircle className="w-12 h-12 mx-auto text-yellow-500 mb-4" />
+                    <p className="text-xl font-bold text-gray-700">This organizer doesn't exist.</p>
+                    <p className="text-base text-gray-600 mt-2">Their profile may have been removed, or the link may be mistyped.</p>
+                </div>
+            )}
+
+            {!loading && organizer && (
+                <>
+                    <div className="p-6 mb-8 bg-white rounded-3xl shadow-xl border-t-8 border-purple-400">
+                        {isEditing ? (
+                            <OrganizerForm
+                                repository={repository}
+                                storage={storage}
+                                userId={userId}
+                                organizer={organizer}
+                                onSaved={() => setIsEditing(false)}
+                                onCancel={() => setIsEditing(false)}
+                            />
+                        ) : (
+                            <div className="flex flex-col sm:flex-row gap-5">
+                                {organizer.logoUrl ? (
+                                    <img src={organizer.logoUrl} alt={`${organizer.name} logo`} className="w-24 h-24 rounded-full object-cover border border-gray-200 flex-shrink-0" />
+                                ) : (
+                                    <div className="w-24 h-24 rounded-full bg-gradient-to-r from-purple-500 to-pink-500 flex items-center justify-center text-white text-4xl font-extrabold flex-shrink-0" aria-hidden="true">
+                                        {organizer.name.charAt(0).toUpperCase()}
+                                    </div>
+                                )}
+                                <div className="flex-1 min-w-0">
+                                    <h2 className="text-3xl font-extrabold text-gray-900 flex flex-wrap items-center gap-2">
+                                        {organizer.name}
+                                        {organizer.trusted && (
+                                            <span className="flex items-center text-xs font-bold px-2.5 py-1 rounded-full bg-teal-100 text-teal-800">
+                                                <Shield className="w-3 h-3 mr-1" /> Trusted Organizer
+                                            </span>
+                                        )}
+                                    </h2>
+                                    {organizer.bio && <p className="mt-2 text-gray-700 whitespace-pre-line">{organizer.bio}</p>}
+                                    <div className="mt-3 space-y-1 text-sm">
+                                        {/* firestore.rules only accept http(s) links; older profiles may have others */}
+                                        {(organizer.links || []).filter(isWebLink).map(link => (
+                                            <a key={link} href={link} target="_blank" rel="noopener noreferrer" className="flex items-center text-teal-600 font-bold hover:underline break-all">
+                                                <Link className="w-4 h-4 mr-2 flex-shrink-0" /> {link.replace(/^https?:\/\//, '')}
+                                            </a>
+                                        ))}
+                                        {organizer.contactEmail && (
+                                            <a href={`mailto:${organizer.contactEmail}`} className="flex items-center text-purple-600 font-bold hover:underline">
+                                                <Mail className="w-4 h-4 mr-2 flex-shrink-0" /> {organizer.contactEmail}
+                                            </a>
+                                        )}
+                                    </div>
+                                    {(organizer.ownerId === userId || moderator) && (
+                                        <div className="mt-4 flex flex-wrap gap-2">
+                                            {organizer.ownerId === userId && (
+                                                <button
+                                                    onClick={() => setIsEditing(true)}
+                                                    className="flex items-center text-sm font-semibold text-white px-3 py-1 rounded-full transition shadow bg-purple-500 hover:bg-purple-600"
+                                                >
+                                                    <Pencil className="w-4 h-4 mr-1"/> Edit Profile
+                                                </button>
+                                            )}
+                                            {moderator && (
+                                                <button
+                                                    onClick={handleToggleTrusted}
+                                                    className="flex items-center text-sm font-semibold text-gray-700 px-3 py-1 rounded-full transition shadow bg-gray-200 hover:bg-gray-300"
+                                                >
+                                                    <Shield className="w-4 h-4 mr-1"/> {organizer.trusted ? 'Remove Trusted Status' : 'Mark as Trusted'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {error && (
+                        <div className="flex items-center p-3 mb-4 text-sm text-red-800 rounded-xl bg-red-100 font-semibold shadow-inner" role="alert">
+                            <AlertCircle className="w-4 h-4 mr-2" />
+                            {error}
+                        </div>
+                    )}
+
+                    <h3 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                        <Calendar className="w-5 h-5 mr-2 text-pink-600" /> Upcoming Events
+                    </h3>
+                    {upcomingEvents.length === 0 ? (
+                        <p className="p-6 mb-8 text-center text-gray-600 bg-white rounded-xl shadow">No upcoming events listed right now.</p>
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+                            {upcomingEvents.map(renderEventCard)}
+                        </div>
+                    )}
+
+                    <h3 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                        <Archive className="w-5 h-5 mr-2 text-gray-500" /> Past Events
+                    </h3>
+                    {!loadingPast && pastEvents.length === 0 && (
+                        <p className="p-6 text-center text-gray-600 bg-white rounded-xl shadow">No past events yet.</p>
+                    )}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {pastEvents.map(event => <EventCard key={event.id} event={event} />)}
+                    </div>
+                    {loadingPast && (
+                        <div className="flex justify-center items-center h-24">
+                            <Loader className="w-8 h-8 text-pink-600 animate-spin" />
+                        </div>
+                    )}
+                    {!loadingPast && hasMorePast && (
+                        <button
+                            onClick={() => setPastRequest({ organizerId, cursor: pastCursor })}
+                            className="w-full mt-6 p-3 bg-white text-purple-700 font-bold rounded-xl shadow-md hover:bg-purple-50 transition"
+                        >
+                            Load older events
+                        </button>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
+
+// --- Embed Widget ---
+// A compact list of upcoming events for partner sites, served at /embed and usually placed by public/embed.js,
+// which sizes the iframe to fit. Takes the listing's filter parameters (FILTER_PARAMS), `limit`, a `title`, and
+// `accent`, `background` and `text` hex colors. Events come from the eventsFeed function, so the widget doesn't
+// sign in to Firebase.
 
-const AdminPanel = ({ db, appId, setPendingCount, onToggle }) => {
-    const [pendingEvents, setPendingEvents] = useState([]);
+const EMBED_DEFAULT_LIMIT = 5;
+// Message public/embed.js listens for: { type, height }
+const EMBED_RESIZE_MESSAGE = 'houston-community-hub:resize';
+
+// 'db2777' or '#db2777' as a CSS color; anything else is ignored
+const readColorParam = (searchParams, name) => {
+    const value = (searchParams.get(name) || '').replace(/^#/, '');
+    return /^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? `#${value}` : undefined;
+};
+
+export const EventWidget = () => {
+    const [searchParams] = useSearchParams();
+    const [feed, setFeed] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
 
-    // Fetch Pending Events
-    useEffect(() => {
-        if (!db) return;
-        
-        const eventsCollectionRef = collection(db, `artifacts/${appId}/public/data/events`);
-        const q = query(
-            eventsCollectionRef, 
-            where('status', '==', 'pending')
-        );
+    // Only the filters go on to the feed and the "see all" link
+    const filterQuery = useMemo(() => {
+        const params = new URLSearchParams();
+        FILTER_PARAMS.forEach(name => {
+            if (searchParams.get(name)) params.set(name, searchParams.get(name));
+        });
+        return params.toString();
+    }, [searchParams]);
+    const requestedLimit = parseInt(searchParams.get('limit'), 10);
+    const limit = requestedLimit > 0 ? requestedLimit : EMBED_DEFAULT_LIMIT;
+    const theme = {
+        accent: readColorParam(searchParams, 'accent'),
+        background: readColorParam(searchParams, 'background'),
+        text: readColorParam(searchParams, 'text'),
+    };
 
-        setLoading(true);
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedEvents = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setPendingEvents(fetchedEvents);
-            setPendingCount(fetchedEvents.length); // Update the count in the parent
-            setLoading(false);
-        }, (error) => {
-            console.error("Error listening to pending events:", error);
+    useEffect(() => {
+        if (!eventsFeedUrl) {
+            setError("The events feed isn't set up for this site yet.");
             setLoading(false);
-        });
+            return;
+        }
 
-        return () => unsubscribe();
-    }, [db, appId, setPendingCount]);
+        let cancelled = false;
+        const url = new URL(eventsFeedUrl);
+        url.search = filterQuery;
+        url.searchParams.set('app', appId);
+        url.searchParams.set('format', 'json');
+        url.searchParams.set('limit', String(limit));
+        setLoading(true);
+        fetch(url)
+            .then((response) => {
+                if (!response.ok) throw new Error(`eventsFeed responded ${response.status}`);
+                return response.json();
+            })
+            .then((fetchedFeed) => {
+                if (cancelled) return;
+                setFeed(fetchedFeed);
+                setError('');
+            })
+            .catch((e) => {
+                console.error("Error loading the events feed:", e);
+                if (!cancelled) setError("Couldn't load events right now.");
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [filterQuery, limit]);
 
-    const handleAction = async (eventId, newStatus) => {
-        if (!db) return;
-        try {
-            const eventDocRef = doc(db, `artifacts/${appId}/public/data/events`, eventId);
-            
-            if (newStatus === 'approved') {
-                await updateDoc(eventDocRef, { status: 'approved' });
-            } else if (newStatus === 'delete') {
-                await deleteDoc(eventDocRef);
-            }
-        } catch (error) {
-            console.error(`Error performing ${newStatus} on event ${eventId}:`, error);
-        }
-    };
+    // Reports the content height to public/embed.js so the iframe never needs its own scrollbar
+    useEffect(() => {
+        if (window.parent === window) return;
+        const observer = new ResizeObserver(() => {
+            window.parent.postMessage({ type: EMBED_RESIZE_MESSAGE, height: document.documentElement.scrollHeight }, '*');
+        });
+        observer.observe(document.body);
+        return () => observer.disconnect();
+    }, []);
 
     return (
-        <div className="p-6 bg-red-50 border-4 border-red-500 rounded-3xl shadow-inner mb-8 transition duration-300">
-            <div className="flex justify-between items-center mb-4 border-b pb-2">
-                <h2 className="text-2xl font-extrabold text-red-800 flex items-center">
-                    <AlertCircle className="w-6 h-6 mr-2 fill-red-200 text-red-500"/> 
-                    ADMIN REVIEW PANEL ({pendingEvents.length} Pending)
-                </h2>
-                <button 
-                    onClick={onToggle}
-                    className="text-gray-500 hover:text-red-700 transition"
-                >
-                    <X className="w-5 h-5" />
-                </button>
-            </div>
+        <div className="font-sans p-3" style={{ backgroundColor: theme.background, color: theme.text }}>
+            <script src="https://cdn.tailwindcss.com"></script>
+            <h2 className="text-lg font-extrabold text-gray-900 mb-3 flex items-center" style={theme.text ? { color: theme.text } : undefined}>
+                <Calendar className="w-5 h-5 mr-2 flex-shrink-0" style={theme.accent ? { color: theme.accent } : undefined} />
+                {searchParams.get('title') || (feed ? feed.title : 'Houston LGBTQ+ Events')}
+            </h2>
 
-            {loading && <p className="text-center text-red-600">Loading pending submissions...</p>}
+            {loading && (
+                <div className="flex items-center p-4 text-sm text-gray-600">
+                    <Loader className="w-5 h-5 mr-2 animate-spin" /> Loading events...
+                </div>
+            )}
+            {!loading && error && <p className="p-4 text-sm font-semibold text-red-700">{error}</p>}
+            {!loading && !error && feed && feed.events.length === 0 && (
+                <p className="p-4 text-sm text-gray-600">No upcoming events right now. Check back soon!</p>
+            )}
 
-            {!loading && pendingEvents.length === 0 && (
-                <p className="text-center text-lg font-semibold text-green-700 flex items-center justify-center">
-                    <CheckCircle className="w-5 h-5 mr-2" /> All clear! No events pending review.
-                </p>
+            {!loading && !error && feed && (
+                <div className="space-y-3">
+                    {feed.events.map(event => (
+                        <EventCard key={event.id} event={event} compact theme={theme} />
+                    ))}
+                </div>
             )}
 
-            <div className="space-y-4">
-                {pendingEvents.map(event => (
-                    <div key={event.id} className="p-4 bg-white rounded-xl shadow-md border-l-4 border-yellow-500">
-                        <p className="font-bold text-lg text-gray-900">{event.title}</p>
-                        <p className="text-sm text-gray-600 line-clamp-2">{event.description}</p>
-                        <p className="text-xs text-gray-500 mt-1">
-                            Submitted by: {event.submittedBy.substring(0, 8)}... on {formatDate(event.submittedAt)}
-                        </p>
-                        <div className="mt-3 flex space-x-2">
-                            <button
-                                onClick={() => handleAction(event.id, 'approved')}
-                                className="flex items-center text-sm font-semibold bg-green-500 text-white px-3 py-1 rounded-full hover:bg-green-600 transition shadow-lg"
-                            >
-                                <CheckCircle className="w-4 h-4 mr-1"/> Approve
-                            </button>
-                            <button
-                                onClick={() => handleAction(event.id, 'delete')}
-                                className="flex items-center text-sm font-semibold bg-red-500 text-white px-3 py-1 rounded-full hover:bg-red-600 transition shadow-lg"
-                            >
-                                <Trash2 className="w-4 h-4 mr-1"/> Delete
-                            </button>
-                        </div>
-                    </div>
-                ))}
-            </div>
+            <a
+                href={`${window.location.origin}/${filterQuery ? `?${filterQuery}` : ''}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block mt-3 text-sm font-bold text-purple-700 hover:underline"
+                style={theme.accent ? { color: theme.accent } : undefined}
+            >
+                See all events on the Houston LGBTQ+ Community Hub
+            </a>
         </div>
     );
 };
 
-
 const App = () => {
     const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [functions, setFunctions] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [repository, setRepository] = useState(null);
+    const [submissionQueue, setSubmissionQueue] = useState(null); // Firestore only
+    const [queuedSubmissions, setQueuedSubmissions] = useState([]);
+    const [queueError, setQueueError] = useState('');
+    const [savedEventsNotMoved, setSavedEventsNotMoved] = useState(false); // after signing in to an existing account
     const [userId, setUserId] = useState(null);
+    const [userEmail, setUserEmail] = useState(null);
+    const [isAnonymous, setIsAnonymous] = useState(true);
+    const [isModerator, setIsModerator] = useState(false);
+    const [showSignIn, setShowSignIn] = useState(false);
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [eventsError, setEventsError] = useState(false);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [servingCachedEvents, setServingCachedEvents] = useState(false);
+    const [eventsSyncedAt, setEventsSyncedAt] = useState(() => {
+        const stored = window.localStorage.getItem(EVENTS_SYNCED_AT_KEY);
+        return stored ? new Date(stored) : null;
+    });
     const [showForm, setShowForm] = useState(false);
-    const [submissionSuccess, setSubmissionSuccess] = useState(false);
+    const [showMySubmissions, setShowMySubmissions] = useState(false);
+    const [savedEventIds, setSavedEventIds] = useState([]); // series or one-off event ids
+    const [showSavedEvents, setShowSavedEvents] = useState(false);
+    const [submissionSuccess, setSubmissionSuccess] = useState(false); // false, or the new event's status
     const [pendingCount, setPendingCount] = useState(0);
     const [showAdminPanel, setShowAdminPanel] = useState(false); // New state for admin panel toggle
 
     // --- Filter State ---
-    const [selectedCommunities, setSelectedCommunities] = useState(['Trans', 'Nonbinary', 'LGBT+']);
-    const [selectedType, setSelectedType] = useState('All'); 
+    const [taxonomy, setTaxonomy] = useState(() => normalizeTaxonomy(null));
+    const [searchParams, setSearchParams] = useSearchParams();
+    // selectedTags: group key -> tags, nothing selected shows everything; selectedDetails: detail key -> option ids
+    const { selectedTags, selectedDetails, selectedType, selectedOrganizer, searchText } = useMemo(
+        () => readFilterParams(searchParams, taxonomy),
+        [searchParams, taxonomy]
+    );
+    const deferredSearchText = useDeferredValue(searchText); // keeps typing responsive on large lists
+    const [dateRange, setDateRange] = useState('any');
+    const [customStartKey, setCustomStartKey] = useState('');
+    const [customEndKey, setCustomEndKey] = useState('');
+    const [view, setView] = useState('upcoming'); // 'upcoming' | 'archive'
+    const [layout, setLayout] = useState('grid'); // 'grid' | 'month' | 'week' | 'map'
+    const [nearArea, setNearArea] = useState(''); // '' (anywhere), 'current', or a HOUSTON_AREAS label
+    const [currentPosition, setCurrentPosition] = useState(null);
+    const [locating, setLocating] = useState(false);
+    const [locationError, setLocationError] = useState('');
+    const [radiusMiles, setRadiusMiles] = useState(10);
+    const [copiedLink, setCopiedLink] = useState(''); // '' | 'calendar' | 'embed'
+
+    // Clock for dropping events as they end; the day key re-runs the upcoming query at midnight
+    const [now, setNow] = useState(() => new Date());
+    const todayKey = toDateKey(now);
+    const [calendarCursorKey, setCalendarCursorKey] = useState(todayKey); // any day in the visible month/week
 
 
     // 1. Initialize Firebase and Authentication
     useEffect(() => {
         if (Object.keys(firebaseConfig).length === 0) {
-            console.error("Firebase config is missing.");
+            console.warn("Firebase config is missing; using sample events stored in this browser.");
+            setRepository(createLocalEventRepository({ storage: window.localStorage }));
+            setUserId(LOCAL_USER_ID);
+            setIsAnonymous(false);
             return;
         }
 
         try {
             const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
+            // Approved events stay readable offline from IndexedDB, shared by every open tab
+            const firestore = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+            });
             const userAuth = getAuth(app);
+            const cloudFunctions = getFunctions(app);
+            const imageStorage = getStorage(app);
+
+            if (useEmulators) {
+                connectFirestoreEmulator(firestore, 'localhost', 8080);
+                connectAuthEmulator(userAuth, 'http://localhost:9099', { disableWarnings: true });
+                connectFunctionsEmulator(cloudFunctions, 'localhost', 5001);
+                connectStorageEmulator(imageStorage, 'localhost', 9199);
+            }
             
             setDb(firestore);
+            setAuth(userAuth);
+            setFunctions(cloudFunctions);
+            setStorage(imageStorage);
+            setRepository(createFirestoreEventRepository({ db: firestore, functions: cloudFunctions, appId }));
+            const queue = createSubmissionQueue({ storage: window.localStorage });
+            setSubmissionQueue(queue);
+            setQueuedSubmissions(queue.list());
             
             const handleSignIn = async (authInstance) => {
                 try {
@@ -468,8 +5062,12 @@ const App = () => {
             const unsubscribe = onAuthStateChanged(userAuth, (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setUserEmail(user.email);
+                    setIsAnonymous(user.isAnonymous);
                 } else {
                     setUserId(crypto.randomUUID()); 
+                    setUserEmail(null);
+                    setIsAnonymous(true);
                 }
             });
 
@@ -481,100 +5079,360 @@ const App = () => {
         }
     }, []);
 
-    // 2. Fetch Approved Events (Real-time Listener)
     useEffect(() => {
-        if (!db || !userId) {
-            console.log("Waiting for DB or UserID to be ready for approved events query...");
+        const interval = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    // 2. Fetch Upcoming Approved Events (Real-time Listener)
+    useEffect(() => {
+        if (!repository || !userId) {
+            console.log("Waiting for the event repository or UserID to be ready for approved events query...");
             return;
         }
 
-        const eventsCollectionRef = collection(db, `artifacts/${appId}/public/data/events`);
-        const q = query(
-            eventsCollectionRef, 
-            where('status', '==', 'approved')
-        );
-
+        // Only events (or series) that haven't finished yet; see computeEndsAt
         setLoading(true);
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedEvents = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+        let cachedTimer = null;
+        const unsubscribe = repository.subscribe({ status: 'approved', endsAfter: zonedTimeToDate(todayKey) }, (fetchedEvents, { fromCache }) => {
             setEvents(fetchedEvents);
             setLoading(false);
+            setEventsError(false);
+            clearTimeout(cachedTimer);
+            if (fromCache) {
+                cachedTimer = setTimeout(() => setServingCachedEvents(true), CACHED_EVENTS_GRACE_MS);
+                return;
+            }
+            const syncedAt = new Date();
+            setServingCachedEvents(false);
+            setEventsSyncedAt(syncedAt);
+            window.localStorage.setItem(EVENTS_SYNCED_AT_KEY, syncedAt.toISOString());
         }, (error) => {
             console.error("Error listening to approved events:", error);
             setLoading(false);
+            setEventsError(true);
         });
 
-        return () => unsubscribe();
-    }, [db, userId]); 
+        return () => {
+            clearTimeout(cachedTimer);
+            unsubscribe();
+        };
+    }, [repository, userId, todayKey]); 
 
-    // 3. Fetch Pending Event Count (This is now handled by AdminPanel, but we keep the logic for the header indicator)
     useEffect(() => {
-        if (!db || !userId) return;
-        
-        const eventsCollectionRef = collection(db, `artifacts/${appId}/public/data/events`);
-        const q = query(
-            eventsCollectionRef, 
-            where('status', '==', 'pending')
-        );
+        const handleConnectionChange = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', handleConnectionChange);
+        window.addEventListener('offline', handleConnectionChange);
+        return () => {
+            window.removeEventListener('online', handleConnectionChange);
+            window.removeEventListener('offline', handleConnectionChange);
+        };
+    }, []);
+
+    // Send submissions queued offline once the connection is back, retrying every minute while any are left.
+    // They go out as whoever is signed in now, which is the same anonymous user after a reload.
+    useEffect(() => {
+        if (!submissionQueue || !repository || !userId || !isOnline || queuedSubmissions.length === 0) return;
+
+        submissionQueue.flush(repository, {
+            onSent: async (entry, result) => {
+                setSubmissionSuccess(result.status || 'pending');
+                setTimeout(() => setSubmissionSuccess(false), 5000);
+                if (!entry.extras.privateLocation || !result.id) return;
+                try {
+                    await repository.savePrivateLocation(result.id, entry.extras.privateLocation);
+                } catch (e) {
+                    console.error("Error saving a queued event's private address:", e);
+                }
+            },
+            onRejected: (entry, error) => {
+                setQueueError(`"${entry.eventFields.title}" couldn't be submitted: ${error.message}`);
+            },
+        }).then(setQueuedSubmissions);
+    }, [submissionQueue, repository, userId, isOnline, queuedSubmissions.length, now]);
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            setPendingCount(snapshot.size);
+    // Tag taxonomy managed by moderators (functions/taxonomy.js); the defaults apply until it's first saved.
+    // Renamed and retired tags drop out of the filters (see readFilterParams).
+    useEffect(() => {
+        if (!repository) return;
+
+        const unsubscribe = repository.subscribeToTaxonomy((stored) => {
+            setTaxonomy(normalizeTaxonomy(stored));
         }, (error) => {
-            console.error("Error counting pending events:", error);
+            console.error("Error listening to the tag taxonomy:", error);
         });
 
         return () => unsubscribe();
-    }, [db, userId]); 
+    }, [repository]);
 
+    // Quick exit: Escape twice within a second
+    useEffect(() => {
+        let lastEscapeAt = -Infinity;
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Escape') return;
+            if (e.timeStamp - lastEscapeAt < 1000) quickExit();
+            lastEscapeAt = e.timeStamp;
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
 
-    // --- Filtering Logic ---
-    const filteredEvents = useMemo(() => {
-        let currentEvents = [...events];
-        
-        // 1. Sort by Date (in memory, avoids index requirement)
-        currentEvents.sort((a, b) => {
-            const dateA = a.date instanceof Timestamp ? a.date.toMillis() : new Date(a.date).getTime();
-            const dateB = b.date instanceof Timestamp ? b.date.toMillis() : new Date(b.date).getTime();
-            return dateA - dateB;
+    // The user's saved events, for the "Interested" buttons and My Saved Events
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        const unsubscribe = repository.subscribeToSavedEvents(userId, (saved) => {
+            setSavedEventIds(saved.map(({ eventId }) => eventId));
+        }, (error) => {
+            console.error("Error listening to saved events:", error);
         });
 
-        // 2. Filter by Event Type
-        if (selectedType !== 'All') {
-            currentEvents = currentEvents.filter(event => event.type === selectedType);
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    // 3. Resolve Moderator Role (anonymous users are never moderators; the local user always is)
+    useEffect(() => {
+        if (!db || !userId || isAnonymous) {
+            setIsModerator(userId === LOCAL_USER_ID);
+            return;
         }
 
-        // 3. Filter by Community Focus
-        if (selectedCommunities.length > 0) {
-            currentEvents = currentEvents.filter(event => 
-                event.communityFocus && selectedCommunities.some(focus => event.communityFocus.includes(focus))
-            );
+        const roleDocRef = doc(db, `artifacts/${appId}/public/data/moderators`, userId);
+        const unsubscribe = onSnapshot(roleDocRef, (snapshot) => {
+            setIsModerator(snapshot.exists() && MODERATOR_ROLES.includes(snapshot.data().role));
+        }, (error) => {
+            console.error("Error checking moderator role:", error);
+            setIsModerator(false);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAnonymous]);
+
+    // Close the panel and clear the count as soon as moderator access is lost
+    useEffect(() => {
+        if (!isModerator) {
+            setShowAdminPanel(false);
+            setPendingCount(0);
         }
-        
-        return currentEvents;
-    }, [events, selectedType, selectedCommunities]);
+    }, [isModerator]);
+
+    // 4. Fetch the Review Queue Count (moderators only; the rules reject this query for everyone else)
+    useEffect(() => {
+        if (!repository || !userId || !isModerator) return;
+
+        // New submissions and changes to live events share the one review queue, flagged ones included
+        let eventCount = 0;
+        let revisionCount = 0;
+        const unsubscribe = repository.subscribe({ status: ['pending', 'flagged'] }, (awaitingEvents) => {
+            eventCount = awaitingEvents.length;
+            setPendingCount(eventCount + revisionCount);
+        }, (error) => {
+            console.error("Error counting pending events:", error);
+        });
+        const unsubscribeRevisions = repository.subscribeToRevisions({ status: ['pending', 'flagged'] }, (revisions) => {
+            revisionCount = revisions.length;
+            setPendingCount(eventCount + revisionCount);
+        }, (error) => {
+            console.error("Error counting pending revisions:", error);
+        });
+
+        return () => {
+            unsubscribe();
+            unsubscribeRevisions();
+        };
+    }, [repository, userId, isModerator]); 
+
+
+    // --- Filtering Logic ---
+    const searchIndex = useMemo(() => buildSearchIndex(events), [events]);
+    const searchResults = useMemo(() => searchEvents(searchIndex, deferredSearchText), [searchIndex, deferredSearchText]);
+
+    const dateBounds = useMemo(
+        () => getDateRangeBounds(dateRange, customStartKey, customEndKey),
+        [dateRange, customStartKey, customEndKey, todayKey]
+    );
+
+    const nearby = useMemo(() => {
+        const origin = nearArea === 'current' ? currentPosition : HOUSTON_AREAS.find(area => area.label === nearArea);
+        return origin ? { lat: origin.lat, lng: origin.lng, radiusMiles } : null;
+    }, [nearArea, currentPosition, radiusMiles]);
+
+    const filteredEvents = useMemo(() => {
+        // 1. Expand recurring series into their occurrences within the visible window, stretched to cover a later
+        //    date range or calendar page; drop anything that ended earlier today and sort by start instant
+        const windowEndKeys = [addDaysToKey(todayKey, RECURRENCE_WINDOW_DAYS)];
+        if (dateBounds && dateBounds.end) windowEndKeys.push(toDateKey(dateBounds.end));
+        if (layout === 'month' || layout === 'week') windowEndKeys.push(getCalendarRange(layout, calendarCursorKey).endKey);
+        const windowEnd = zonedTimeToDate(windowEndKeys.sort()[windowEndKeys.length - 1]);
+        const currentEvents = listUpcomingEvents(events, { now, windowEnd });
+
+        // 2. Filter by Date Range, Keyword Search, Distance, Event Type, Organizer, Tags and Details
+        return applyEventFilters(currentEvents, { selectedType, selectedTags, selectedDetails, selectedOrganizer, searchResults, dateBounds, nearby });
+    }, [events, now, selectedType, selectedTags, selectedDetails, selectedOrganizer, searchResults, dateBounds, nearby, layout, calendarCursorKey]);
+
+    // Events keep a copy of their organizer's name
+    const selectedOrganizerName = useMemo(() => {
+        if (!selectedOrganizer) return '';
+        const hosted = events.find(event => event.organizerId === selectedOrganizer && event.organizerName);
+        return hosted ? hosted.organizerName : 'One organizer';
+    }, [events, selectedOrganizer]);
     // --- End Filtering Logic ---
 
 
-    const handleCommunityFilter = (focus) => {
-        setSelectedCommunities(prev => 
-            prev.includes(focus) 
-                ? prev.filter(c => c !== focus) 
-                : [...prev, focus]
+    // Each filter change is a history entry; typing a search only adds one when it starts
+    const handleDetailFilter = (key, id) => {
+        const selected = selectedDetails[key];
+        setSearchParams(prev => withParam(prev, key, selected.includes(id) ? selected.filter(i => i !== id) : [...selected, id]));
+    };
+
+    const handleTagFilter = (key, tag) => {
+        const { feedParam } = TAG_GROUPS.find(group => group.key === key);
+        const selected = selectedTags[key];
+        setSearchParams(prev => withParam(prev, feedParam, selected.includes(tag) 
+            ? selected.filter(t => t !== tag) 
+            : [...selected, tag]));
+    };
+
+    const handleTypeFilter = (type) => {
+        setSearchParams(prev => withParam(prev, 'type', type === 'All' ? '' : type));
+    };
+
+    const clearOrganizerFilter = () => {
+        setSearchParams(prev => withParam(prev, 'organizer', ''));
+    };
+
+    const handleSearchChange = (text) => {
+        setSearchParams(prev => withParam(prev, SEARCH_PARAM, text), { replace: searchParams.has(SEARCH_PARAM) });
+    };
+
+    const handleUseMyLocation = () => {
+        if (!navigator.geolocation) {
+            setLocationError('Your browser does not share its location.');
+            return;
+        }
+        setLocating(true);
+        setLocationError('');
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setCurrentPosition({ lat: position.coords.latitude, lng: position.coords.longitude });
+                setNearArea('current');
+                setLocating(false);
+            },
+            (err) => {
+                console.error("Error getting current location:", err);
+                setLocationError('Could not get your location. Pick a neighborhood instead.');
+                setLocating(false);
+            },
+            { maximumAge: 10 * 60 * 1000, timeout: 10000 }
         );
     };
 
-    const handleSubmissionSuccess = (isSuccessful) => {
-        setSubmissionSuccess(isSuccessful);
+    const handleCancelOccurrence = async (occurrence) => {
+        if (!repository || !isModerator) return;
+        if (!window.confirm(`Cancel "${occurrence.title}" on ${formatDate(occurrence.date)} only? The rest of the series stays listed.`)) return;
+        try {
+            await repository.cancelOccurrence(occurrence, { moderator: { uid: userId, email: userEmail } });
+        } catch (e) {
+            console.error("Error cancelling occurrence:", e);
+        }
+    };
+
+    // Reports always target the whole series, not a single occurrence
+    const handleReport = (event, reason, details) => repository.report(event.seriesId || event.id, { reason, details }, { userId });
+
+    // Saving, like reporting, always targets the whole series
+    const handleToggleSaved = (event, interested) => repository.setInterested(event.seriesId || event.id, interested, { userId });
+
+    const handleRemoveSaved = async (eventId) => {
+        try {
+            await repository.setInterested(eventId, false, { userId });
+        } catch (e) {
+            console.error("Error removing saved event:", e);
+        }
+    };
+
+    // Opens the sign-in form at the top of the page, e.g. from an event card further down
+    const openSignIn = auth ? () => {
+        setShowSignIn(true);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    } : null;
+
+    // Saved events aren't necessarily in the search index, so they may have no highlights
+    const renderEventCard = (event) => (
+        <EventCard 
+            key={event.id} 
+            event={event} 
+            highlights={searchResults && (searchResults.get(event.seriesId || event.id) || {}).highlights}
+            onCancelOccurrence={isModerator ? handleCancelOccurrence : null}
+            onReport={repository ? handleReport : null}
+            onToggleSaved={repository ? handleToggleSaved : null}
+            isSaved={savedEventIds.includes(event.seriesId || event.id)}
+            repository={repository}
+            userId={userId}
+            isModerator={isModerator}
+            isAnonymous={isAnonymous}
+            onSignIn={openSignIn}
+        />
+    );
+
+    // Feeds and the embed widget for the current filters (the search, dates and distance aren't included)
+    const listingFilters = { selectedType, selectedTags, selectedDetails, selectedOrganizer };
+    const calendarUrl = calendarFeedUrl && buildFeedUrl(calendarFeedUrl, listingFilters).replace(/^https?:/, 'webcal:');
+    const eventsFeedLinks = eventsFeedUrl
+        ? ['rss', 'atom', 'json'].map(format => ({ format, url: buildFeedUrl(eventsFeedUrl, listingFilters, { format }) }))
+        : [];
+
+    const handleCopyLink = async (id, text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopiedLink(id);
+            setTimeout(() => setCopiedLink(''), 3000);
+        } catch (e) {
+            console.error("Could not copy link:", e);
+        }
+    };
+
+    const handleSignOut = async () => {
+        if (!auth) return;
+        setSavedEventsNotMoved(false);
+        try {
+            await signOut(auth);
+            await signInAnonymously(auth);
+        } catch (e) {
+            console.error("Sign-out failed:", e);
+        }
+    };
+
+    // Linking keeps the anonymous user's uid, so only the email and account type change
+    const handleAccountCreated = (user) => {
+        setUserEmail(user.email);
+        setIsAnonymous(false);
+        setShowSignIn(false);
+    };
+
+    const handleSubmissionSuccess = (isSuccessful, status = 'pending') => {
+        setSubmissionSuccess(isSuccessful && status);
         setShowForm(false);
         setTimeout(() => setSubmissionSuccess(false), 5000); 
     }
 
+    const handleSubmissionQueued = () => {
+        setQueuedSubmissions(submissionQueue.list());
+        setQueueError('');
+        setShowForm(false);
+    };
+
     return (
         <div className="min-h-screen font-sans p-4 sm:p-8 bg-gray-50">
             <script src="https://cdn.tailwindcss.com"></script>
+            <button
+                onClick={quickExit}
+                className="fixed top-3 right-3 z-50 flex items-center bg-gray-900 text-white text-sm font-bold px-4 py-2 rounded-full shadow-lg hover:bg-black transition"
+                title="Leave this site now (or press Esc twice)"
+            >
+                <LogOut className="w-4 h-4 mr-2" />
+                Quick Exit
+            </button>
             {/* Custom background pattern for texture */}
             <div className="fixed inset-0 -z-10 bg-gradient-to-br from-pink-50 to-purple-50 opacity-50"></div>
             <div className="fixed inset-0 -z-10 opacity-10" style={{ 
@@ -600,128 +5458,487 @@ const App = () => {
                             <User className="w-4 h-4 mr-2 text-teal-300"/>
                             User ID: {userId ? userId.substring(0, 12) + '...' : 'Authenticating...'}
                         </span>
-                        {/* Hidden button to show Admin Panel for quick testing/moderation */}
-                        <button 
-                            onClick={() => setShowAdminPanel(!showAdminPanel)}
-                            className="text-yellow-300 font-bold bg-black/20 p-1 rounded-lg text-xs animate-pulse hover:bg-black/40 transition"
-                            title="Toggle Admin Review Panel"
-                        >
-                            {pendingCount} events pending review! (Click to Review)
-                        </button>
+                        <span className="flex items-center space-x-2">
+                            {/* Review button is only shown to signed-in moderators */}
+                            {isModerator && (
+                                <button 
+                                    onClick={() => setShowAdminPanel(!showAdminPanel)}
+                                    className="text-yellow-300 font-bold bg-black/20 p-1 rounded-lg text-xs animate-pulse hover:bg-black/40 transition"
+                                    title="Toggle Admin Review Panel"
+                                >
+                                    {pendingCount} events awaiting review! (Click to Review)
+                                </button>
+                            )}
+                            {auth && (isAnonymous ? (
+                                <button
+                                    onClick={() => setShowSignIn(!showSignIn)}
+                                    className="flex items-center text-teal-200 bg-black/20 p-1 rounded-lg text-xs hover:bg-black/40 transition"
+                                    title="Sign in or create an account"
+                                >
+                                    <LogIn className="w-3 h-3 mr-1"/> Sign In
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={handleSignOut}
+                                    className="flex items-center text-teal-200 bg-black/20 p-1 rounded-lg text-xs hover:bg-black/40 transition"
+                                    title="Sign Out"
+                                >
+                                    <LogOut className="w-3 h-3 mr-1"/> Sign Out
+                                </button>
+                            ))}
+                        </span>
                     </div>
                 </header>
 
-                {/* Admin Panel */}
-                {showAdminPanel && db && (
+                {/* Offline banner (the local repository never needs a connection) */}
+                {db && (!isOnline || servingCachedEvents) && (
+                    <div className="flex items-center p-3 mb-6 text-sm font-semibold text-yellow-900 rounded-xl bg-yellow-100 border border-yellow-300 shadow-sm" role="status">
+                        <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+                        {eventsSyncedAt
+                            ? `Offline — showing events as of ${formatShortDay(eventsSyncedAt)}, ${formatTime(eventsSyncedAt)}.`
+                            : "Offline — events will show up once you're back online."}
+                    </div>
+                )}
+
+                {/* Sign-In and account creation */}
+                {showSignIn && isAnonymous && auth && (
+                    <SignInForm
+                        auth={auth}
+                        functions={functions}
+                        onClose={() => setShowSignIn(false)}
+                        onAccountCreated={handleAccountCreated}
+                        onSavedEventsNotMoved={() => setSavedEventsNotMoved(true)}
+                    />
+                )}
+                {savedEventsNotMoved && (
+                    <div className="flex items-center p-3 mb-6 text-sm font-semibold text-yellow-900 rounded-xl bg-yellow-100 border border-yellow-300 shadow-sm" role="alert">
+                        <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                        <span className="flex-1">
+                            You're signed in, but the events you saved in this browser couldn't be moved to your account. Please save them again.
+                        </span>
+                        <button onClick={() => setSavedEventsNotMoved(false)} className="ml-2 text-yellow-900 hover:text-yellow-700" aria-label="Dismiss">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
+                {/* Admin Panel (moderators only) */}
+                {showAdminPanel && isModerator && repository && (
                     <AdminPanel 
-                        db={db} 
-                        appId={appId} 
+                        repository={repository}
+                        storage={storage}
+                        taxonomy={taxonomy}
+                        moderator={{ uid: userId, email: userEmail }}
+                        liveEvents={events}
                         setPendingCount={setPendingCount} 
                         onToggle={() => setShowAdminPanel(false)}
                     />
                 )}
                 
 
-                {/* Event Submission Section */}
-                <section className="mb-8">
-                    {submissionSuccess && (
-                        <div className="flex items-center p-4 mb-4 text-base font-semibold text-green-800 rounded-xl bg-green-200 shadow-md" role="alert">
-                            <Plus className="w-5 h-5 mr-2" />
-                            Success! Your event is pending review. You can approve it using the Admin Panel above!
-                        </div>
-                    )}
-                    <button 
-                        onClick={() => setShowForm(!showForm)}
-                        className="w-full p-4 mb-4 bg-gradient-to-r from-pink-500 to-red-500 text-white rounded-xl font-extrabold text-lg shadow-lg hover:from-pink-600 hover:to-red-600 transition duration-300 transform hover:scale-[1.01] flex items-center justify-center"
-                    >
-                        {showForm ? (
-                            <>
-                                <X className="w-5 h-5 mr-2"/> Hide Submission Form
-                            </>
-                        ) : (
-                            <>
-                                <Plus className="w-5 h-5 mr-2"/> Share Your Community Event!
-                            </>
-                        )}
-                    </button>
-                    {showForm && db && userId && (
-                        <AddEventForm 
-                            db={db} 
-                            userId={userId} 
-                            onSubmissionSuccess={handleSubmissionSuccess} 
+                {/* Pages: one event at /events/:eventId, an organizer at /organizers/:organizerId, the listing everywhere else */}
+                <Routes>
+                    <Route path="/organizers/:organizerId" element={(
+                        <OrganizerPage
+                            repository={repository}
+                            storage={storage}
+                            userId={userId}
+                            moderator={isModerator ? { uid: userId, email: userEmail } : null}
+                            isAnonymous={isAnonymous}
+                            onSignIn={openSignIn}
+                            onReport={repository ? handleReport : null}
+                            savedEventIds={savedEventIds}
+                            onToggleSaved={repository ? handleToggleSaved : null}
                         />
-                    )}
-                </section>
+                    )} />
+                    <Route path="/events/:eventId" element={(
+                        <EventDetailPage
+                            repository={repository}
+                            userId={userId}
+                            isModerator={isModerator}
+                            isAnonymous={isAnonymous}
+                            onSignIn={openSignIn}
+                            onReport={repository ? handleReport : null}
+                            savedEventIds={savedEventIds}
+                            onToggleSaved={repository ? handleToggleSaved : null}
+                        />
+                    )} />
+                    <Route path="*" element={(
+                        <>
+                            {/* Event Submission Section */}
+                            <section className="mb-8">
+                                {submissionSuccess && (
+                                    <div className="flex items-center p-4 mb-4 text-base font-semibold text-green-800 rounded-xl bg-green-200 shadow-md" role="alert">
+                                        <Plus className="w-5 h-5 mr-2" />
+                                        {submissionSuccess === 'approved'
+                                            ? "Success! Your event is listed now, since it's hosted by a trusted organizer."
+                                            : 'Success! Your event is pending review. A moderator will take a look soon!'}
+                                    </div>
+                                )}
+                                {queuedSubmissions.length > 0 && (
+                                    <div className="flex items-center p-4 mb-4 text-base font-semibold text-purple-800 rounded-xl bg-purple-100 shadow-md" role="status">
+                                        <Upload className="w-5 h-5 mr-2 flex-shrink-0" />
+                                        {queuedSubmissions.length === 1 ? 'Your event is' : `${queuedSubmissions.length} events are`} saved on this device
+                                        and will be sent for review as soon as you're back online.
+                                    </div>
+                                )}
+                                {queueError && (
+                                    <div className="flex items-center p-4 mb-4 text-base font-semibold text-red-800 rounded-xl bg-red-100 shadow-md" role="alert">
+                                        <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                                        {queueError}
+                                    </div>
+                                )}
+                                <button 
+                                    onClick={() => setShowForm(!showForm)}
+                                    className="w-full p-4 mb-4 bg-gradient-to-r from-pink-500 to-red-500 text-white rounded-xl font-extrabold text-lg shadow-lg hover:from-pink-600 hover:to-red-600 transition duration-300 transform hover:scale-[1.01] flex items-center justify-center"
+                                >
+                                    {showForm ? (
+                                        <>
+                                            <X className="w-5 h-5 mr-2"/> Hide Submission Form
+                                        </>
+                                    ) : (
+                                        <>
+                                            <Plus className="w-5 h-5 mr-2"/> Share Your Community Event!
+                                        </>
+                                    )}
+                                </button>
+                                {showForm && repository && userId && (
+                                    <AddEventForm 
+                                        repository={repository}
+                                        storage={storage}
+                                        taxonomy={taxonomy}
+                                        userId={userId} 
+                                        onSubmissionSuccess={handleSubmissionSuccess} 
+                                        existingEvents={events}
+                                        submissionQueue={submissionQueue}
+                                        onSubmissionQueued={handleSubmissionQueued}
+                                    />
+                                )}
+                                <button
+                                    onClick={() => setShowMySubmissions(!showMySubmissions)}
+                                    className="w-full p-3 mt-4 mb-4 bg-white text-purple-700 border-2 border-purple-300 rounded-xl font-bold shadow hover:bg-purple-50 transition duration-300 flex items-center justify-center"
+                                >
+                                    <Inbox className="w-5 h-5 mr-2"/> {showMySubmissions ? 'Hide My Submissions' : 'My Submissions'}
+                                </button>
+                                {showMySubmissions && repository && userId && (
+                                    <MySubmissions repository={repository} storage={storage} taxonomy={taxonomy} userId={userId} isAnonymous={isAnonymous} liveEvents={events} />
+                                )}
+                                <button
+                                    onClick={() => setShowSavedEvents(!showSavedEvents)}
+                                    className="w-full p-3 mt-4 mb-4 bg-white text-pink-700 border-2 border-pink-300 rounded-xl font-bold shadow hover:bg-pink-50 transition duration-300 flex items-center justify-center"
+                                >
+                                    <Bookmark className="w-5 h-5 mr-2"/> {showSavedEvents ? 'Hide My Saved Events' : `My Saved Events${savedEventIds.length ? ` (${savedEventIds.length})` : ''}`}
+                                </button>
+                                {showSavedEvents && repository && userId && (
+                                    <SavedEvents
+                                        repository={repository}
+                                        savedEventIds={savedEventIds}
+                                        isAnonymous={isAnonymous}
+                                        renderEventCard={renderEventCard}
+                                        onRemove={handleRemoveSaved}
+                                        onSignIn={auth ? () => setShowSignIn(true) : null}
+                                    />
+                                )}
+                            </section>
                 
-                {/* Filter Controls */}
-                <section className="bg-white p-5 rounded-3xl shadow-xl mb-8 border-l-4 border-r-4 border-teal-500">
-                    <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
-                        <Search className="w-5 h-5 mr-2 text-teal-600"/> Refine Your Search
-                    </h2>
+                            {/* Filter Controls */}
+                            <section className="bg-white p-5 rounded-3xl shadow-xl mb-8 border-l-4 border-r-4 border-teal-500">
+                                <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                                    <Search className="w-5 h-5 mr-2 text-teal-600"/> Refine Your Search
+                                </h2>
+
+                                {/* Keyword Search */}
+                                <div className="mb-4 border-b pb-4 border-dashed border-gray-200">
+                                    <div className="relative">
+                                        <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                                        <input
+                                            type="search"
+                                            value={searchText}
+                                            onChange={(e) => handleSearchChange(e.target.value)}
+                                            placeholder='Search titles, descriptions, places and tags (use "quotes" for exact phrases)'
+                                            className="w-full pl-9 p-3 border border-gray-300 rounded-lg focus:ring-teal-500 focus:border-teal-500 shadow-sm"
+                                        />
+                                    </div>
+                                </div>
                     
-                    {/* Community Focus Filters */}
-                    <div className="mb-4 border-b pb-4 border-dashed border-gray-200">
-                        <p className="text-sm font-bold text-gray-700 mb-2">Community Focus:</p>
-                        <div className="flex flex-wrap gap-3">
-                            {['Trans', 'Nonbinary', 'LGBT+', 'AAPI', 'Black', 'Latinx'].map(focus => (
-                                <FilterButton 
-                                    key={focus}
-                                    label={focus}
-                                    isSelected={selectedCommunities.includes(focus)}
-                                    onClick={() => handleCommunityFilter(focus)}
-                                />
-                            ))}
-                        </div>
-                    </div>
+                                {/* Tag Filters (Community Focus, Category, ...) */}
+                                {TAG_GROUPS.map(group => (
+                                    <div key={group.key} className="mb-4 border-b pb-4 border-dashed border-gray-200">
+                                        <p className="text-sm font-bold text-gray-700 mb-2">{group.label}:</p>
+                                        <div className="flex flex-wrap gap-3">
+                                            {getActiveTags(taxonomy, group.key).map(tag => (
+                                                <FilterButton 
+                                                    key={tag}
+                                                    label={tag}
+                                                    isSelected={selectedTags[group.key].includes(tag)}
+                                                    onClick={() => handleTagFilter(group.key, tag)}
+                                                />
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
 
-                    {/* Type Filters */}
-                    <div>
-                        <p className="text-sm font-bold text-gray-700 mb-2">Location Type:</p>
-                        <div className="flex flex-wrap gap-3">
-                            {['All', 'In-Person', 'Remote'].map(type => (
-                                <FilterButton 
-                                    key={type}
-                                    label={type}
-                                    isSelected={selectedType === type}
-                                    onClick={() => setSelectedType(type)}
-                                />
-                            ))}
-                        </div>
-                    </div>
-                </section>
+                                {/* Detail Filters (Accessibility, Cost, Age) */}
+                                {EVENT_DETAIL_FIELDS.map(field => (
+                                    <div key={field.key} className="mb-4 border-b pb-4 border-dashed border-gray-200">
+                                        <p className="text-sm font-bold text-gray-700 mb-2">
+                                            {field.label}{field.multiple ? ' (must have all selected)' : ''}:
+                                        </p>
+                                        <div className="flex flex-wrap gap-3">
+                                            {field.options.map(option => (
+                                                <FilterButton 
+                                                    key={option.id}
+                                                    label={option.label}
+                                                    isSelected={selectedDetails[field.key].includes(option.id)}
+                                                    onClick={() => handleDetailFilter(field.key, option.id)}
+                                                />
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
 
+                                {/* Type Filters */}
+                                <div>
+                                    <p className="text-sm font-bold text-gray-700 mb-2">Location Type:</p>
+                                    <div className="flex flex-wrap gap-3">
+                                        {EVENT_TYPES.map(type => (
+                                            <FilterButton 
+                                                key={type}
+                                                label={type}
+                                                isSelected={selectedType === type}
+                                                onClick={() => handleTypeFilter(type)}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
 
-                {/* Event List */}
-                <section>
-                    <h2 className="text-3xl font-extrabold text-gray-900 mb-6">
-                        Showing {filteredEvents.length} Upcoming Events
-                    </h2>
+                                {/* Organizer filter, only set by links (?organizer=), e.g. from an embed's "see all" link */}
+                                {selectedOrganizer && (
+                                    <div className="mt-4">
+                                        <p className="text-sm font-bold text-gray-700 mb-2">Hosted by:</p>
+                                        <span className="inline-flex items-center px-3 py-1.5 text-sm rounded-full font-bold bg-teal-500 text-white shadow-md">
+                                            <Building2 className="w-4 h-4 mr-1" /> {selectedOrganizerName}
+                                            <button onClick={clearOrganizerFilter} className="ml-2 hover:text-teal-100" aria-label="Show every organizer's events">
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        </span>
+                                    </div>
+                                )}
 
-                    {loading && (
-                        <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
-                            <Loader className="w-10 h-10 text-pink-600 animate-spin" />
-                            <p className="ml-3 text-lg text-gray-700 font-semibold">Loading the most fabulous events...</p>
-                        </div>
-                    )}
+                                {/* Date Range Filters */}
+                                <div className="mt-4 pt-4 border-t border-dashed border-gray-200">
+                                    <p className="text-sm font-bold text-gray-700 mb-2">When:</p>
+                                    <div className="flex flex-wrap gap-3">
+                                        {DATE_RANGE_OPTIONS.map(option => (
+                                            <FilterButton 
+                                                key={option.id}
+                                                label={option.label}
+                                                isSelected={dateRange === option.id}
+                                                onClick={() => setDateRange(option.id)}
+                                            />
+                                        ))}
+                                    </div>
+                                    {dateRange === 'custom' && (
+                                        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                                            <input type="date" value={customStartKey} onChange={(e) => setCustomStartKey(e.target.value)} className="p-2 border border-gray-300 rounded-lg shadow-sm" />
+                                            <span className="text-gray-600">to</span>
+                                            <input type="date" value={customEndKey} min={customStartKey} onChange={(e) => setCustomEndKey(e.target.value)} className="p-2 border border-gray-300 rounded-lg shadow-sm" />
+                                        </div>
+                                    )}
+                                </div>
 
-                    {!loading && filteredEvents.length === 0 && (
-                        <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-yellow-400">
-                            <AlertCircle className="w-12 h-12 mx-auto text-yellow-500 mb-4" />
-                            <p className="text-xl font-bold text-gray-700">
-                                Nothing matched your sparkle!
-                            </p>
-                            <p className="text-base text-gray-600 mt-2">
-                                Try adjusting your filters or check back soon for more events.
-                            </p>
-                        </div>
-                    )}
+                                {/* Distance Filters */}
+                                <div className="mt-4 pt-4 border-t border-dashed border-gray-200">
+                                    <p className="text-sm font-bold text-gray-700 mb-2">Near:</p>
+                                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                                        <select
+                                            value={nearArea}
+                                            onChange={(e) => setNearArea(e.target.value)}
+                                            className="p-2 border border-gray-300 rounded-lg shadow-sm"
+                                        >
+                                            <option value="">Anywhere</option>
+                                            {currentPosition && <option value="current">My location</option>}
+                                            {HOUSTON_AREAS.map(area => (
+                                                <option key={area.label} value={area.label}>{area.label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={handleUseMyLocation}
+                                            disabled={locating}
+                                            className="flex items-center px-3 py-2 rounded-full bg-gray-100 text-gray-700 font-semibold hover:bg-teal-100 transition disabled:opacity-50"
+                                        >
+                                            {locating ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <LocateFixed className="w-4 h-4 mr-1" />}
+                                            Near me
+                                        </button>
+                                        {nearArea && (
+                                            <>
+                                                <span className="text-gray-600">within</span>
+                                                <select
+                                                    value={radiusMiles}
+                                                    onChange={(e) => setRadiusMiles(Number(e.target.value))}
+                                                    className="p-2 border border-gray-300 rounded-lg shadow-sm"
+                                                >
+                                                    {RADIUS_OPTIONS_MILES.map(miles => (
+                                                        <option key={miles} value={miles}>{miles} miles</option>
+                                                    ))}
+                                                </select>
+                                                <span className="text-xs text-gray-500">(remote events are hidden)</span>
+                                            </>
+                                        )}
+                                    </div>
+                                    {locationError && <p className="mt-2 text-xs font-semibold text-red-600">{locationError}</p>}
+                                </div>
 
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                        {filteredEvents.map(event => (
-                            <EventCard key={event.id} event={event} />
-                        ))}
-                    </div>
-                </section>
+                                {/* Calendar Subscription, feeds and embedding for the current filters */}
+                                {calendarUrl && (
+                                    <div className="mt-4 pt-4 border-t border-dashed border-gray-200 flex flex-wrap items-center gap-3 text-sm">
+                                        <a
+                                            href={calendarUrl}
+                                            className="flex items-center font-bold text-purple-700 hover:underline"
+                                        >
+                                            <Rss className="w-4 h-4 mr-2" />
+                                            Subscribe to this view in your calendar
+                                        </a>
+                                        <button
+                                            onClick={() => handleCopyLink('calendar', calendarUrl)}
+                                            className="px-3 py-1 rounded-full bg-gray-100 text-gray-700 font-semibold hover:bg-purple-100 transition"
+                                        >
+                                            {copiedLink === 'calendar' ? 'Copied!' : 'Copy feed link'}
+                                        </button>
+                                    </div>
+                                )}
+                                {eventsFeedLinks.length > 0 && (
+                                    <div className={`${calendarUrl ? 'mt-3' : 'mt-4 pt-4 border-t border-dashed border-gray-200'} flex flex-wrap items-center gap-3 text-sm`}>
+                                        <span className="text-gray-600">This view as a feed:</span>
+                                        {eventsFeedLinks.map(({ format, url }) => (
+                                            <a key={format} href={url} className="font-bold text-purple-700 hover:underline uppercase">
+                                                {format}
+                                            </a>
+                                        ))}
+                                        <button
+                                            onClick={() => handleCopyLink('embed', buildEmbedCode(listingFilters))}
+                                            className="px-3 py-1 rounded-full bg-gray-100 text-gray-700 font-semibold hover:bg-purple-100 transition"
+                                            title="A script tag that shows these events on another website"
+                                        >
+                                            {copiedLink === 'embed' ? 'Copied!' : 'Copy embed code'}
+                                        </button>
+                                    </div>
+                                )}
+                            </section>
+
+
+                            {/* Event List */}
+                            <section>
+                                <div className="flex flex-wrap gap-3 mb-4">
+                                    <FilterButton label="Upcoming" isSelected={view === 'upcoming'} onClick={() => setView('upcoming')} />
+                                    <FilterButton label="Past Events" isSelected={view === 'archive'} onClick={() => setView('archive')} />
+                                </div>
+
+                                {view === 'archive' ? (
+                                    <>
+                                        <h2 className="text-3xl font-extrabold text-gray-900 mb-6">
+                                            Past Events Archive
+                                        </h2>
+                                        <EventArchive 
+                                            repository={repository} 
+                                            selectedType={selectedType} 
+                                            selectedTags={selectedTags}
+                                            selectedDetails={selectedDetails} 
+                                            selectedOrganizer={selectedOrganizer}
+                                            searchText={deferredSearchText}
+                                            nearby={nearby}
+                                        />
+                                    </>
+                                ) : (
+                                    <>
+                                        <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+                                            <h2 className="text-3xl font-extrabold text-gray-900">
+                                                Showing {filteredEvents.length} Upcoming Events
+                                            </h2>
+                                            <div className="flex gap-2">
+                                                {[
+                                                    { id: 'grid', label: 'Cards', Icon: LayoutGrid },
+                                                    { id: 'month', label: 'Month', Icon: CalendarDays },
+                                                    { id: 'week', label: 'Week', Icon: List },
+                                                    { id: 'map', label: 'Map', Icon: MapIcon },
+                                                ].map(({ id, label, Icon }) => (
+                                                    <button
+                                                        key={id}
+                                                        onClick={() => setLayout(id)}
+                                                        className={`flex items-center px-3 py-1.5 text-sm rounded-full font-bold transition shadow-md ${
+                                                            layout === id ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-purple-50'
+                                                        }`}
+                                                    >
+                                                        <Icon className="w-4 h-4 mr-1" /> {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+
+                                        {loading && (
+                                            <div className="flex justify-center items-center h-48 bg-white rounded-xl shadow-lg">
+                                                <Loader className="w-10 h-10 text-pink-600 animate-spin" />
+                                                <p className="ml-3 text-lg text-gray-700 font-semibold">Loading the most fabulous events...</p>
+                                            </div>
+                                        )}
+
+                                        {!loading && eventsError && events.length === 0 && (
+                                            <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-red-300">
+                                                <WifiOff className="w-12 h-12 mx-auto text-red-400 mb-4" />
+                                                <p className="text-xl font-bold text-gray-700">
+                                                    Couldn't load events right now.
+                                                </p>
+                                                <p className="text-base text-gray-600 mt-2">
+                                                    Check your connection and reload the page to try again.
+                                                </p>
+                                            </div>
+                                        )}
+
+                                        {!loading && !(eventsError && events.length === 0) && layout === 'grid' && filteredEvents.length === 0 && (
+                                            <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-yellow-400">
+                                                <AlertCircle className="w-12 h-12 mx-auto text-yellow-500 mb-4" />
+                                                <p className="text-xl font-bold text-gray-700">
+                                                    Nothing matched your sparkle!
+                                                </p>
+                                                <p className="text-base text-gray-600 mt-2">
+                                                    Try adjusting your filters or check back soon for more events.
+                                                </p>
+                                            </div>
+                                        )}
+
+                                        {!loading && layout === 'month' && (
+                                            <MonthCalendar 
+                                                events={filteredEvents} 
+                                                cursorKey={calendarCursorKey} 
+                                                onNavigate={setCalendarCursorKey} 
+                                                renderEvent={renderEventCard} 
+                                            />
+                                        )}
+
+                                        {!loading && layout === 'week' && (
+                                            <WeekAgenda 
+                                                events={filteredEvents} 
+                                                cursorKey={calendarCursorKey} 
+                                                onNavigate={setCalendarCursorKey} 
+                                                renderEvent={renderEventCard} 
+                                            />
+                                        )}
+
+                                        {!loading && layout === 'map' && (
+                                            <EventMap events={filteredEvents} nearby={nearby} renderEvent={renderEventCard} />
+                                        )}
+
+                                        {layout === 'grid' && (
+                                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                                {filteredEvents.map(renderEventCard)}
+                                            </div>
+                                        )}
+                                    </>
+                                )}
+                            </section>
+                        </>
+                    )} />
+                </Routes>
             </div>
         </div>
     );
@@ -0,0 +1,1301 @@
+// All reads and writes of events, their moderation records and organizer profiles, behind one API so the app
+// can run against Firestore or entirely in the browser. createFirestoreEventRepository uses Firestore and the
+// callable functions; createLocalEventRepository keeps events in memory (and localStorage, when given) seeded
+// with sample Houston events, for working offline without a Firebase project. Both return:
+//
+//   subscribe({ status, submittedBy, organizerId, endsAfter }, onChange, onError) -> unsubscribe
+//       Live list of the events matching every given filter. `status` is one status or a list.
+//       onChange(events, { fromCache }): fromCache is true while the list comes from Firestore's offline cache.
+//   subscribeToEvent(eventId, onChange, onError) -> unsubscribe
+//       Live single event, or null when it's missing or not readable by the current user.
+//   fetchPastEvents({ startsFrom, startsBefore, organizerId, cursor, pageSize }) -> { events, cursor, hasMore }
+//       A page of approved events, most recently ended first, or starting in [startsFrom, startsBefore).
+//       `organizerId` narrows the most recently ended ones to that organizer's.
+//   submit(eventFields, { userId, honeypot, fillMs, allowDuplicates }) -> { id, status } or { duplicates, awaitingReview }
+//       Approved straight away when the event's organizer is trusted and screening doesn't flag it. Unless
+//       `allowDuplicates`, nothing is saved when it looks like a live or pending event, and `id` and `status`
+//       are null: `duplicates` is the live matches as [{ event, reasons }] from findLikelyDuplicates
+//       (functions/duplicates.js), and `awaitingReview` says whether a pending one matched too.
+//   update(event, eventFields)                  a submitter's fixes to an event that isn't live yet
+//   withdraw(event, { revisionId })             also drops the event's waiting revision, if any
+//   moderate(event, { action, newStatus, reason, moderator, changes })
+//       Any status change (or `purge`), with extra field `changes`, logged under `action`.
+//   approve(event, options) / reject(event, options)   moderate() with the matching action and status
+//   edit(event, eventFields, { reason, moderator })
+//   cancelOccurrence(occurrence, { moderator })
+//   merge(keeper, removed, { keeperChanges, removedChanges, reason, moderator })
+//   subscribeToRevisions({ status, submittedBy }, onChange, onError) -> unsubscribe
+//       Submitters' proposed changes to live events, one per event (the revision's id is the event's).
+//   submitRevision(event, { changes, changedFields, previousValues, privateLocation }, { userId })
+//       Screened like submissions, so it may be held as 'flagged'. `privateLocation` is the event's new address
+//       when `changes` share it on request.
+//   moderateRevision(revision, { action, reason, moderator })       'approveRevision' or 'rejectRevision'
+//       Approving also saves the revision's private address, or removes the old one when the event goes public.
+//   report(eventId, { reason, details }, { userId }) -> { alreadyReported }
+//       Hides the event (status 'reported') once enough people have reported it.
+//   subscribeToReportedEvents(onChange, onError) / subscribeToReports(eventId, onChange, onError)
+//       Events with open reports, and one event's open reports.
+//   resolveReports(event, reports, { action, reason, moderator, changes })   'dismissReports' or 'unpublish'
+//   fetchModerationLog({ action, moderatorId, eventId, cursor, pageSize }) -> { entries, cursor, hasMore }
+//       A page of log entries matching every given filter, newest first.
+//   importEvents(eventsFields, { status, reason, moderator })
+//   subscribeToTaxonomy(onChange, onError) -> unsubscribe       the stored taxonomy document, or null
+//   saveTaxonomy(taxonomy, { moderator })
+//   renameTag(taxonomy, key, oldLabel, newLabel, { moderator }) -> { eventCount, revisionCount }
+//       Also renames it on every event and waiting revision that uses it.
+//   subscribeToOrganizers({ ownerId }, onChange, onError) -> unsubscribe
+//   subscribeToOrganizer(organizerId, onChange, onError) -> unsubscribe      null when it's missing
+//   saveOrganizer(organizer, organizerFields, { userId }) -> id     creates one owned by `userId` when `organizer` is null
+//   setOrganizerTrusted(organizer, trusted, { moderator })      logged as 'trust' or 'untrust'
+//   subscribeToSavedEvents(userId, onChange, onError) -> unsubscribe       [{ eventId, savedAt }]
+//   setInterested(eventId, interested, { userId })
+//       Saves or unsaves a series or one-off event for the user, keeping its `interestCount` in step.
+//   subscribeToPrivateLocation(eventId, onChange, onError) / fetchPrivateLocation(eventId)
+//       The { address, coordinates } of an event shared on request, or null.
+//   savePrivateLocation(eventId, privateLocation)        removes it when `privateLocation` is null
+//   subscribeToAccessRequest(eventId, userId, onChange, onError)      one visitor's request for the address
+//   subscribeToAccessRequests(eventId, onChange, onError)             all of them, oldest first
+//   requestAccess(eventId, message, { userId }) / decideAccessRequest(eventId, requesterId, status)
+//
+// Field values may be Firestore types (Timestamp, GeoPoint) or Dates and { lat, lng }. The local
+// repository stores instants as ISO strings, which the app reads like Timestamps.
+//
+// createSubmissionQueue keeps new submissions made without a connection until they can be sent.
+import {
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    onSnapshot,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
+    arrayUnion,
+    serverTimestamp,
+    Timestamp,
+    GeoPoint,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { screenEventFields } from './functions/screening.js';
+import { zonedTimeToDate, addDaysToKey, toDateKey, getKeyWeekday } from './functions/listing.js';
+import { findLikelyDuplicates } from './functions/duplicates.js';
+
+// Rejections whose message is meant for the submitter: failed checks and rate limits
+export const isSubmitterError = (error) => (
+    ['invalid-argument', 'resource-exhausted'].includes(String(error && error.code).replace(/^functions\//, ''))
+);
+
+// Firestore values as JSON: Timestamps and Dates become ISO strings, GeoPoints { lat, lng }
+const toPlain = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value && typeof value.latitude === 'number' && typeof value.longitude === 'number') {
+        return { lat: value.latitude, lng: value.longitude };
+    }
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, toPlain(v)]));
+    }
+    return value;
+};
+
+const toMillis = (value) => (value ? new Date(toPlain(value)).getTime() : null);
+
+// Event fields as plain JSON for the submitEvent function: instants as epoch milliseconds
+const serializeEventFields = (eventFields) => ({
+    ...eventFields,
+    date: toMillis(eventFields.date),
+    endDate: toMillis(eventFields.endDate),
+    endsAt: toMillis(eventFields.endsAt),
+    coordinates: eventFields.coordinates ? toPlain(eventFields.coordinates) : null,
+    recurrence: eventFields.recurrence && { ...eventFields.recurrence, until: toMillis(eventFields.recurrence.until) },
+});
+
+// Firestore batches are limited to 500 writes; approved imports also write a log entry per event
+const IMPORT_BATCH_SIZE = 200;
+const TAG_MIGRATION_BATCH_SIZE = 400;
+
+// A taxonomy with one tag relabelled, keeping its place and retired state
+const renameInTaxonomy = (taxonomy, key, oldLabel, newLabel) => ({
+    ...taxonomy,
+    [key]: taxonomy[key].map(tag => (tag.label === oldLabel ? { ...tag, label: newLabel } : tag)),
+});
+
+// Log entries for trusting an organizer fill the event fields with the organizer's name and 'trusted' or
+// 'untrusted' as the statuses; the organizer's id goes in `organizerId` and `eventId` is null
+const organizerTrustLog = (organizer, trusted) => ({
+    subject: { id: null, title: organizer.name, status: organizer.trusted ? 'trusted' : 'untrusted' },
+    action: trusted ? 'trust' : 'untrust',
+    newStatus: trusted ? 'trusted' : 'untrusted',
+});
+
+// approve() and reject() for a repository's moderate()
+const withShorthands = (repository) => ({
+    ...repository,
+    approve: (event, options) => repository.moderate(event, { ...options, action: 'approve', newStatus: 'approved' }),
+    reject: (event, options) => repository.moderate(event, { ...options, action: 'reject', newStatus: 'rejected' }),
+});
+
+// --- Firestore ---
+
+export const createFirestoreEventRepository = ({ db, functions, appId }) => {
+    const eventsPath = `artifacts/${appId}/public/data/events`;
+    const revisionsPath = `artifacts/${appId}/public/data/eventRevisions`;
+    const organizersPath = `artifacts/${appId}/public/data/organizers`;
+    const eventRef = (eventId) => doc(db, eventsPath, eventId);
+    const revisionRef = (revisionId) => doc(db, revisionsPath, revisionId);
+    const organizerRef = (organizerId) => doc(db, organizersPath, organizerId);
+    const privateLocationRef = (eventId) => doc(db, `${eventsPath}/${eventId}/private`, 'location');
+    const accessRequestRef = (eventId, uid) => doc(db, `${eventsPath}/${eventId}/accessRequests`, uid);
+    const taxonomyRef = () => doc(db, `artifacts/${appId}/public/data/config`, 'taxonomy');
+    const newLogRef = () => doc(collection(db, `artifacts/${appId}/public/data/moderationLog`));
+    const toRecords = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    // Log entries are append-only (see firestore.rules) and keep the previous state for auditing
+    const logEntry = (event, { action, reason = '', newStatus, moderator }) => ({
+        eventId: event.seriesId || event.id,
+        eventTitle: event.title,
+        action,
+        reason,
+        previousStatus: event.status,
+        previousReason: event.statusReason || '',
+        newStatus,
+        moderatorId: moderator.uid,
+        moderatorEmail: moderator.email || '',
+        at: serverTimestamp(),
+    });
+
+    return withShorthands({
+        kind: 'firestore',
+
+        subscribe: ({ status = null, submittedBy = null, organizerId = null, endsAfter = null }, onChange, onError) => {
+            const constraints = [];
+            if (Array.isArray(status)) constraints.push(where('status', 'in', status));
+            else if (status) constraints.push(where('status', '==', status));
+            if (submittedBy) constraints.push(where('submittedBy', '==', submittedBy));
+            if (organizerId) constraints.push(where('organizerId', '==', organizerId));
+            if (endsAfter) constraints.push(where('endsAt', '>=', Timestamp.fromDate(endsAfter)));
+            // Metadata changes too, so listeners hear when a cached list is confirmed by the server
+            return onSnapshot(query(collection(db, eventsPath), ...constraints), { includeMetadataChanges: true }, (snapshot) => {
+                onChange(toRecords(snapshot), { fromCache: snapshot.metadata.fromCache });
+            }, onError);
+        },
+
+        subscribeToEvent: (eventId, onChange, onError) => onSnapshot(eventRef(eventId), (snapshot) => {
+            onChange(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => {
+            // Unlisted events can't be read by the public, which looks the same as a missing one
+            if (error.code === 'permission-denied') onChange(null);
+            else onError(error);
+        }),
+
+        fetchPastEvents: async ({ startsFrom = null, startsBefore = null, organizerId = null, cursor = null, pageSize }) => {
+            const constraints = [where('status', '==', 'approved')];
+            if (organizerId) constraints.push(where('organizerId', '==', organizerId));
+            if (startsFrom) {
+                constraints.push(
+                    where('date', '>=', Timestamp.fromDate(startsFrom)),
+                    where('date', '<', Timestamp.fromDate(startsBefore)),
+                    orderBy('date', 'desc'),
+                );
+            } else {
+                constraints.push(
+                    where('endsAt', '<', Timestamp.now()),
+                    orderBy('endsAt', 'desc'),
+                );
+            }
+            if (cursor) constraints.push(startAfter(cursor));
+            constraints.push(limit(pageSize));
+            const snapshot = await getDocs(query(collection(db, eventsPath), ...constraints));
+            return {
+                events: toRecords(snapshot),
+                cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+                hasMore: snapshot.docs.length === pageSize,
+            };
+        },
+
+        // The rules don't let the public write events; submitEvent screens and rate-limits them first
+        submit: async (eventFields, { honeypot = '', fillMs, allowDuplicates = false }) => {
+            const submitEvent = httpsCallable(functions, 'submitEvent');
+            const result = await submitEvent({ appId, event: serializeEventFields(eventFields), honeypot, fillMs, allowDuplicates });
+            return result.data;
+        },
+
+        // Screened again by the screenEventEdits trigger
+        update: (event, eventFields) => updateDoc(eventRef(event.id), {
+            ...eventFields,
+            status: 'pending',
+            updatedAt: serverTimestamp(),
+        }),
+
+        withdraw: async (event, { revisionId = null } = {}) => {
+            const batch = writeBatch(db);
+            batch.update(eventRef(event.id), {
+                status: 'withdrawn',
+                withdrawnAt: serverTimestamp(),
+            });
+            if (revisionId) batch.delete(revisionRef(revisionId));
+            await batch.commit();
+        },
+
+        moderate: async (event, { action, newStatus = null, reason = '', moderator, changes = {} }) => {
+            const batch = writeBatch(db);
+            if (action === 'purge') {
+                batch.delete(eventRef(event.id));
+                batch.delete(privateLocationRef(event.id));
+            } else {
+                batch.update(eventRef(event.id), {
+                    status: newStatus,
+                    statusReason: reason,
+                    ...changes,
+                    moderatedBy: moderator.uid,
+                    moderatedAt: serverTimestamp(),
+                });
+            }
+            batch.set(newLogRef(), logEntry(event, { action, reason, newStatus, moderator }));
+            await batch.commit();
+        },
+
+        edit: async (event, eventFields, { reason = '', moderator }) => {
+            const batch = writeBatch(db);
+            batch.update(eventRef(event.id), {
+                ...eventFields,
+                moderatedBy: moderator.uid,
+                moderatedAt: serverTimestamp(),
+            });
+            batch.set(newLogRef(), logEntry(
+                { ...event, title: eventFields.title || event.title },
+                { action: 'edit', reason, newStatus: event.status, moderator }
+            ));
+            await batch.commit();
+        },
+
+        cancelOccurrence: async (occurrence, { moderator }) => {
+            const batch = writeBatch(db);
+            batch.update(eventRef(occurrence.seriesId), { 'recurrence.exceptions': arrayUnion(occurrence.occurrenceDate) });
+            batch.set(newLogRef(), logEntry(occurrence, {
+                action: 'cancelOccurrence',
+                reason: `Cancelled the ${occurrence.occurrenceDate} occurrence`,
+                newStatus: occurrence.status,
+                moderator,
+            }));
+            await batch.commit();
+        },
+
+        // The removed event is rejected with `reason`; only its side is logged
+        merge: async (keeper, removed, { keeperChanges, removedChanges = {}, reason, moderator }) => {
+            const batch = writeBatch(db);
+            batch.update(eventRef(keeper.id), {
+                ...keeperChanges,
+                moderatedBy: moderator.uid,
+                moderatedAt: serverTimestamp(),
+            });
+            batch.update(eventRef(removed.id), {
+                status: 'rejected',
+                statusReason: reason,
+                ...removedChanges,
+                moderatedBy: moderator.uid,
+                moderatedAt: serverTimestamp(),
+            });
+            batch.set(newLogRef(), logEntry(removed, { action: 'merge', reason, newStatus: 'rejected', moderator }));
+            await batch.commit();
+        },
+
+        // The approved event's id doubles as its revision's id, so each event has at most one waiting
+        subscribeToRevisions: ({ status = null, submittedBy = null }, onChange, onError) => {
+            const constraints = [];
+            if (Array.isArray(status)) constraints.push(where('status', 'in', status));
+            else if (status) constraints.push(where('status', '==', status));
+            if (submittedBy) constraints.push(where('submittedBy', '==', submittedBy));
+            return onSnapshot(query(collection(db, revisionsPath), ...constraints), (snapshot) => {
+                onChange(toRecords(snapshot));
+            }, onError);
+        },
+
+        // Screened by the screenEventRevisions trigger
+        submitRevision: (event, { changes, changedFields, previousValues, privateLocation = null }, { userId }) => setDoc(revisionRef(event.id), {
+            eventId: event.id,
+            eventTitle: event.title,
+            changes,
+            changedFields,
+            previousValues,
+            // Only the submitter and moderators can read revisions, like the event's private location
+            privateLocation: privateLocation ? {
+                address: privateLocation.address,
+                coordinates: privateLocation.coordinates ? new GeoPoint(privateLocation.coordinates.lat, privateLocation.coordinates.lng) : null,
+            } : null,
+            status: 'pending',
+            statusReason: '',
+            submittedBy: userId,
+            submittedAt: Timestamp.now(),
+        }),
+
+        // Approved revisions are copied onto the event and deleted; rejected ones stay for the submitter to see
+        moderateRevision: async (revision, { action, reason = '', moderator }) => {
+            const batch = writeBatch(db);
+            if (action === 'approveRevision') {
+                batch.update(eventRef(revision.eventId), {
+                    ...revision.changes,
+                    moderatedBy: moderator.uid,
+                    moderatedAt: serverTimestamp(),
+                });
+                if (revision.changes.locationPrivacy !== 'on-request') {
+                    batch.delete(privateLocationRef(revision.eventId));
+                } else if (revision.privateLocation) {
+                    batch.set(privateLocationRef(revision.eventId), { ...revision.privateLocation, updatedAt: serverTimestamp() });
+                }
+                batch.delete(revisionRef(revision.id));
+            } else {
+                batch.update(revisionRef(revision.id), {
+                    status: 'rejected',
+                    statusReason: reason,
+                    moderatedBy: moderator.uid,
+                    moderatedAt: serverTimestamp(),
+                });
+            }
+            batch.set(newLogRef(), logEntry({ id: revision.eventId, title: revision.eventTitle, status: 'approved' }, {
+                action,
+                reason: reason || `Changed: ${revision.changedFields.join(', ')}`,
+                newStatus: 'approved',
+                moderator,
+            }));
+            await batch.commit();
+        },
+
+        // Through the reportEvent function, which also hides the event once enough people report it
+        report: async (eventId, { reason, details }) => {
+            const reportEvent = httpsCallable(functions, 'reportEvent');
+            const result = await reportEvent({ appId, eventId, reason, details });
+            return result.data;
+        },
+
+        subscribeToReportedEvents: (onChange, onError) => onSnapshot(
+            query(collection(db, eventsPath), where('openReportCount', '>', 0)),
+            (snapshot) => onChange(toRecords(snapshot)),
+            onError
+        ),
+
+        subscribeToReports: (eventId, onChange, onError) => onSnapshot(
+            query(collection(db, `${eventsPath}/${eventId}/reports`), where('status', '==', 'open')),
+            (snapshot) => onChange(toRecords(snapshot)),
+            onError
+        ),
+
+        resolveReports: async (event, reports, { action, reason = '', moderator, changes = {} }) => {
+            const dismissed = action === 'dismissReports';
+            const newStatus = dismissed ? (event.status === 'reported' ? 'approved' : event.status) : 'unpublished';
+            const batch = writeBatch(db);
+            reports.forEach(report => {
+                batch.update(doc(db, `${eventsPath}/${event.id}/reports`, report.id), {
+                    status: dismissed ? 'dismissed' : 'upheld',
+                    resolvedBy: moderator.uid,
+                    resolvedAt: serverTimestamp(),
+                });
+            });
+            batch.update(eventRef(event.id), {
+                status: newStatus,
+                statusReason: dismissed ? (event.status === 'reported' ? '' : event.statusReason || '') : reason,
+                openReportCount: 0,
+                ...changes,
+                moderatedBy: moderator.uid,
+                moderatedAt: serverTimestamp(),
+            });
+            batch.set(newLogRef(), logEntry(event, {
+                action,
+                reason: reason || `Dismissed ${reports.length} report${reports.length === 1 ? '' : 's'}`,
+                newStatus,
+                moderator,
+            }));
+            await batch.commit();
+        },
+
+        // Each filter has an index with `at` (firestore.indexes.json); Firestore merges them when several are given
+        fetchModerationLog: async ({ action = null, moderatorId = null, eventId = null, cursor = null, pageSize }) => {
+            const constraints = [];
+            if (action) constraints.push(where('action', '==', action));
+            if (moderatorId) constraints.push(where('moderatorId', '==', moderatorId));
+            if (eventId) constraints.push(where('eventId', '==', eventId));
+            constraints.push(orderBy('at', 'desc'));
+            if (cursor) constraints.push(startAfter(cursor));
+            constraints.push(limit(pageSize));
+            const snapshot = await getDocs(query(collection(db, `artifacts/${appId}/public/data/moderationLog`), ...constraints));
+            return {
+                entries: toRecords(snapshot),
+                cursor: snapshot.docs[snapshot.docs.length - 1] || null,
+                hasMore: snapshot.docs.length === pageSize,
+            };
+        },
+
+        // Batched, so a failure part-way leaves the earlier batches imported
+        importEvents: async (eventsFields, { status, reason, moderator }) => {
+            for (let i = 0; i < eventsFields.length; i += IMPORT_BATCH_SIZE) {
+                const batch = writeBatch(db);
+                eventsFields.slice(i, i + IMPORT_BATCH_SIZE).forEach((eventFields) => {
+                    const newRef = doc(collection(db, eventsPath));
+                    batch.set(newRef, { ...eventFields, status, submittedBy: moderator.uid, submittedAt: Timestamp.now() });
+                    if (status === 'approved') {
+                        batch.set(newLogRef(), logEntry(
+                            { id: newRef.id, title: eventFields.title, status: null },
+                            { action: 'import', reason, newStatus: status, moderator }
+                        ));
+                    }
+                });
+                await batch.commit();
+            }
+        },
+
+        subscribeToTaxonomy: (onChange, onError) => onSnapshot(taxonomyRef(), (snapshot) => {
+            onChange(snapshot.exists() ? snapshot.data() : null);
+        }, onError),
+
+        // Every group's tags (see functions/taxonomy.js), recording who changed them
+        saveTaxonomy: (taxonomy, { moderator }) => setDoc(taxonomyRef(), {
+            groups: taxonomy,
+            updatedBy: moderator.uid,
+            updatedAt: serverTimestamp(),
+        }),
+
+        // Renames a tag on every event (any status) and every revision waiting for review that uses it, then in the
+        // taxonomy itself, so filters and pending changes keep matching. Resolves to how many of each were migrated.
+        renameTag: async (taxonomy, key, oldLabel, newLabel, { moderator }) => {
+            const replaceTag = (labels) => [...new Set(labels.map(label => (label === oldLabel ? newLabel : label)))];
+            const eventsSnapshot = await getDocs(query(collection(db, eventsPath), where(key, 'array-contains', oldLabel)));
+            const revisionsSnapshot = await getDocs(query(collection(db, revisionsPath), where('status', 'in', ['pending', 'flagged'])));
+            const revisionDocs = revisionsSnapshot.docs.filter(snapshot => (snapshot.data().changes[key] || []).includes(oldLabel));
+            const updates = [
+                ...eventsSnapshot.docs.map(snapshot => [snapshot.ref, { [key]: replaceTag(snapshot.data()[key]) }]),
+                ...revisionDocs.map(snapshot => [snapshot.ref, { [`changes.${key}`]: replaceTag(snapshot.data().changes[key]) }]),
+            ];
+            for (let i = 0; i < updates.length; i += TAG_MIGRATION_BATCH_SIZE) {
+                const batch = writeBatch(db);
+                updates.slice(i, i + TAG_MIGRATION_BATCH_SIZE).forEach(([docRef, update]) => batch.update(docRef, update));
+                await batch.commit();
+            }
+            await setDoc(taxonomyRef(), {
+                groups: renameInTaxonomy(taxonomy, key, oldLabel, newLabel),
+                updatedBy: moderator.uid,
+                updatedAt: serverTimestamp(),
+            });
+            return { eventCount: eventsSnapshot.size, revisionCount: revisionDocs.length };
+        },
+
+        subscribeToOrganizers: ({ ownerId = null }, onChange, onError) => {
+            const constraints = ownerId ? [where('ownerId', '==', ownerId)] : [];
+            return onSnapshot(query(collection(db, organizersPath), ...constraints), (snapshot) => {
+                onChange(toRecords(snapshot));
+            }, onError);
+        },
+
+        subscribeToOrganizer: (organizerId, onChange, onError) => onSnapshot(organizerRef(organizerId), (snapshot) => {
+            onChange(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, onError),
+
+        // Renames reach the organizer's events through the syncOrganizerName trigger
+        saveOrganizer: async (organizer, organizerFields, { userId }) => {
+            if (organizer) {
+                await updateDoc(organizerRef(organizer.id), { ...organizerFields, updatedAt: serverTimestamp() });
+                return organizer.id;
+            }
+            const newRef = doc(collection(db, organizersPath));
+            await setDoc(newRef, {
+                ...organizerFields,
+                ownerId: userId,
+                trusted: false,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+            });
+            return newRef.id;
+        },
+
+        setOrganizerTrusted: async (organizer, trusted, { moderator }) => {
+            const { subject, action, newStatus } = organizerTrustLog(organizer, trusted);
+            const batch = writeBatch(db);
+            batch.update(organizerRef(organizer.id), {
+                trusted,
+                trustedBy: moderator.uid,
+                trustedAt: serverTimestamp(),
+            });
+            batch.set(newLogRef(), { ...logEntry(subject, { action, newStatus, moderator }), organizerId: organizer.id });
+            await batch.commit();
+        },
+
+        subscribeToSavedEvents: (userId, onChange, onError) => onSnapshot(
+            collection(db, `artifacts/${appId}/users/${userId}/savedEvents`),
+            (snapshot) => onChange(snapshot.docs.map(d => d.data())),
+            onError
+        ),
+
+        // Through the setEventInterest function, which updates the saved list and the count in one transaction
+        setInterested: async (eventId, interested) => {
+            const setEventInterest = httpsCallable(functions, 'setEventInterest');
+            await setEventInterest({ appId, eventId, interested });
+        },
+
+        subscribeToPrivateLocation: (eventId, onChange, onError) => onSnapshot(privateLocationRef(eventId), (snapshot) => {
+            onChange(snapshot.exists() ? snapshot.data() : null);
+        }, onError),
+
+        fetchPrivateLocation: async (eventId) => {
+            const snapshot = await getDoc(privateLocationRef(eventId));
+            return snapshot.exists() ? snapshot.data() : null;
+        },
+
+        savePrivateLocation: async (eventId, privateLocation) => {
+            if (!privateLocation) {
+                await deleteDoc(privateLocationRef(eventId));
+                return;
+            }
+            await setDoc(privateLocationRef(eventId), {
+                address: privateLocation.address,
+                coordinates: privateLocation.coordinates ? new GeoPoint(privateLocation.coordinates.lat, privateLocation.coordinates.lng) : null,
+                updatedAt: serverTimestamp(),
+            });
+        },
+
+        subscribeToAccessRequest: (eventId, userId, onChange, onError) => onSnapshot(accessRequestRef(eventId, userId), (snapshot) => {
+            onChange(snapshot.exists() ? snapshot.data() : null);
+        }, onError),
+
+        subscribeToAccessRequests: (eventId, onChange, onError) => onSnapshot(
+            collection(db, `${eventsPath}/${eventId}/accessRequests`),
+            (snapshot) => onChange(toRecords(snapshot).sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))),
+            onError
+        ),
+
+        requestAccess: (eventId, message, { userId }) => setDoc(accessRequestRef(eventId, userId), {
+            requesterId: userId,
+            message,
+            status: 'pending',
+            createdAt: serverTimestamp(),
+        }),
+
+        decideAccessRequest: (eventId, requesterId, status) => updateDoc(accessRequestRef(eventId, requesterId), {
+            status,
+            decidedAt: serverTimestamp(),
+        }),
+    });
+};
+
+// --- Local (in memory, optionally localStorage) ---
+
+const LOCAL_STORAGE_KEY = 'houston-community-hub:events';
+const LOCAL_ORGANIZERS_KEY = 'houston-community-hub:organizers';
+const LOCAL_SAVED_EVENTS_KEY = 'houston-community-hub:savedEvents';
+const LOCAL_RECORDS_KEY = 'houston-community-hub:records';
+
+// Reporters (the function counts networks) it takes to hide an event, like REPORT_HIDE_THRESHOLD's default
+const LOCAL_REPORT_HIDE_THRESHOLD = 3;
+
+// Everything kept alongside the events: revisions, reports and address requests by event id, then the
+// moderation log (newest last) and the stored taxonomy document
+const EMPTY_LOCAL_RECORDS = {
+    revisions: {},
+    reports: {},
+    accessRequests: {},
+    privateLocations: {},
+    moderationLog: [],
+    taxonomy: null,
+};
+
+const newLocalId = () => crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+
+const localError = (code, message) => Object.assign(new Error(message), { code });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// `storage` is a Web Storage object (e.g. window.localStorage) to keep events, organizers, saved events and the
+// moderation records across reloads, or null for memory only. `seedEvents` and `seedOrganizers` fill an empty store.
+export const createLocalEventRepository = ({
+    storage = null,
+    storageKey = LOCAL_STORAGE_KEY,
+    organizerStorageKey = LOCAL_ORGANIZERS_KEY,
+    savedStorageKey = LOCAL_SAVED_EVENTS_KEY,
+    recordsStorageKey = LOCAL_RECORDS_KEY,
+    seedEvents = buildSampleEvents(new Date()),
+    seedOrganizers = SAMPLE_ORGANIZERS,
+} = {}) => {
+    const load = (key, seeds, label) => {
+        try {
+            const stored = storage && storage.getItem(key);
+            if (stored) return JSON.parse(stored);
+        } catch (e) {
+            console.warn(`Couldn't read the saved local ${label}, starting from the samples:`, e);
+        }
+        return Object.fromEntries(seeds.map(({ id = newLocalId(), ...record }) => [id, toPlain(record)]));
+    };
+
+    let events = load(storageKey, seedEvents, 'events'); // id -> event without its id
+    let organizers = load(organizerStorageKey, seedOrganizers, 'organizers'); // id -> organizer without its id
+    let savedEvents = load(savedStorageKey, [], 'saved events'); // user id -> event id -> savedAt
+    let records = { ...EMPTY_LOCAL_RECORDS, ...load(recordsStorageKey, [], 'moderation records') };
+    const listeners = new Set();
+
+    const snapshotOf = (id) => (events[id] ? { id, ...clone(events[id]) } : null);
+    const organizerOf = (id) => (organizers[id] ? { id, ...clone(organizers[id]) } : null);
+    const revisionOf = (id) => ({ id, ...clone(records.revisions[id]) });
+
+    const commit = () => {
+        if (storage) {
+            storage.setItem(storageKey, JSON.stringify(events));
+            storage.setItem(organizerStorageKey, JSON.stringify(organizers));
+            storage.setItem(savedStorageKey, JSON.stringify(savedEvents));
+            storage.setItem(recordsStorageKey, JSON.stringify(records));
+        }
+        listeners.forEach(listener => listener());
+    };
+
+    const write = (id, changes) => {
+        if (!events[id]) throw localError('not-found', 'That event no longer exists.');
+        events = { ...events, [id]: { ...events[id], ...toPlain(changes) } };
+    };
+
+    // Replaces one entry of a records map (e.g. 'revisions'), or removes it when `value` is null
+    const writeRecord = (name, id, value) => {
+        const entries = { ...records[name] };
+        if (value === null) delete entries[id];
+        else entries[id] = toPlain(value);
+        records = { ...records, [name]: entries };
+    };
+
+    // Same entries as the Firestore repository's log, with `at` as an ISO string, plus any `extraFields`
+    const log = (event, { action, reason = '', newStatus, moderator }, extraFields = {}) => {
+        records = { ...records, moderationLog: [...records.moderationLog, {
+            id: newLocalId(),
+            eventId: event.seriesId || event.id,
+            eventTitle: event.title,
+            action,
+            reason,
+            previousStatus: event.status,
+            previousReason: event.statusReason || '',
+            newStatus,
+            moderatorId: moderator.uid,
+            moderatorEmail: moderator.email || '',
+            at: new Date().toISOString(),
+            ...extraFields,
+        }] };
+    };
+
+    // Delivered after the caller's current work, like Firestore's first snapshot
+    const listen = (deliver) => {
+        let active = true;
+        const listener = () => { if (active) deliver(); };
+        listeners.add(listener);
+        queueMicrotask(listener);
+        return () => {
+            active = false;
+            listeners.delete(listener);
+        };
+    };
+
+    const matches = (record, { status, submittedBy, organizerId, endsAfter }) => (
+        (!status || [status].flat().includes(record.status))
+        && (!submittedBy || record.submittedBy === submittedBy)
+        && (!organizerId || record.organizerId === organizerId)
+        && (!endsAfter || toMillis(record.endsAt) >= endsAfter.getTime())
+    );
+
+    const moderated = (moderator) => ({ moderatedBy: moderator.uid, moderatedAt: new Date() });
+
+    // Same checks the functions apply to submissions and resubmissions, without the rate limits
+    const screen = (eventFields) => {
+        const { errors, flags } = screenEventFields(toPlain(eventFields));
+        if (errors.length > 0) throw localError('invalid-argument', errors[0]);
+        return flags;
+    };
+
+    const replaceTag = (labels, oldLabel, newLabel) => [...new Set(labels.map(label => (label === oldLabel ? newLabel : label)))];
+
+    return withShorthands({
+        kind: 'local',
+
+        subscribe: ({ status = null, submittedBy = null, organizerId = null, endsAfter = null }, onChange) => listen(() => onChange(
+            Object.keys(events).map(snapshotOf).filter(event => matches(event, { status, submittedBy, organizerId, endsAfter })),
+            { fromCache: false }
+        )),
+
+        subscribeToEvent: (eventId, onChange) => listen(() => onChange(snapshotOf(eventId))),
+
+        fetchPastEvents: async ({ startsFrom = null, startsBefore = null, organizerId = null, cursor = null, pageSize }) => {
+            const now = Date.now();
+            const sortKey = startsFrom ? 'date' : 'endsAt';
+            const past = Object.keys(events).map(snapshotOf)
+                .filter(event => event.status === 'approved' && (!organizerId || event.organizerId === organizerId) && (startsFrom
+                    ? toMillis(event.date) >= startsFrom.getTime() && toMillis(event.date) < startsBefore.getTime()
+                    : toMillis(event.endsAt) < now))
+                .sort((a, b) => toMillis(b[sortKey]) - toMillis(a[sortKey]));
+            const offset = cursor || 0;
+            const page = past.slice(offset, offset + pageSize);
+            return { events: page, cursor: offset + page.length, hasMore: page.length === pageSize };
+        },
+
+        submit: async (eventFields, { userId, allowDuplicates = false }) => {
+            const flags = screen(eventFields);
+            const organizer = eventFields.organizerId ? organizers[eventFields.organizerId] : null;
+            if (eventFields.organizerId && (!organizer || organizer.ownerId !== userId)) {
+                throw localError('invalid-argument', 'You can only host events as an organizer you manage. Please pick it again.');
+            }
+            if (!allowDuplicates) {
+                const candidates = Object.keys(events).map(snapshotOf).filter(event => ['approved', 'pending'].includes(event.status));
+                const matches = findLikelyDuplicates(eventFields, candidates);
+                const duplicates = matches.filter(({ event }) => event.status === 'approved');
+                const awaitingReview = matches.some(({ event }) => event.status === 'pending');
+                if (duplicates.length > 0 || awaitingReview) return { id: null, status: null, duplicates, awaitingReview };
+            }
+            const id = newLocalId();
+            const status = flags.length > 0 ? 'flagged' : organizer && organizer.trusted ? 'approved' : 'pending';
+            events = { ...events, [id]: toPlain({
+                ...eventFields,
+                organizerName: organizer ? organizer.name : null,
+                status,
+                flags,
+                submittedBy: userId,
+                submittedAt: new Date(),
+            }) };
+            if (status === 'approved') {
+                log({ id, title: eventFields.title, status: null }, {
+                    action: 'autoApprove',
+                    reason: `Hosted by trusted organizer ${organizer.name}`,
+                    newStatus: 'approved',
+                    moderator: { uid: 'system', email: 'Automatic (trusted organizer)' },
+                });
+            }
+            commit();
+            return { id, status };
+        },
+
+        update: async (event, eventFields) => {
+            const flags = screen(eventFields);
+            write(event.id, { ...eventFields, status: flags.length > 0 ? 'flagged' : 'pending', flags, updatedAt: new Date() });
+            commit();
+        },
+
+        withdraw: async (event, { revisionId = null } = {}) => {
+            write(event.id, { status: 'withdrawn', withdrawnAt: new Date() });
+            if (revisionId) writeRecord('revisions', revisionId, null);
+            commit();
+        },
+
+        moderate: async (event, { action, newStatus = null, reason = '', moderator, changes = {} }) => {
+            if (action === 'purge') {
+                events = { ...events };
+                delete events[event.id];
+                writeRecord('privateLocations', event.id, null);
+            } else {
+                write(event.id, { status: newStatus, statusReason: reason, ...changes, ...moderated(moderator) });
+            }
+            log(event, { action, reason, newStatus, moderator });
+            commit();
+        },
+
+        edit: async (event, eventFields, { reason = '', moderator }) => {
+            write(event.id, { ...eventFields, ...moderated(moderator) });
+            log({ ...event, title: eventFields.title || event.title }, { action: 'edit', reason, newStatus: event.status, moderator });
+            commit();
+        },
+
+        cancelOccurrence: async (occurrence, { moderator }) => {
+            const series = events[occurrence.seriesId];
+            if (!series) throw localError('not-found', 'That event no longer exists.');
+            const exceptions = [...new Set([...(series.recurrence.exceptions || []), occurrence.occurrenceDate])];
+            write(occurrence.seriesId, { recurrence: { ...series.recurrence, exceptions }, ...moderated(moderator) });
+            log(occurrence, {
+                action: 'cancelOccurrence',
+                reason: `Cancelled the ${occurrence.occurrenceDate} occurrence`,
+                newStatus: occurrence.status,
+                moderator,
+            });
+            commit();
+        },
+
+        merge: async (keeper, removed, { keeperChanges, removedChanges = {}, reason, moderator }) => {
+            write(keeper.id, { ...keeperChanges, ...moderated(moderator) });
+            write(removed.id, { status: 'rejected', statusReason: reason, ...removedChanges, ...moderated(moderator) });
+            log(removed, { action: 'merge', reason, newStatus: 'rejected', moderator });
+            commit();
+        },
+
+        subscribeToRevisions: ({ status = null, submittedBy = null }, onChange) => listen(() => onChange(
+            Object.keys(records.revisions).map(revisionOf).filter(revision => matches(revision, { status, submittedBy }))
+        )),
+
+        // Screened on the spot, like the screenEventRevisions trigger
+        submitRevision: async (event, { changes, changedFields, previousValues, privateLocation = null }, { userId }) => {
+            const flags = screen(changes);
+            writeRecord('revisions', event.id, {
+                eventId: event.id,
+                eventTitle: event.title,
+                changes,
+                changedFields,
+                previousValues,
+                privateLocation: privateLocation ? { address: privateLocation.address, coordinates: privateLocation.coordinates || null } : null,
+                status: flags.length > 0 ? 'flagged' : 'pending',
+                statusReason: '',
+                flags,
+                submittedBy: userId,
+                submittedAt: new Date(),
+            });
+            commit();
+        },
+
+        moderateRevision: async (revision, { action, reason = '', moderator }) => {
+            if (action === 'approveRevision') {
+                write(revision.eventId, { ...revision.changes, ...moderated(moderator) });
+                if (revision.changes.locationPrivacy !== 'on-request') {
+                    writeRecord('privateLocations', revision.eventId, null);
+                } else if (revision.privateLocation) {
+                    writeRecord('privateLocations', revision.eventId, { ...revision.privateLocation, updatedAt: new Date() });
+                }
+                writeRecord('revisions', revision.id, null);
+            } else {
+                writeRecord('revisions', revision.id, {
+                    ...records.revisions[revision.id],
+                    status: 'rejected',
+                    statusReason: reason,
+                    ...moderated(moderator),
+                });
+            }
+            log({ id: revision.eventId, title: revision.eventTitle, status: 'approved' }, {
+                action,
+                reason: reason || `Changed: ${revision.changedFields.join(', ')}`,
+                newStatus: 'approved',
+                moderator,
+            });
+            commit();
+        },
+
+        report: async (eventId, { reason, details }, { userId }) => {
+            const event = events[eventId];
+            if (!event || !['approved', 'reported'].includes(event.status)) throw localError('not-found', 'That event is no longer listed.');
+            const reports = { ...(records.reports[eventId] || {}) };
+            const existing = reports[userId];
+            reports[userId] = {
+                reporterId: userId,
+                reason,
+                details,
+                status: 'open',
+                createdAt: existing ? existing.createdAt : new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+            };
+            writeRecord('reports', eventId, reports);
+            const openReportCount = Object.values(reports).filter(report => report.status === 'open').length;
+            write(eventId, { openReportCount });
+            if (event.status === 'approved' && openReportCount >= LOCAL_REPORT_HIDE_THRESHOLD) {
+                const hideReason = `Hidden automatically after reports from ${openReportCount} people`;
+                log({ id: eventId, ...event }, {
+                    action: 'autoHide',
+                    reason: hideReason,
+                    newStatus: 'reported',
+                    moderator: { uid: 'system', email: 'Automatic (reports)' },
+                });
+                write(eventId, { status: 'reported', statusReason: hideReason });
+            }
+            commit();
+            return { alreadyReported: Boolean(existing && existing.status === 'open') };
+        },
+
+        subscribeToReportedEvents: (onChange) => listen(() => onChange(
+            Object.keys(events).map(snapshotOf).filter(event => event.openReportCount > 0)
+        )),
+
+        subscribeToReports: (eventId, onChange) => listen(() => onChange(
+            Object.entries(records.reports[eventId] || {})
+                .filter(([, report]) => report.status === 'open')
+                .map(([id, report]) => ({ id, ...clone(report) }))
+        )),
+
+        resolveReports: async (event, reports, { action, reason = '', moderator, changes = {} }) => {
+            const dismissed = action === 'dismissReports';
+            const newStatus = dismissed ? (event.status === 'reported' ? 'approved' : event.status) : 'unpublished';
+            const stored = { ...(records.reports[event.id] || {}) };
+            reports.forEach(report => {
+                if (!stored[report.id]) return;
+                stored[report.id] = {
+                    ...stored[report.id],
+                    status: dismissed ? 'dismissed' : 'upheld',
+                    resolvedBy: moderator.uid,
+                    resolvedAt: new Date().toISOString(),
+                };
+            });
+            writeRecord('reports', event.id, stored);
+            write(event.id, {
+                status: newStatus,
+                statusReason: dismissed ? (event.status === 'reported' ? '' : event.statusReason || '') : reason,
+                openReportCount: 0,
+                ...changes,
+                ...moderated(moderator),
+            });
+            log(event, {
+                action,
+                reason: reason || `Dismissed ${reports.length} report${reports.length === 1 ? '' : 's'}`,
+                newStatus,
+                moderator,
+            });
+            commit();
+        },
+
+        fetchModerationLog: async ({ action = null, moderatorId = null, eventId = null, cursor = null, pageSize }) => {
+            const matching = [...records.moderationLog].reverse().filter(entry => (
+                (!action || entry.action === action)
+                && (!moderatorId || entry.moderatorId === moderatorId)
+                && (!eventId || entry.eventId === eventId)
+            ));
+            const offset = cursor || 0;
+            const entries = clone(matching.slice(offset, offset + pageSize));
+            return { entries, cursor: offset + entries.length, hasMore: entries.length === pageSize };
+        },
+
+        importEvents: async (eventsFields, { status, reason, moderator }) => {
+            eventsFields.forEach((eventFields) => {
+                const id = newLocalId();
+                events = { ...events, [id]: toPlain({ ...eventFields, status, submittedBy: moderator.uid, submittedAt: new Date() }) };
+                if (status === 'approved') {
+                    log({ id, title: eventFields.title, status: null }, { action: 'import', reason, newStatus: status, moderator });
+                }
+            });
+            commit();
+        },
+
+        subscribeToTaxonomy: (onChange) => listen(() => onChange(clone(records.taxonomy))),
+
+        saveTaxonomy: async (taxonomy, { moderator }) => {
+            records = { ...records, taxonomy: { groups: clone(taxonomy), updatedBy: moderator.uid, updatedAt: new Date().toISOString() } };
+            commit();
+        },
+
+        renameTag: async (taxonomy, key, oldLabel, newLabel, { moderator }) => {
+            const eventIds = Object.keys(events).filter(id => (events[id][key] || []).includes(oldLabel));
+            eventIds.forEach(id => write(id, { [key]: replaceTag(events[id][key], oldLabel, newLabel) }));
+            const revisionIds = Object.keys(records.revisions).filter(id => (
+                ['pending', 'flagged'].includes(records.revisions[id].status) && (records.revisions[id].changes[key] || []).includes(oldLabel)
+            ));
+            revisionIds.forEach(id => {
+                const revision = records.revisions[id];
+                writeRecord('revisions', id, { ...revision, changes: { ...revision.changes, [key]: replaceTag(revision.changes[key], oldLabel, newLabel) } });
+            });
+            records = { ...records, taxonomy: {
+                groups: renameInTaxonomy(taxonomy, key, oldLabel, newLabel),
+                updatedBy: moderator.uid,
+                updatedAt: new Date().toISOString(),
+            } };
+            commit();
+            return { eventCount: eventIds.length, revisionCount: revisionIds.length };
+        },
+
+        subscribeToOrganizers: ({ ownerId = null }, onChange) => listen(() => onChange(
+            Object.keys(organizers).map(organizerOf).filter(organizer => !ownerId || organizer.ownerId === ownerId)
+        )),
+
+        subscribeToOrganizer: (organizerId, onChange) => listen(() => onChange(organizerOf(organizerId))),
+
+        // Renaming updates the organizer's events too, like the syncOrganizerName function
+        saveOrganizer: async (organizer, organizerFields, { userId }) => {
+            const id = organizer ? organizer.id : newLocalId();
+            if (organizer && !organizers[id]) throw localError('not-found', 'That organizer no longer exists.');
+            const previous = organizers[id] || { ownerId: userId, trusted: false, createdAt: new Date().toISOString() };
+            organizers = { ...organizers, [id]: { ...previous, ...toPlain(organizerFields), updatedAt: new Date().toISOString() } };
+            if (organizer && organizerFields.name !== previous.name) {
+                Object.keys(events)
+                    .filter(eventId => events[eventId].organizerId === id)
+                    .forEach(eventId => write(eventId, { organizerName: organizerFields.name }));
+            }
+            commit();
+            return id;
+        },
+
+        setOrganizerTrusted: async (organizer, trusted, { moderator }) => {
+            if (!organizers[organizer.id]) throw localError('not-found', 'That organizer no longer exists.');
+            const { subject, action, newStatus } = organizerTrustLog({ ...organizers[organizer.id], id: organizer.id }, trusted);
+            organizers = {
+                ...organizers,
+                [organizer.id]: { ...organizers[organizer.id], trusted, trustedBy: moderator.uid, trustedAt: new Date().toISOString() },
+            };
+            log(subject, { action, newStatus, moderator }, { organizerId: organizer.id });
+            commit();
+        },
+
+        subscribeToSavedEvents: (userId, onChange) => listen(() => onChange(
+            Object.entries(savedEvents[userId] || {}).map(([eventId, savedAt]) => ({ eventId, savedAt }))
+        )),
+
+        setInterested: async (eventId, interested, { userId }) => {
+            const saved = { ...(savedEvents[userId] || {}) };
+            if (Boolean(saved[eventId]) === interested) return;
+            if (interested) {
+                if (!events[eventId] || events[eventId].status !== 'approved') throw localError('not-found', 'That event is no longer listed.');
+                saved[eventId] = new Date().toISOString();
+            } else {
+                delete saved[eventId];
+            }
+            savedEvents = { ...savedEvents, [userId]: saved };
+            if (events[eventId]) write(eventId, { interestCount: Math.max(0, (events[eventId].interestCount || 0) + (interested ? 1 : -1)) });
+            commit();
+        },
+
+        subscribeToPrivateLocation: (eventId, onChange) => listen(() => onChange(clone(records.privateLocations[eventId]) || null)),
+
+        fetchPrivateLocation: async (eventId) => clone(records.privateLocations[eventId]) || null,
+
+        savePrivateLocation: async (eventId, privateLocation) => {
+            writeRecord('privateLocations', eventId, privateLocation
+                ? { address: privateLocation.address, coordinates: privateLocation.coordinates || null, updatedAt: new Date() }
+                : null);
+            commit();
+        },
+
+        subscribeToAccessRequest: (eventId, userId, onChange) => listen(() => onChange(
+            clone((records.accessRequests[eventId] || {})[userId]) || null
+        )),
+
+        subscribeToAccessRequests: (eventId, onChange) => listen(() => onChange(
+            Object.entries(records.accessRequests[eventId] || {})
+                .map(([id, request]) => ({ id, ...clone(request) }))
+                .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))
+        )),
+
+        requestAccess: async (eventId, message, { userId }) => {
+            writeRecord('accessRequests', eventId, {
+                ...(records.accessRequests[eventId] || {}),
+                [userId]: { requesterId: userId, message, status: 'pending', createdAt: new Date().toISOString() },
+            });
+            commit();
+        },
+
+        decideAccessRequest: async (eventId, requesterId, status) => {
+            const requests = records.accessRequests[eventId] || {};
+            if (!requests[requesterId]) throw localError('not-found', 'That request no longer exists.');
+            writeRecord('accessRequests', eventId, {
+                ...requests,
+                [requesterId]: { ...requests[requesterId], status, decidedAt: new Date().toISOString() },
+            });
+            commit();
+        },
+    });
+};
+
+// --- Offline Submission Queue ---
+
+const SUBMISSION_QUEUE_KEY = 'houston-community-hub:submissionQueue';
+
+// New submissions made offline, kept in `storage` (e.g. window.localStorage) so they survive a reload.
+// Entries are { id, eventFields, options, extras, queuedAt }: eventFields as plain JSON, `options` for
+// submit() and `extras` for whatever the app does after a successful submission.
+export const createSubmissionQueue = ({ storage, storageKey = SUBMISSION_QUEUE_KEY }) => {
+    let flushing = false;
+
+    const list = () => {
+        try {
+            return JSON.parse(storage.getItem(storageKey)) || [];
+        } catch (e) {
+            console.warn("Couldn't read the queued submissions:", e);
+            return [];
+        }
+    };
+    const save = (entries) => {
+        if (entries.length > 0) storage.setItem(storageKey, JSON.stringify(entries));
+        else storage.removeItem(storageKey);
+    };
+
+    return {
+        list,
+
+        add: (eventFields, options, extras = {}) => {
+            const entry = { id: newLocalId(), eventFields: toPlain(eventFields), options, extras, queuedAt: new Date().toISOString() };
+            save([...list(), entry]);
+            return entry;
+        },
+
+        // Submits the queued entries in order through `repository`. Each one is removed once it's sent, or once
+        // it's rejected with a message for the submitter; any other failure (still offline) stops the flush and
+        // keeps the rest for next time. Likely duplicates are sent anyway, as the submitter isn't there to
+        // confirm them; moderators see the match in their queue. Returns the entries still queued.
+        flush: async (repository, { onSent = () => {}, onRejected = () => {} } = {}) => {
+            if (flushing) return list();
+            flushing = true;
+            try {
+                for (const entry of list()) {
+                    try {
+                        const result = await repository.submit(entry.eventFields, { ...entry.options, allowDuplicates: true });
+                        save(list().filter(e => e.id !== entry.id));
+                        await onSent(entry, result);
+                    } catch (error) {
+                        if (!isSubmitterError(error)) throw error;
+                        save(list().filter(e => e.id !== entry.id));
+                        onRejected(entry, error);
+                    }
+                }
+            } catch (error) {
+                console.warn("Queued submissions will be retried later:", error);
+            } finally {
+                flushing = false;
+            }
+            return list();
+        },
+    };
+};
+
+// --- Sample Events ---
+
+// `now` shifted by whole days to a Houston time of day, whatever the device's time zone
+const daysFrom = (now, days, hours, minutes = 0) => zonedTimeToDate(
+    addDaysToKey(toDateKey(now), days),
+    `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+);
+
+const SAMPLE_EVENT_DEFAULTS = {
+    allDay: false,
+    timeZone: 'America/Chicago',
+    locationPrivacy: null,
+    eventLink: '',
+    imageUrl: '',
+    imageAlt: '',
+    categories: [],
+    accessibility: [],
+    cost: null,
+    ageRestriction: null,
+    recurrence: null,
+    organizerId: null,
+    status: 'approved',
+    statusReason: '',
+    flags: [],
+    submittedBy: 'sample-data',
+};
+
+// Two local groups for the sample events; the first is trusted, so its submissions skip the review queue
+export const SAMPLE_ORGANIZERS = [
+    {
+        id: 'sample-montrose-peer-support',
+        name: 'Montrose Peer Support Collective',
+        bio: 'Trans and nonbinary volunteers running peer support circles and practical help clinics around Montrose since 2019.',
+        logoUrl: '',
+        links: ['https://example.org/montrose-peer-support'],
+        contactEmail: 'hello@example.org',
+        ownerId: 'sample-data',
+        trusted: true,
+    },
+    {
+        id: 'sample-bayou-city-social',
+        name: 'Bayou City Queer Social Club',
+        bio: 'Trivia, potlucks and volunteer days for LGBTQ+ Houstonians looking for community away from the bars.',
+        logoUrl: '',
+        links: [],
+        contactEmail: '',
+        ownerId: 'sample-data',
+        trusted: false,
+    },
+];
+
+// A spread of upcoming, past, recurring and pending events around Houston, dated relative to `now`
+export const buildSampleEvents = (now) => [
+    {
+        id: 'sample-trans-support-circle',
+        organizerId: 'sample-montrose-peer-support',
+        title: 'Montrose Trans Support Circle',
+        description: 'A weekly peer support circle for trans and gender-expansive adults. Come as you are, share if you like, or just listen.\n\nFacilitated by trained peer volunteers. Snacks and coffee provided.',
+        start: daysFrom(now, 1, 19), end: daysFrom(now, 1, 20, 30),
+        location: 'Montrose', coordinates: { lat: 29.7436, lng: -95.3901 },
+        type: 'In-Person', communityFocus: ['Trans', 'Nonbinary'], categories: ['Support Group'],
+        accessibility: ['wheelchair', 'sober'], cost: 'free', ageRestriction: '18+',
+        recurrence: { frequency: 'weekly', interval: 1, weekdayPosition: null, until: null, exceptions: [] },
+    },
+    {
+        id: 'sample-queer-trivia',
+        organizerId: 'sample-bayou-city-social',
+        title: 'Queer Trivia Night',
+        description: 'Teams of up to six battle it out over pop culture, queer history and Houston trivia. Prizes for the top three teams and the best team name.',
+        start: daysFrom(now, 3, 20), end: daysFrom(now, 3, 22, 30),
+        location: 'Midtown', coordinates: { lat: 29.7405, lng: -95.3780 },
+        type: 'In-Person', communityFocus: ['LGBT+'], categories: ['Social', 'Nightlife'],
+        cost: 'free', ageRestriction: '21+',
+    },
+    {
+        id: 'sample-name-change-clinic',
+        organizerId: 'sample-montrose-peer-support',
+        title: 'Name & Gender Marker Change Clinic',
+        description: 'Volunteer attorneys help with Harris County name change petitions and updating your documents. Bring a photo ID; fee waiver help is available.',
+        start: daysFrom(now, 6, 10), end: daysFrom(now, 6, 14),
+        location: 'Third Ward', coordinates: { lat: 29.7300, lng: -95.3600 },
+        type: 'In-Person', communityFocus: ['Trans', 'Nonbinary'], categories: ['Activism'],
+        accessibility: ['wheelchair', 'asl'], cost: 'free', ageRestriction: 'all-ages',
+    },
+    {
+        id: 'sample-aapi-potluck',
+        organizerId: 'sample-bayou-city-social',
+        title: 'AAPI Queer Potluck',
+        description: 'Bring a dish from your family table (or a store-bought favorite) and meet other queer Asian American and Pacific Islander folks in Alief.',
+        start: daysFrom(now, 8, 12), end: daysFrom(now, 8, 15),
+        location: 'Alief', coordinates: { lat: 29.7110, lng: -95.5960 },
+        type: 'In-Person', communityFocus: ['AAPI', 'LGBT+'], categories: ['Social'],
+        accessibility: ['sober'], cost: 'free', ageRestriction: 'all-ages',
+    },
+    {
+        id: 'sample-hrt-info-session',
+        title: 'Hormone Therapy Q&A (Online)',
+        description: 'A clinician from a local community health center answers questions about starting or changing hormone therapy, informed consent and insurance. Questions can be sent anonymously in the chat.',
+        start: daysFrom(now, 10, 18, 30), end: daysFrom(now, 10, 19, 30),
+        location: 'Online (link sent after RSVP)', coordinates: null,
+        type: 'Remote', communityFocus: ['Trans', 'Nonbinary'], categories: ['Health'],
+        cost: 'free',
+    },
+    {
+        id: 'sample-black-queer-brunch',
+        title: 'Black Queer Sunday Brunch',
+        description: 'Good food and good company in EaDo. Pay what you can; nobody turned away for lack of funds.',
+        start: daysFrom(now, 12, 11), end: daysFrom(now, 12, 13, 30),
+        location: 'EaDo', coordinates: { lat: 29.7510, lng: -95.3490 },
+        type: 'In-Person', communityFocus: ['Black', 'LGBT+'], categories: ['Social'],
+        cost: 'sliding-scale', ageRestriction: 'all-ages',
+    },
+    {
+        id: 'sample-latinx-dance-night',
+        title: 'Noche Latinx Dance Night',
+        description: 'Cumbia, reggaeton and bachata all night with resident DJs. Drag performances at 11.',
+        start: daysFrom(now, 15, 21), end: daysFrom(now, 16, 2),
+        location: 'The Heights', coordinates: { lat: 29.7980, lng: -95.3980 },
+        type: 'In-Person', communityFocus: ['Latinx', 'LGBT+'], categories: ['Nightlife'],
+        cost: 'paid', ageRestriction: '21+',
+    },
+    {
+        id: 'sample-park-cleanup',
+        organizerId: 'sample-bayou-city-social',
+        title: 'Pride Volunteers: Buffalo Bayou Cleanup',
+        description: 'Gloves, bags and water provided. Meet at the Sabine Street parking lot.',
+        start: daysFrom(now, -9, 8), end: daysFrom(now, -9, 11),
+        location: 'Downtown', coordinates: { lat: 29.7604, lng: -95.3698 },
+        type: 'In-Person', communityFocus: ['LGBT+'], categories: ['Activism'],
+        cost: 'free', ageRestriction: 'all-ages',
+    },
+    {
+        id: 'sample-nonbinary-book-club',
+        title: 'Nonbinary Book Club',
+        description: 'This month: poetry by nonbinary authors. Read along or just come for the conversation.',
+        start: daysFrom(now, -20, 18), end: daysFrom(now, -20, 19, 30),
+        location: 'Rice Village', coordinates: { lat: 29.7160, lng: -95.4140 },
+        type: 'In-Person', communityFocus: ['Nonbinary'], categories: ['Social'],
+        accessibility: ['wheelchair'], cost: 'free',
+    },
+    {
+        id: 'sample-pending-art-show',
+        title: 'Trans Artists Showcase',
+        description: 'An evening gallery show of work by local trans artists, with a short artist talk at 7.',
+        start: daysFrom(now, 18, 18), end: daysFrom(now, 18, 21),
+        location: 'Museum District', coordinates: { lat: 29.7230, lng: -95.3900 },
+        type: 'In-Person', communityFocus: ['Trans'], categories: ['Social'],
+        cost: 'free', ageRestriction: 'all-ages', status: 'pending',
+    },
+].map(({ start, end, ...event }) => ({
+    ...SAMPLE_EVENT_DEFAULTS,
+    ...event,
+    organizerName: event.organizerId ? SAMPLE_ORGANIZERS.find(organizer => organizer.id === event.organizerId).name : null,
+    date: start,
+    endDate: end,
+    // The Houston weekday, as the form stores it, whatever the device's time zone
+    recurrence: event.recurrence ? { ...event.recurrence, weekday: getKeyWeekday(toDateKey(start)) } : null,
+    endsAt: event.recurrence ? new Date('9999-12-31T00:00:00Z') : end, // open-ended, like SERIES_OPEN_ENDED
+    submittedAt: daysFrom(now, -30, 12),
+}));
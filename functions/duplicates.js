@@ -0,0 +1,100 @@
+// Likely-duplicate detection, shared by the submission form, the moderation queue and the submitEvent
+// function (which also checks against pending events the submitter can't see, without showing them).
+// The typo-tolerant token helpers are also used by the browser's search.
+import { zonedTimeToDate, toDateKey, addDaysToKey, getEventStart, getEventEnd, expandRecurrence, distanceInMiles, getEventCoordinates } from './listing.js';
+
+// --- Text Matching ---
+
+// Lowercase with accents removed, so "Café" matches "cafe"
+export const normalizeText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).match(/[a-z0-9]+/g) || [];
+
+// Typos tolerated for a query term: none for short words, more for long ones
+export const maxTypos = (term) => term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+// Levenshtein distance with adjacent transpositions; stops early once every path exceeds `max`
+export const editDistance = (a, b, max) => {
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// --- Duplicate Detection ---
+// The same brunch or support group is often submitted by several people. An event is a likely duplicate
+// when it happens on the same Houston day with a similar title, and either the location is similar
+// or the titles are nearly identical.
+
+// Words too common in event titles and addresses to say anything about a match
+const DUPLICATE_STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with', 'houston', 'tx', 'event']);
+
+const getSignificantTokens = (text) => [...new Set(tokenize(text).filter(token => !DUPLICATE_STOP_WORDS.has(token)))];
+
+const tokensMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && editDistance(a, b, maxTypos(a)) <= maxTypos(a));
+
+// 0-1 overlap of typo-tolerant tokens, averaged over both texts so "Brunch" vs "Drag Brunch" isn't a full match
+const textSimilarity = (textA, textB) => {
+    const a = getSignificantTokens(textA);
+    const b = getSignificantTokens(textB);
+    if (a.length === 0 || b.length === 0) return 0;
+    const matched = a.filter(token => b.some(other => tokensMatch(token, other))).length;
+    return (matched / a.length + matched / b.length) / 2;
+};
+
+const locationSimilarity = (a, b) => {
+    const pointA = getEventCoordinates(a);
+    const pointB = getEventCoordinates(b);
+    if (pointA && pointB) return distanceInMiles(pointA, pointB) <= 0.25 ? 1 : 0;
+    if (a.type === 'Remote' && b.type === 'Remote') return a.eventLink && a.eventLink === b.eventLink ? 1 : 0.5;
+    return textSimilarity(a.location, b.location);
+};
+
+// Whether an event (or any occurrence of its series) overlaps a Houston calendar day
+const occursOnDay = (event, dateKey) => {
+    const dayStart = zonedTimeToDate(dateKey);
+    const dayEnd = zonedTimeToDate(addDaysToKey(dateKey, 1));
+    return expandRecurrence(event, dayStart, dayEnd)
+        .some(occurrence => getEventStart(occurrence) < dayEnd && getEventEnd(occurrence) > dayStart);
+};
+
+// Events in `events` that look like the same event as `candidate`, most similar first: [{ event, reasons }]
+export const findLikelyDuplicates = (candidate, events) => {
+    if (!candidate.date || !candidate.title) return [];
+    const dateKey = toDateKey(getEventStart(candidate));
+
+    return events
+        .filter(event => event.id !== candidate.id && event.id !== candidate.duplicateOf && event.date)
+        .map(event => {
+            const titleScore = textSimilarity(candidate.title, event.title);
+            const locationScore = locationSimilarity(candidate, event);
+            return { event, titleScore, locationScore };
+        })
+        .filter(({ event, titleScore, locationScore }) => (
+            titleScore >= 0.6 && (locationScore >= 0.5 || titleScore >= 0.9) && occursOnDay(event, dateKey)
+        ))
+        .sort((a, b) => (b.titleScore + b.locationScore) - (a.titleScore + a.locationScore))
+        .map(({ event, titleScore, locationScore }) => ({
+            event,
+            reasons: [
+                'same day',
+                titleScore >= 0.9 ? 'same title' : 'similar title',
+                locationScore >= 1 ? 'same place' : locationScore >= 0.5 ? 'similar location' : null,
+            ].filter(Boolean),
+        }));
+};
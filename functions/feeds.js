@@ -0,0 +1,140 @@
+// JSON, RSS 2.0 and Atom feeds of listing events, served by the eventsFeed function. The JSON feed is also
+// what the embed widget renders. Dependency-free like ical.js.
+import { EVENT_TIME_ZONE, toJsDate, getEventStart, getEventEnd, getEventCoordinates, getEventPath, getOrganizerPath } from './listing.js';
+import { TAG_GROUPS, EVENT_DETAIL_FIELDS, getDetailLabel } from './taxonomy.js';
+
+const whenFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+});
+
+const allDayFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+});
+
+// "Sat, Jun 27, 2026, 2:00 PM (Houston time)", or the day alone for all-day events
+const describeStart = (event) => (event.allDay
+    ? `${allDayFormatter.format(getEventStart(event))} (all day)`
+    : `${whenFormatter.format(getEventStart(event))} (Houston time)`);
+
+// "<start> · <location>" for summaries
+const describeEvent = (event) => [describeStart(event), event.location].filter(Boolean).join(' · ');
+
+// When the event was listed, for feed readers that sort by it; falls back to `now`
+const getListedAt = (event, now) => toJsDate(event.moderatedAt || event.submittedAt || now);
+
+const escapeXml = (text) => String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const getCategories = (event) => [
+    ...TAG_GROUPS.flatMap(({ key }) => event[key] || []),
+    ...EVENT_DETAIL_FIELDS.flatMap(({ key }) => [event[key] || []].flat().map(id => getDetailLabel(key, id))),
+];
+
+// One event as plain JSON: instants as ISO strings, `url` its page on the site
+export const toFeedEvent = (event, siteUrl) => {
+    const coordinates = getEventCoordinates(event);
+    return {
+        id: event.id,
+        seriesId: event.seriesId || null,
+        occurrenceDate: event.occurrenceDate || null,
+        url: `${siteUrl}${getEventPath(event)}`,
+        title: event.title || '',
+        description: event.description || '',
+        date: getEventStart(event).toISOString(),
+        endDate: getEventEnd(event).toISOString(),
+        allDay: Boolean(event.allDay),
+        type: event.type || null,
+        location: event.location || '',
+        locationPrivacy: event.locationPrivacy || null,
+        coordinates,
+        eventLink: event.eventLink || '',
+        imageUrl: event.imageUrl || '',
+        imageAlt: event.imageAlt || '',
+        interestCount: event.interestCount || 0,
+        organizer: event.organizerId
+            ? { id: event.organizerId, name: event.organizerName || '', url: `${siteUrl}${getOrganizerPath(event.organizerId)}` }
+            : null,
+        ...Object.fromEntries(TAG_GROUPS.map(({ key }) => [key, event[key] || []])),
+        ...Object.fromEntries(EVENT_DETAIL_FIELDS.map(({ key, multiple }) => [key, event[key] || (multiple ? [] : null)])),
+        recurrence: event.recurrence
+            ? { ...event.recurrence, until: event.recurrence.until ? toJsDate(event.recurrence.until).toISOString() : null }
+            : null,
+    };
+};
+
+// { title, url, feedUrl, updated, events }
+export const buildJsonFeed = (events, { title, siteUrl, feedUrl, now = new Date() }) => JSON.stringify({
+    title,
+    url: siteUrl,
+    feedUrl,
+    updated: now.toISOString(),
+    events: events.map(event => toFeedEvent(event, siteUrl)),
+});
+
+export const buildRssFeed = (events, { title, siteUrl, feedUrl, now = new Date() }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(siteUrl)}</link>`,
+    `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    '<description>Upcoming LGBTQ+ community events in the Houston area</description>',
+    '<language>en-us</language>',
+    `<lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+    ...events.map((event) => {
+        const url = `${siteUrl}${getEventPath(event)}`;
+        return [
+            '<item>',
+            `<title>${escapeXml(event.title)}</title>`,
+            `<link>${escapeXml(url)}</link>`,
+            `<guid isPermaLink="true">${escapeXml(url)}</guid>`,
+            `<pubDate>${getListedAt(event, now).toUTCString()}</pubDate>`,
+            `<description>${escapeXml(`${describeEvent(event)}\n\n${event.description || ''}`)}</description>`,
+            ...getCategories(event).map(category => `<category>${escapeXml(category)}</category>`),
+            '</item>',
+        ].join('\n');
+    }),
+    '</channel>',
+    '</rss>',
+].join('\n');
+
+export const buildAtomFeed = (events, { title, siteUrl, feedUrl, now = new Date() }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(feedUrl)}</id>`,
+    `<title>${escapeXml(title)}</title>`,
+    `<updated>${now.toISOString()}</updated>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    '<author><name>Houston LGBTQ+ Community Hub</name></author>',
+    ...events.map((event) => {
+        const url = `${siteUrl}${getEventPath(event)}`;
+        return [
+            '<entry>',
+            `<id>${escapeXml(url)}</id>`,
+            `<title>${escapeXml(event.title)}</title>`,
+            `<link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+            `<updated>${getListedAt(event, now).toISOString()}</updated>`,
+            `<summary>${escapeXml(describeEvent(event))}</summary>`,
+            ...(event.organizerName ? [`<author><name>${escapeXml(event.organizerName)}</name></author>`] : []),
+            `<content type="text">${escapeXml(event.description)}</content>`,
+            ...getCategories(event).map(category => `<category term="${escapeXml(category)}"/>`),
+            '</entry>',
+        ].join('\n');
+    }),
+    '</feed>',
+].join('\n');
@@ -0,0 +1,405 @@
+// iCalendar (RFC 5545) builder shared by the web app ("Add to calendar") and the calendarFeed function.
+// Dependency-free so it runs in both the browser and Node. Accepts Firestore Timestamps or Dates.
+
+import { TAG_GROUPS } from './taxonomy.js';
+import { getEventCoordinates } from './listing.js';
+
+export const ICAL_TIME_ZONE = 'America/Chicago';
+const PRODUCT_ID = '-//Houston LGBTQ+ Community Hub//Events//EN';
+const UID_DOMAIN = 'houston-lgbtq-events';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// US Central time rules (in effect since 2007)
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICAL_TIME_ZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0600',
+    'TZOFFSETTO:-0500',
+    'TZNAME:CDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0600',
+    'TZNAME:CST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+];
+
+const asDate = (value) => value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const zonedFormatters = {};
+const getZonedFormatter = (timeZone) => {
+    if (!zonedFormatters[timeZone]) {
+        zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        });
+    }
+    return zonedFormatters[timeZone];
+};
+
+const zonedParts = (date, timeZone = ICAL_TIME_ZONE) => {
+    const parts = {};
+    getZonedFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Instant for a wall-clock time in the given zone (checked twice to land correctly across DST changes)
+const zonedTimeToDate = (year, month, day, hour, minute, second, timeZone) => {
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (instant) => {
+        const p = zonedParts(new Date(instant), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+    const offset = offsetAt(asUTC);
+    const correctedOffset = offsetAt(asUTC - offset);
+    return new Date(asUTC - (correctedOffset === offset ? offset : correctedOffset));
+};
+
+const isSupportedTimeZone = (timeZone) => {
+    try {
+        getZonedFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// 20260627
+const formatDateValue = (date) => {
+    const p = zonedParts(date);
+    return `${p.year}${pad2(p.month)}${pad2(p.day)}`;
+};
+
+// 20260627T140000 (Houston wall time, used with TZID)
+const formatLocalDateTime = (date) => {
+    const p = zonedParts(date);
+    return `${formatDateValue(date)}T${pad2(p.hour)}${pad2(p.minute)}${pad2(p.second)}`;
+};
+
+// 20260627T190000Z
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space, without splitting a UTF-8 character
+const encoder = new TextEncoder();
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const maxBytes = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (currentBytes + charBytes > maxBytes) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+const buildRecurrenceLines = (event, start) => {
+    const rule = event.recurrence;
+    if (!rule) return [];
+
+    const parts = [`FREQ=${rule.frequency === 'monthly' ? 'MONTHLY' : 'WEEKLY'}`];
+    if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    const weekday = WEEKDAY_CODES[rule.weekday];
+    parts.push(rule.frequency === 'monthly' ? `BYDAY=${rule.weekdayPosition}${weekday}` : `BYDAY=${weekday}`);
+    if (rule.until) {
+        // `until` is midnight of the last day; UNTIL is inclusive and must be UTC when DTSTART has a TZID
+        const lastDay = asDate(rule.until);
+        parts.push(event.allDay
+            ? `UNTIL=${formatDateValue(lastDay)}`
+            : `UNTIL=${formatUtcDateTime(new Date(lastDay.getTime() + 86400000 - 1000))}`);
+    }
+
+    const lines = [`RRULE:${parts.join(';')}`];
+    const startTime = formatLocalDateTime(start).slice(8); // 'THHMMSS'
+    (rule.exceptions || []).forEach(dateKey => {
+        const day = dateKey.replace(/-/g, '');
+        lines.push(event.allDay
+            ? `EXDATE;VALUE=DATE:${day}`
+            : `EXDATE;TZID=${ICAL_TIME_ZONE}:${day}${startTime}`);
+    });
+    return lines;
+};
+
+// One VEVENT for an event document (or a listing occurrence, which exports its whole series)
+export const buildVEvent = (event, { now = new Date() } = {}) => {
+    const start = asDate(event.date);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.seriesId || event.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+    ];
+
+    if (!event.endDate) {
+        // Older submissions only have a day and a free-text time
+        lines.push(`DTSTART;VALUE=DATE:${formatDateValue(start)}`);
+    } else if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDateValue(start)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDateValue(asDate(event.endDate))}`);
+    } else {
+        lines.push(`DTSTART;TZID=${ICAL_TIME_ZONE}:${formatLocalDateTime(start)}`);
+        lines.push(`DTEND;TZID=${ICAL_TIME_ZONE}:${formatLocalDateTime(asDate(event.endDate))}`);
+    }
+
+    lines.push(...buildRecurrenceLines(event, start));
+
+    const description = [event.description, !event.endDate && event.time ? `Time: ${event.time}` : '', event.eventLink]
+        .filter(Boolean)
+        .join('\n\n');
+
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    // GeoPoint from either Firestore SDK, or { lat, lng } from the local repository and queued submissions
+    const coordinates = getEventCoordinates(event);
+    if (coordinates) lines.push(`GEO:${coordinates.lat.toFixed(6)};${coordinates.lng.toFixed(6)}`);
+    if (event.eventLink) lines.push(`URL:${event.eventLink}`);
+    const tags = TAG_GROUPS.flatMap(group => event[group.key] || []);
+    if (tags.length > 0) {
+        lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// A complete VCALENDAR for one or many events
+export const buildCalendar = (events, { name = 'Houston LGBTQ+ Events', now = new Date() } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${ICAL_TIME_ZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        ...VTIMEZONE,
+    ];
+    events.forEach(event => lines.push(...buildVEvent(event, { now })));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- Parsing ---
+
+const unescapeText = (text) => text
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// Splits 'NAME;PARAM=x;PARAM2="a:b":value' into its parts
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, value = ''] = part.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+// DTSTART/DTEND/EXDATE value -> { date, allDay }. Unknown zones (e.g. Outlook names) fall back to Houston time.
+const parseDateTimeValue = (value, params) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (!hour || params.VALUE === 'DATE') {
+        return { date: zonedTimeToDate(+year, +month, +day, 0, 0, 0, ICAL_TIME_ZONE), allDay: true };
+    }
+    if (utc) {
+        return { date: new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second)), allDay: false };
+    }
+    const timeZone = params.TZID && isSupportedTimeZone(params.TZID) ? params.TZID : ICAL_TIME_ZONE;
+    return { date: zonedTimeToDate(+year, +month, +day, +hour, +minute, +second, timeZone), allDay: false };
+};
+
+// 'P1D', 'PT2H30M' -> milliseconds
+const parseDuration = (value) => {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+    return sign === '-' ? -ms : ms;
+};
+
+const toDateKey = (date) => {
+    const p = zonedParts(date);
+    return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+};
+
+// Maps an RRULE onto the app's recurrence rule. Returns null when the rule can't be represented.
+const parseRecurrenceRule = (value, start) => {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, val = ''] = part.split('=');
+        parts[key.toUpperCase()] = val.toUpperCase();
+    });
+
+    const interval = parts.INTERVAL ? Math.max(1, parseInt(parts.INTERVAL, 10) || 1) : 1;
+    const startParts = zonedParts(start);
+    const startWeekday = new Date(Date.UTC(startParts.year, startParts.month - 1, startParts.day)).getUTCDay();
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+    if (byDay.length > 1) return null;
+
+    let rule;
+    if (parts.FREQ === 'WEEKLY') {
+        if (byDay.length === 1 && byDay[0] !== WEEKDAY_CODES[startWeekday]) return null;
+        rule = { frequency: 'weekly', interval, weekday: startWeekday, weekdayPosition: null };
+    } else if (parts.FREQ === 'MONTHLY') {
+        const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(byDay[0] || '');
+        const position = match && match[1] ? parseInt(match[1], 10) : NaN;
+        if (!match || !(position === -1 || (position >= 1 && position <= 4))) return null;
+        rule = { frequency: 'monthly', interval, weekday: WEEKDAY_CODES.indexOf(match[2]), weekdayPosition: position };
+    } else {
+        return null;
+    }
+
+    rule.until = null;
+    if (parts.UNTIL) {
+        const until = parseDateTimeValue(parts.UNTIL, {});
+        if (until) rule.until = zonedTimeToDate(...toDateKey(until.date).split('-').map(Number), 0, 0, 0, ICAL_TIME_ZONE);
+    } else if (parts.COUNT) {
+        // Convert a count into the last day the series can fall on
+        const count = Math.max(1, parseInt(parts.COUNT, 10) || 1);
+        if (rule.frequency === 'weekly') {
+            rule.until = new Date(Date.UTC(startParts.year, startParts.month - 1, startParts.day + (count - 1) * 7 * interval));
+        } else {
+            rule.until = new Date(Date.UTC(startParts.year, startParts.month - 1 + (count - 1) * interval + 1, 0));
+        }
+        const untilKey = rule.until.toISOString().slice(0, 10).split('-').map(Number);
+        rule.until = zonedTimeToDate(...untilKey, 0, 0, 0, ICAL_TIME_ZONE);
+    }
+    return rule;
+};
+
+// GEO value 'lat;lng' -> { lat, lng }, or null
+const parseGeo = (prop) => {
+    if (!prop) return null;
+    const [lat, lng] = prop.value.split(';').map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Parses an .ics file into plain event drafts:
+// { title, description, location, coordinates, eventLink, date, endDate, allDay, recurrence, categories, warnings }
+// `endDate` is null when the file gave neither DTEND nor DURATION.
+export const parseCalendar = (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const drafts = [];
+    let current = null;
+    let depth = 0; // ignore nested components such as VALARM
+
+    lines.forEach(rawLine => {
+        const line = parseContentLine(rawLine);
+        if (!line) return;
+
+        if (line.name === 'BEGIN') {
+            if (line.value.toUpperCase() === 'VEVENT') {
+                current = { props: {}, exdates: [] };
+                depth = 0;
+            } else if (current) {
+                depth++;
+            }
+            return;
+        }
+        if (line.name === 'END') {
+            if (current && depth > 0) {
+                depth--;
+            } else if (current && line.value.toUpperCase() === 'VEVENT') {
+                drafts.push(current);
+                current = null;
+            }
+            return;
+        }
+        if (!current || depth > 0) return;
+
+        if (line.name === 'EXDATE') {
+            current.exdates.push(...line.value.split(',').map(value => ({ value, params: line.params })));
+        } else if (!current.props[line.name]) {
+            current.props[line.name] = line;
+        }
+    });
+
+    return drafts.map(({ props, exdates }) => {
+        const text = (name) => (props[name] ? unescapeText(props[name].value).trim() : '');
+        const warnings = [];
+
+        const start = props.DTSTART ? parseDateTimeValue(props.DTSTART.value, props.DTSTART.params) : null;
+        let endDate = null;
+        if (start && props.DTEND) {
+            const end = parseDateTimeValue(props.DTEND.value, props.DTEND.params);
+            endDate = end ? end.date : null;
+        } else if (start && props.DURATION) {
+            const duration = parseDuration(props.DURATION.value);
+            endDate = duration ? new Date(start.date.getTime() + duration) : null;
+        } else if (start && start.allDay) {
+            endDate = new Date(start.date.getTime() + 86400000);
+        }
+
+        let recurrence = null;
+        if (start && props.RRULE) {
+            recurrence = parseRecurrenceRule(props.RRULE.value, start.date);
+            if (recurrence) {
+                recurrence.exceptions = exdates
+                    .map(({ value, params }) => parseDateTimeValue(value, params))
+                    .filter(Boolean)
+                    .map(parsed => toDateKey(parsed.date));
+            } else {
+                warnings.push(`Repeat rule "${props.RRULE.value}" isn't supported; only the first date will be imported.`);
+            }
+        }
+
+        return {
+            title: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            coordinates: parseGeo(props.GEO),
+            eventLink: props.URL ? props.URL.value.trim() : '',
+            date: start ? start.date : null,
+            endDate,
+            allDay: start ? start.allDay : false,
+            recurrence,
+            categories: props.CATEGORIES ? unescapeText(props.CATEGORIES.value).split(',').map(c => c.trim()).filter(Boolean) : [],
+            warnings,
+        };
+    });
+};
+
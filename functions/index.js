@@ -0,0 +1,610 @@
+import { createHash } from 'node:crypto';
+import { onRequest, onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentUpdated, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { defineInt, defineString } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, Timestamp, GeoPoint, FieldValue } from 'firebase-admin/firestore';
+import { buildCalendar } from './ical.js';
+import { SUBMISSION_LIMITS, MIN_FORM_FILL_MS, REPORT_REASONS, screenEventFields } from './screening.js';
+import { TAG_GROUPS, MAX_TAG_LENGTH, EVENT_DETAIL_FIELDS, normalizeTaxonomy, getActiveTags, getDetailLabel } from './taxonomy.js';
+import {
+    RECURRENCE_WINDOW_DAYS, isValidRecurrence, zonedTimeToDate, toDateKey, addDaysToKey, startOfToday, readFilterParams, applyEventFilters,
+    listUpcomingEvents,
+} from './listing.js';
+import { buildJsonFeed, buildRssFeed, buildAtomFeed } from './feeds.js';
+import { findLikelyDuplicates } from './duplicates.js';
+
+initializeApp();
+const db = getFirestore();
+
+// Past events stay in subscribers' calendars for this long after they end
+const FEED_HISTORY_DAYS = 30;
+
+// Open reports (from distinct networks) that hide an approved event until a moderator reviews it.
+// Set at deploy time, e.g. REPORT_HIDE_THRESHOLD=5 in functions/.env
+const REPORT_HIDE_THRESHOLD = defineInt('REPORT_HIDE_THRESHOLD', { default: 3 });
+
+// Where the web app is served, for links in the events feeds, e.g. SITE_URL=https://example.org in functions/.env
+const SITE_URL = defineString('SITE_URL', { description: 'Public URL of the web app, without a trailing slash' });
+
+const parseAppId = (value) => (typeof value === 'string' && /^[\w-]+$/.test(value) ? value : 'default-app-id');
+
+// The request's query string, for the filter readers in listing.js (repeated parameters are ignored)
+const getQueryParams = (req) => new URLSearchParams(Object.entries(req.query).filter(([, value]) => typeof value === 'string'));
+
+// Feed title naming the filters, e.g. "Houston LGBTQ+ Events: Trans + Latinx, Social, In-Person, Free". An organizer
+// is named from its events, which keep a copy of its name.
+const getFeedName = ({ selectedTags, selectedType, selectedDetails, selectedOrganizer }, events) => {
+    const organizerEvent = selectedOrganizer ? events.find(event => event.organizerName) : null;
+    const nameParts = [
+        organizerEvent ? organizerEvent.organizerName : '',
+        ...TAG_GROUPS.map(({ key }) => selectedTags[key].join(' + ')),
+        selectedType !== 'All' ? selectedType : '',
+        ...EVENT_DETAIL_FIELDS.map(({ key }) => selectedDetails[key].map(id => getDetailLabel(key, id)).join(' + ')),
+    ].filter(Boolean);
+    return nameParts.length > 0 ? `Houston LGBTQ+ Events: ${nameParts.join(', ')}` : 'Houston LGBTQ+ Events';
+};
+
+// --- Feeds ---
+// Both feeds filter like the directory (functions/listing.js): any of the listed tags within a group, every
+// group, type and detail given, and one organizer's events with `organizer=<organizerId>`.
+
+// Subscribable iCal feed of approved events; series stay whole as repeating events:
+// GET /calendarFeed?app=<appId>&focus=Trans,Latinx&category=Social&type=In-Person&cost=free
+export const calendarFeed = onRequest({ cors: true }, async (req, res) => {
+    const appId = parseAppId(req.query.app);
+
+    try {
+        const since = Timestamp.fromMillis(Date.now() - FEED_HISTORY_DAYS * 86400000);
+        const [snapshot, taxonomy] = await Promise.all([
+            db.collection(`artifacts/${appId}/public/data/events`)
+                .where('status', '==', 'approved')
+                .where('endsAt', '>=', since)
+                .get(),
+            loadTaxonomy(appId),
+        ]);
+
+        const filters = readFilterParams(getQueryParams(req), taxonomy);
+        const events = applyEventFilters(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), filters);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'public, max-age=900');
+        res.send(buildCalendar(events, { name: getFeedName(filters, events) }));
+    } catch (error) {
+        console.error("Error building calendar feed:", error);
+        res.status(500).send('Could not build the calendar feed.');
+    }
+});
+
+const EVENTS_FEED_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', build: buildJsonFeed },
+    rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtomFeed },
+};
+
+// Events per feed unless `limit` asks for fewer (or more, up to the maximum)
+const EVENTS_FEED_DEFAULT_LIMIT = 50;
+const EVENTS_FEED_MAX_LIMIT = 200;
+
+// Approved upcoming events in start order, one entry per occurrence of a series, as JSON (the default), RSS or
+// Atom. Used by partner sites and the embed widget:
+// GET /eventsFeed?app=<appId>&format=rss&focus=Black,Trans&accessibility=wheelchair&limit=20
+// GET /eventsFeed?app=<appId>&organizer=<organizerId>
+export const eventsFeed = onRequest({ cors: true }, async (req, res) => {
+    const appId = parseAppId(req.query.app);
+    const format = EVENTS_FEED_FORMATS[req.query.format] ? req.query.format : 'json';
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = requestedLimit > 0 ? Math.min(requestedLimit, EVENTS_FEED_MAX_LIMIT) : EVENTS_FEED_DEFAULT_LIMIT;
+
+    try {
+        const now = new Date();
+        const [snapshot, taxonomy] = await Promise.all([
+            db.collection(`artifacts/${appId}/public/data/events`)
+                .where('status', '==', 'approved')
+                .where('endsAt', '>=', Timestamp.fromDate(startOfToday()))
+                .get(),
+            loadTaxonomy(appId),
+        ]);
+
+        const filters = readFilterParams(getQueryParams(req), taxonomy);
+        const windowEnd = zonedTimeToDate(addDaysToKey(toDateKey(now), RECURRENCE_WINDOW_DAYS));
+        const upcoming = listUpcomingEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), { now, windowEnd });
+        const events = applyEventFilters(upcoming, filters).slice(0, limit);
+
+        const { contentType, build } = EVENTS_FEED_FORMATS[format];
+        res.set('Content-Type', contentType);
+        res.set('Cache-Control', 'public, max-age=900');
+        res.send(build(events, {
+            title: getFeedName(filters, events),
+            siteUrl: SITE_URL.value(),
+            feedUrl: `https://${req.get('host')}${req.originalUrl}`,
+            now,
+        }));
+    } catch (error) {
+        console.error("Error building events feed:", error);
+        res.status(500).send('Could not build the events feed.');
+    }
+});
+
+// --- Submissions ---
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const invalid = (message) => new HttpsError('invalid-argument', message);
+
+const readText = (value, label, maxLength, { required = false } = {}) => {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw invalid(`${label} is required.`);
+        return '';
+    }
+    if (typeof value !== 'string' || value.length > maxLength) throw invalid(`${label} is invalid or too long.`);
+    return value.trim();
+};
+
+const readTimestamp = (value, label, { required = false } = {}) => {
+    if (value === undefined || value === null) {
+        if (required) throw invalid(`${label} is required.`);
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(`${label} is invalid.`);
+    return Timestamp.fromMillis(value);
+};
+
+const readRecurrence = (rule) => {
+    if (!rule) return null;
+    if (!isValidRecurrence(rule)) throw invalid('The repeat settings are invalid.');
+    return {
+        frequency: rule.frequency,
+        interval: rule.interval,
+        weekday: rule.weekday,
+        weekdayPosition: rule.weekdayPosition === undefined ? null : rule.weekdayPosition,
+        until: readTimestamp(rule.until, 'Repeat end date'),
+        exceptions: rule.exceptions,
+    };
+};
+
+// Download URLs of images uploaded to this app's eventImages folder (see storage.rules). The Storage
+// emulator serves them from localhost.
+const isEventImageUrl = (value, appId) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return false;
+    }
+    const isStorageHost = (url.protocol === 'https:' && url.hostname === 'firebasestorage.googleapis.com')
+        || (process.env.FUNCTIONS_EMULATOR === 'true' && ['localhost', '127.0.0.1'].includes(url.hostname));
+    return isStorageHost && url.pathname.includes(`/o/${encodeURIComponent(`artifacts/${appId}/eventImages/`)}`);
+};
+
+// Rebuilds a submitted event from the callable payload (dates as epoch milliseconds), keeping only
+// the fields a submitter may set and only the tags currently offered in `taxonomy`
+const readSubmittedEvent = (data, appId, taxonomy) => {
+    if (!data || typeof data !== 'object') throw invalid('Missing event.');
+
+    const date = readTimestamp(data.date, 'Start', { required: true });
+    const endDate = readTimestamp(data.endDate, 'End');
+    const endsAt = readTimestamp(data.endsAt, 'End', { required: true });
+    if ((endDate && endDate.toMillis() <= date.toMillis()) || endsAt.toMillis() < date.toMillis()) {
+        throw invalid('The event must end after it starts.');
+    }
+
+    const tags = Object.fromEntries(TAG_GROUPS.map(group => {
+        const labels = data[group.key] || [];
+        if (!Array.isArray(labels) || labels.length > 12
+            || !labels.every(label => typeof label === 'string' && label.length <= MAX_TAG_LENGTH && getActiveTags(taxonomy, group.key).includes(label))) {
+            throw invalid(`The ${group.label} tags are invalid. Please reload the page and pick them again.`);
+        }
+        if (group.required && labels.length === 0) throw invalid(`Pick at least one ${group.label}.`);
+        return [group.key, labels];
+    }));
+
+    const details = Object.fromEntries(EVENT_DETAIL_FIELDS.map(field => {
+        const optionIds = field.options.map(option => option.id);
+        const value = data[field.key];
+        if (field.multiple) {
+            if (value && !(Array.isArray(value) && value.every(id => optionIds.includes(id)))) throw invalid(`The ${field.label} details are invalid.`);
+            return [field.key, [...new Set(value || [])]];
+        }
+        if (value && !optionIds.includes(value)) throw invalid(`The ${field.label} detail is invalid.`);
+        return [field.key, value || null];
+    }));
+
+    const coordinates = data.coordinates;
+    if (coordinates && (typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number'
+        || Math.abs(coordinates.lat) > 90 || Math.abs(coordinates.lng) > 180)) {
+        throw invalid('The map location is invalid.');
+    }
+
+    const imageUrl = readText(data.imageUrl, 'Image', 2000);
+    if (imageUrl && !isEventImageUrl(imageUrl, appId)) throw invalid('The image is invalid. Please upload it again.');
+
+    return {
+        title: readText(data.title, 'Title', 200, { required: true }),
+        description: readText(data.description, 'Description', 5000, { required: true }),
+        date,
+        endDate,
+        allDay: data.allDay === true,
+        timeZone: readText(data.timeZone, 'Time zone', 60) || 'America/Chicago',
+        location: readText(data.location, 'Location', 300, { required: true }),
+        coordinates: coordinates ? new GeoPoint(coordinates.lat, coordinates.lng) : null,
+        // 'on-request': `location` is only a neighborhood; the submitter saves the address privately
+        locationPrivacy: data.locationPrivacy === 'on-request' ? 'on-request' : null,
+        eventLink: readText(data.eventLink, 'Event link', 2000),
+        imageUrl,
+        imageAlt: imageUrl ? readText(data.imageAlt, 'Image description', 300) : '',
+        type: data.type === 'Remote' ? 'Remote' : 'In-Person',
+        ...tags,
+        ...details,
+        recurrence: readRecurrence(data.recurrence),
+        endsAt,
+    };
+};
+
+// Extra blocklist entries moderators maintain in artifacts/{appId}/private/data/config/screening:
+// { blockedDomains: [], flaggedDomains: [], flaggedTerms: [] }
+const loadScreeningConfig = async (appId) => {
+    const snapshot = await db.doc(`artifacts/${appId}/private/data/config/screening`).get();
+    return snapshot.exists ? snapshot.data() : {};
+};
+
+// Tag groups moderators manage in the public taxonomy config (functions/taxonomy.js)
+const loadTaxonomy = async (appId) => {
+    const snapshot = await db.doc(`artifacts/${appId}/public/data/config/taxonomy`).get();
+    return normalizeTaxonomy(snapshot.exists ? snapshot.data() : null);
+};
+
+// Hashed caller IP, so rate limits and report counts can tell networks apart without storing addresses
+const getNetworkKey = (appId, request) => createHash('sha256').update(`${appId}:${request.rawRequest.ip}`).digest('hex').slice(0, 32);
+
+// The submitter's own organizer profile named by `organizerId` (see firestore.rules), or null when the event has none
+const loadOwnOrganizer = async (appId, organizerId, uid) => {
+    if (organizerId === undefined || organizerId === null || organizerId === '') return null;
+    if (typeof organizerId !== 'string' || !/^[\w-]+$/.test(organizerId)) throw invalid('The organizer is invalid.');
+    const snapshot = await db.doc(`artifacts/${appId}/public/data/organizers/${organizerId}`).get();
+    if (!snapshot.exists || snapshot.data().ownerId !== uid) {
+        throw invalid('You can only host events as an organizer you manage. Please pick it again.');
+    }
+    return { id: snapshot.id, ...snapshot.data() };
+};
+
+// Live and pending events that look like the same event as `fields`. Only approved matches are described,
+// with what the submission form shows about them; a pending match just sets `awaitingReview`, so the check
+// can't be used to read other people's submissions: { duplicates: [{ event, reasons }], awaitingReview }
+const findSubmittedDuplicates = async (appId, fields) => {
+    const dayStart = zonedTimeToDate(toDateKey(fields.date.toDate()));
+    const snapshot = await db.collection(`artifacts/${appId}/public/data/events`)
+        .where('status', 'in', ['approved', 'pending'])
+        .where('endsAt', '>=', Timestamp.fromDate(dayStart))
+        .select('title', 'date', 'endDate', 'allDay', 'location', 'coordinates', 'type', 'eventLink', 'recurrence', 'status')
+        .get();
+    const events = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const matches = findLikelyDuplicates(fields, events);
+    return {
+        duplicates: matches.filter(({ event }) => event.status === 'approved').map(({ event, reasons }) => ({
+            event: {
+                id: event.id,
+                title: event.title,
+                date: event.date.toMillis(),
+                endDate: event.endDate ? event.endDate.toMillis() : null,
+                allDay: event.allDay === true,
+                location: event.location,
+                status: event.status,
+            },
+            reasons,
+        })),
+        awaitingReview: matches.some(({ event }) => event.status === 'pending'),
+    };
+};
+
+// Recent submission times (epoch ms) kept on a rate-limit document, dropping anything older than a day
+const recentSubmissions = (snapshot, now) => (snapshot.exists ? snapshot.data().submittedAt || [] : [])
+    .map(time => time.toMillis())
+    .filter(ms => now - ms < DAY_MS);
+
+// Counts a submission against the user's and the network's SUBMISSION_LIMITS within `transaction`,
+// or throws resource-exhausted when either is used up. Returns the time it was counted at.
+const countSubmission = async (transaction, userLimitRef, networkLimitRef) => {
+    const [userLimit, networkLimit] = await transaction.getAll(userLimitRef, networkLimitRef);
+    const now = Date.now();
+    const userTimes = recentSubmissions(userLimit, now);
+    const networkTimes = recentSubmissions(networkLimit, now);
+
+    if (userTimes.filter(ms => now - ms < HOUR_MS).length >= SUBMISSION_LIMITS.perUserPerHour
+        || userTimes.length >= SUBMISSION_LIMITS.perUserPerDay
+        || networkTimes.length >= SUBMISSION_LIMITS.perNetworkPerDay) {
+        throw new HttpsError('resource-exhausted', "You've shared a lot of events recently. Please try again later.");
+    }
+
+    const submittedAt = Timestamp.fromMillis(now);
+    transaction.set(userLimitRef, { submittedAt: [...userTimes.map(Timestamp.fromMillis), submittedAt] });
+    transaction.set(networkLimitRef, { submittedAt: [...networkTimes.map(Timestamp.fromMillis), submittedAt] });
+    return submittedAt;
+};
+
+// Public event submission. Security rules only let moderators write events directly, so every
+// anonymous or signed-in submission passes the honeypot, rate limits and content screening here.
+// Events hosted by a trusted organizer are approved straight away unless screening flags them.
+// Likely duplicates of live or pending events are sent back for the submitter to confirm (allowDuplicates)
+// before anything is saved. The check counts against the rate limits like a submission, so a submission
+// that's confirmed after a warning counts twice.
+// Payload: { appId, event, honeypot, fillMs, allowDuplicates }.
+// Returns { id, status } or { id: null, status: null, duplicates, awaitingReview }.
+export const submitEvent = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please wait for sign-in to finish and try again.');
+
+    const { event, honeypot, fillMs, allowDuplicates } = request.data || {};
+    const appId = parseAppId(request.data && request.data.appId);
+
+    // Bots fill the hidden field or submit instantly. Pretend it worked so they don't adapt.
+    if (honeypot || typeof fillMs !== 'number' || fillMs < MIN_FORM_FILL_MS) {
+        console.warn(`Dropped a likely automated submission from ${request.auth.uid}`);
+        return { id: null, status: 'pending' };
+    }
+
+    const uid = request.auth.uid;
+    const fields = readSubmittedEvent(event, appId, await loadTaxonomy(appId));
+    const { errors, flags } = screenEventFields(fields, await loadScreeningConfig(appId));
+    if (errors.length > 0) throw invalid(errors[0]);
+    const organizer = await loadOwnOrganizer(appId, event.organizerId, uid);
+
+    const networkKey = getNetworkKey(appId, request);
+    const limitsPath = `artifacts/${appId}/private/data/submissionLimits`;
+    const userLimitRef = db.doc(`${limitsPath}/user_${uid}`);
+    const networkLimitRef = db.doc(`${limitsPath}/network_${networkKey}`);
+    // Counted before looking, so repeated checks can't be used to probe for other people's submissions
+    let checkedAt = null;
+    if (allowDuplicates !== true) {
+        checkedAt = await db.runTransaction(transaction => countSubmission(transaction, userLimitRef, networkLimitRef));
+        const { duplicates, awaitingReview } = await findSubmittedDuplicates(appId, fields);
+        if (duplicates.length > 0 || awaitingReview) return { id: null, status: null, duplicates, awaitingReview };
+    }
+
+    const eventRef = db.collection(`artifacts/${appId}/public/data/events`).doc();
+    const logRef = db.collection(`artifacts/${appId}/public/data/moderationLog`).doc();
+    const autoApproved = flags.length === 0 && Boolean(organizer && organizer.trusted);
+    const status = flags.length > 0 ? 'flagged' : autoApproved ? 'approved' : 'pending';
+
+    await db.runTransaction(async (transaction) => {
+        // A check that found nothing already counted this submission
+        const submittedAt = checkedAt || await countSubmission(transaction, userLimitRef, networkLimitRef);
+        transaction.set(eventRef, {
+            ...fields,
+            organizerId: organizer ? organizer.id : null,
+            organizerName: organizer ? organizer.name : null,
+            status,
+            flags,
+            submittedBy: uid,
+            submittedAt,
+        });
+        if (autoApproved) {
+            transaction.set(logRef, {
+                eventId: eventRef.id,
+                eventTitle: fields.title,
+                action: 'autoApprove',
+                reason: `Hosted by trusted organizer ${organizer.name}`,
+                previousStatus: null,
+                previousReason: '',
+                newStatus: 'approved',
+                moderatorId: 'system',
+                moderatorEmail: 'Automatic (trusted organizer)',
+                at: FieldValue.serverTimestamp(),
+            });
+        }
+    });
+
+    return { id: eventRef.id, status };
+});
+
+// Submitters edit their own pending events directly (see firestore.rules), so resubmissions are
+// screened after the write: anything that fails goes to the flagged queue.
+export const screenEventEdits = onDocumentUpdated('artifacts/{appId}/public/data/events/{eventId}', async (change) => {
+    const before = change.data.before.data();
+    const after = change.data.after.data();
+    const resubmitted = after.status === 'pending' && after.updatedAt
+        && !(before.updatedAt && before.updatedAt.isEqual(after.updatedAt));
+    if (!resubmitted) return;
+
+    const { errors, flags } = screenEventFields(after, await loadScreeningConfig(change.params.appId));
+    const allFlags = [...errors, ...flags];
+    if (allFlags.length > 0) {
+        await change.data.after.ref.update({ status: 'flagged', flags: allFlags });
+    } else if (after.flags && after.flags.length > 0) {
+        await change.data.after.ref.update({ flags: [] });
+    }
+});
+
+// Same screening for proposed changes to live events
+export const screenEventRevisions = onDocumentWritten('artifacts/{appId}/public/data/eventRevisions/{eventId}', async (change) => {
+    if (!change.data.after.exists) return;
+    const revision = change.data.after.data();
+    if (revision.status !== 'pending') return;
+
+    const { errors, flags } = screenEventFields(revision.changes, await loadScreeningConfig(change.params.appId));
+    const allFlags = [...errors, ...flags];
+    if (allFlags.length > 0) {
+        await change.data.after.ref.update({ status: 'flagged', flags: allFlags });
+    }
+});
+
+// --- Organizers ---
+
+const ORGANIZER_SYNC_BATCH_SIZE = 400;
+
+// Events keep a copy of their organizer's name for cards and feeds. Renaming an organizer updates its events and
+// waiting revisions; deleting one (moderators only) detaches them.
+export const syncOrganizerName = onDocumentWritten('artifacts/{appId}/public/data/organizers/{organizerId}', async (change) => {
+    const { appId, organizerId } = change.params;
+    const before = change.data.before.exists ? change.data.before.data() : null;
+    const after = change.data.after.exists ? change.data.after.data() : null;
+    if (!before || (after && after.name === before.name)) return;
+
+    const eventChanges = after ? { organizerName: after.name } : { organizerId: null, organizerName: null };
+    const revisionChanges = after
+        ? { 'changes.organizerName': after.name }
+        : { 'changes.organizerId': null, 'changes.organizerName': null };
+    const [events, revisions] = await Promise.all([
+        db.collection(`artifacts/${appId}/public/data/events`).where('organizerId', '==', organizerId).get(),
+        db.collection(`artifacts/${appId}/public/data/eventRevisions`).where('changes.organizerId', '==', organizerId).get(),
+    ]);
+    const updates = [
+        ...events.docs.map(doc => [doc.ref, eventChanges]),
+        ...revisions.docs.map(doc => [doc.ref, revisionChanges]),
+    ];
+    for (let i = 0; i < updates.length; i += ORGANIZER_SYNC_BATCH_SIZE) {
+        const batch = db.batch();
+        updates.slice(i, i + ORGANIZER_SYNC_BATCH_SIZE).forEach(([ref, changes]) => batch.update(ref, changes));
+        await batch.commit();
+    }
+});
+
+// --- Reports ---
+
+// Reports an approved event: { appId, eventId, reason, details }. Each user has one report per event
+// (reporting again updates it). Reports from the same network count once towards the hide threshold,
+// so one person with many anonymous sign-ins can't take a listing down alone.
+export const reportEvent = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please wait for sign-in to finish and try again.');
+
+    const { eventId, reason, details } = request.data || {};
+    const appId = parseAppId(request.data && request.data.appId);
+    if (typeof eventId !== 'string' || !/^[\w-]+$/.test(eventId)) throw invalid('Unknown event.');
+    if (!REPORT_REASONS.some(option => option.id === reason)) throw invalid('Pick a reason for the report.');
+    const detailText = readText(details, 'Details', 1000);
+
+    const uid = request.auth.uid;
+    const eventRef = db.doc(`artifacts/${appId}/public/data/events/${eventId}`);
+    const reportRef = eventRef.collection('reports').doc(uid);
+    const logRef = db.collection(`artifacts/${appId}/public/data/moderationLog`).doc();
+    const networkKey = getNetworkKey(appId, request);
+    const threshold = REPORT_HIDE_THRESHOLD.value();
+
+    return db.runTransaction(async (transaction) => {
+        const eventSnapshot = await transaction.get(eventRef);
+        if (!eventSnapshot.exists || !['approved', 'reported'].includes(eventSnapshot.data().status)) {
+            throw new HttpsError('not-found', 'That event is no longer listed.');
+        }
+        const existingReport = await transaction.get(reportRef);
+        const openReports = await transaction.get(eventRef.collection('reports').where('status', '==', 'open'));
+
+        const otherReports = openReports.docs.filter(doc => doc.id !== uid).map(doc => doc.data());
+        const openReportCount = otherReports.length + 1;
+        const networks = new Set([...otherReports.map(report => report.networkKey), networkKey]);
+
+        transaction.set(reportRef, {
+            reporterId: uid,
+            reason,
+            details: detailText,
+            networkKey,
+            status: 'open',
+            createdAt: existingReport.exists ? existingReport.data().createdAt : FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        const event = eventSnapshot.data();
+        const eventUpdate = { openReportCount };
+        if (event.status === 'approved' && networks.size >= threshold) {
+            const hideReason = `Hidden automatically after reports from ${networks.size} people`;
+            Object.assign(eventUpdate, { status: 'reported', statusReason: hideReason });
+            transaction.set(logRef, {
+                eventId,
+                eventTitle: event.title,
+                action: 'autoHide',
+                reason: hideReason,
+                previousStatus: event.status,
+                previousReason: event.statusReason || '',
+                newStatus: 'reported',
+                moderatorId: 'system',
+                moderatorEmail: 'Automatic (reports)',
+                at: FieldValue.serverTimestamp(),
+            });
+        }
+        transaction.update(eventRef, eventUpdate);
+
+        return { alreadyReported: existingReport.exists && existingReport.data().status === 'open' };
+    });
+});
+
+// --- Saved Events ---
+
+const getSavedEventsPath = (appId, uid) => `artifacts/${appId}/users/${uid}/savedEvents`;
+
+// Saves or unsaves a listed event for the caller: { appId, eventId, interested }. Each user's saved events are
+// documents under users/{uid}/savedEvents, and the event's `interestCount` counts them. Both change in one
+// transaction, so simultaneous taps can't lose updates and saving twice counts once. Returns { interested }.
+export const setEventInterest = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Please wait for sign-in to finish and try again.');
+
+    const { eventId, interested } = request.data || {};
+    const appId = parseAppId(request.data && request.data.appId);
+    if (typeof eventId !== 'string' || !/^[\w-]+$/.test(eventId)) throw invalid('Unknown event.');
+    if (typeof interested !== 'boolean') throw invalid('Missing interested.');
+
+    const eventRef = db.doc(`artifacts/${appId}/public/data/events/${eventId}`);
+    const savedRef = db.doc(`${getSavedEventsPath(appId, request.auth.uid)}/${eventId}`);
+
+    return db.runTransaction(async (transaction) => {
+        const [eventSnapshot, savedSnapshot] = await transaction.getAll(eventRef, savedRef);
+        if (savedSnapshot.exists === interested) return { interested };
+
+        if (interested) {
+            if (!eventSnapshot.exists || eventSnapshot.data().status !== 'approved') {
+                throw new HttpsError('not-found', 'That event is no longer listed.');
+            }
+            transaction.set(savedRef, { eventId, savedAt: FieldValue.serverTimestamp() });
+        } else {
+            transaction.delete(savedRef);
+        }
+        // Removed events can still be unsaved; there's no count left to update
+        if (eventSnapshot.exists) transaction.update(eventRef, { interestCount: FieldValue.increment(interested ? 1 : -1) });
+        return { interested };
+    });
+});
+
+// Moves an anonymous user's saved events to the account they just signed in to: { appId, anonymousIdToken }, the
+// anonymous user's ID token from just before signing in, which proves the caller was that user. Creating an
+// account instead links it to the anonymous user, keeping the same uid and saved events. Events saved on both
+// are counted once. Returns { moved }.
+export const transferSavedEvents = onCall(async (request) => {
+    if (!request.auth || request.auth.token.firebase.sign_in_provider === 'anonymous') {
+        throw new HttpsError('unauthenticated', 'Please sign in first.');
+    }
+
+    const { anonymousIdToken } = request.data || {};
+    const appId = parseAppId(request.data && request.data.appId);
+    let anonymousToken;
+    try {
+        anonymousToken = await getAuth().verifyIdToken(String(anonymousIdToken || ''));
+    } catch {
+        throw invalid('Your saved events could not be moved. Please save them again.');
+    }
+    if (anonymousToken.firebase.sign_in_provider !== 'anonymous') throw invalid('Only anonymous saved events can be moved.');
+
+    const uid = request.auth.uid;
+    if (anonymousToken.uid === uid) return { moved: 0 };
+
+    const saved = await db.collection(getSavedEventsPath(appId, anonymousToken.uid)).get();
+    let moved = 0;
+    // One transaction per event keeps each count right even while other people save or unsave it. The saved
+    // event is read again inside it: a retried or concurrent call may have moved it (or the visitor unsaved
+    // it) since the query, and its interest must not be counted twice.
+    for (const savedDoc of saved.docs) {
+        const targetRef = db.doc(`${getSavedEventsPath(appId, uid)}/${savedDoc.id}`);
+        const eventRef = db.doc(`artifacts/${appId}/public/data/events/${savedDoc.id}`);
+        const wasMoved = await db.runTransaction(async (transaction) => {
+            const [source, target, eventSnapshot] = await transaction.getAll(savedDoc.ref, targetRef, eventRef);
+            if (!source.exists) return false;
+            transaction.delete(savedDoc.ref);
+            if (!target.exists) {
+                transaction.set(targetRef, source.data());
+                return true;
+            }
+            if (eventSnapshot.exists) transaction.update(eventRef, { interestCount: FieldValue.increment(-1) });
+            return false;
+        });
+        if (wasMoved) moved += 1;
+    }
+    return { moved };
+});
@@ -0,0 +1,325 @@
+// Which events a listing shows, shared by the web app (upcoming listing, archive, embed widget) and the
+// eventsFeed and calendarFeed functions so every view of the directory filters the same way.
+// Dependency-free so it runs in both the browser and Node. Accepts Firestore Timestamps, Dates or ISO strings.
+import { TAG_GROUPS, EVENT_DETAIL_FIELDS, getActiveTags, matchTags } from './taxonomy.js';
+
+// --- Date & Time Zone Helpers ---
+// Events are entered and displayed in Houston time regardless of the viewer's device zone.
+// `date` holds the start instant and `endDate` the end instant (exclusive midnight for all-day events).
+export const EVENT_TIME_ZONE = 'America/Chicago';
+
+export const pad2 = (n) => String(n).padStart(2, '0');
+
+// Firestore Timestamps (browser or Admin SDK), Dates and ISO strings alike
+export const toJsDate = (value) => value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+
+const zonedPartsFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: EVENT_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+});
+
+// Wall-clock parts of an instant in Houston time
+export const getZonedParts = (date) => {
+    const parts = {};
+    zonedPartsFormatter.formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Milliseconds Houston time is ahead of UTC at the given instant (negative: -5h in CDT, -6h in CST)
+const getTimeZoneOffset = (date) => {
+    const p = getZonedParts(date);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Converts a Houston wall time ('YYYY-MM-DD', 'HH:MM') to the instant it represents
+export const zonedTimeToDate = (dateString, timeString = '00:00') => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = timeString.split(':').map(Number);
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(asUTC));
+    const result = asUTC - offset;
+    // Re-check across DST transitions, where the offset at the guess differs from the offset at the result
+    const correctedOffset = getTimeZoneOffset(new Date(result));
+    return new Date(correctedOffset === offset ? result : asUTC - correctedOffset);
+};
+
+// 'YYYY-MM-DD' of an instant in Houston time, used to identify a single day/occurrence
+export const toDateKey = (date) => {
+    const p = getZonedParts(date);
+    return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+};
+
+// 'HH:MM' of an instant in Houston time
+export const toTimeKey = (date) => {
+    const p = getZonedParts(date);
+    return `${pad2(p.hour)}:${pad2(p.minute)}`;
+};
+
+// Calendar arithmetic on 'YYYY-MM-DD' keys (done in UTC so DST never shifts the day)
+export const addDaysToKey = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+};
+
+export const getKeyWeekday = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Start of today in Houston time
+export const startOfToday = () => zonedTimeToDate(toDateKey(new Date()));
+
+export const getEventStart = (event) => event.date ? toJsDate(event.date) : null;
+
+// Events without an end (older submissions) are treated as lasting until the end of their start day
+export const getEventEnd = (event) => {
+    if (event.endDate) return toJsDate(event.endDate);
+    const start = getEventStart(event);
+    return start ? zonedTimeToDate(addDaysToKey(toDateKey(start), 1)) : null;
+};
+
+// --- Recurrence ---
+// A recurring event stores one `recurrence` rule on its document:
+// { frequency: 'weekly' | 'monthly', interval, weekday, weekdayPosition, until, exceptions: ['YYYY-MM-DD'] }
+// Listings expand the rule into individual occurrences, whose `date` and `endDate` are Dates.
+
+// How far ahead recurring events are expanded in the listing
+export const RECURRENCE_WINDOW_DAYS = 90;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether a submitted rule has the shape above, `until` aside. Monthly rules need the weekday's position
+// in the month (-1 = last); weekly ones must leave it null.
+export const isValidRecurrence = (rule) => {
+    const weekdayPosition = rule.weekdayPosition === undefined ? null : rule.weekdayPosition;
+    return ['weekly', 'monthly'].includes(rule.frequency)
+        && Number.isInteger(rule.interval) && rule.interval >= 1 && rule.interval <= 12
+        && Number.isInteger(rule.weekday) && rule.weekday >= 0 && rule.weekday <= 6
+        && (rule.frequency === 'monthly' ? [-1, 1, 2, 3, 4].includes(weekdayPosition) : weekdayPosition === null)
+        && Array.isArray(rule.exceptions) && rule.exceptions.length <= 100
+        && rule.exceptions.every(key => typeof key === 'string' && DATE_KEY_PATTERN.test(key));
+};
+
+// Key of the nth weekday in a month (monthIndex is 0-based, position -1 = last)
+const nthWeekdayOfMonth = (year, monthIndex, weekday, position) => {
+    if (position === -1) {
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0));
+        lastDay.setUTCDate(lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+        return `${lastDay.getUTCFullYear()}-${pad2(lastDay.getUTCMonth() + 1)}-${pad2(lastDay.getUTCDate())}`;
+    }
+    const firstDay = new Date(Date.UTC(year, monthIndex, 1));
+    const day = 1 + ((weekday - firstDay.getUTCDay() + 7) % 7) + (position - 1) * 7;
+    return `${year}-${pad2(monthIndex + 1)}-${pad2(day)}`;
+};
+
+// Expands an event into the occurrences that overlap [windowStart, windowEnd].
+// Non-recurring events are returned unchanged.
+export const expandRecurrence = (event, windowStart, windowEnd) => {
+    const rule = event.recurrence;
+    if (!rule || !event.date) return [event];
+
+    const start = getEventStart(event);
+    const startKey = toDateKey(start);
+    const startTime = toTimeKey(start);
+    const durationMs = getEventEnd(event) - start;
+    const untilKey = rule.until ? toDateKey(toJsDate(rule.until)) : null;
+    const windowEndKey = toDateKey(windowEnd);
+    const lastKey = untilKey && untilKey < windowEndKey ? untilKey : windowEndKey;
+    const exceptions = rule.exceptions || [];
+    const interval = rule.interval || 1;
+    const occurrences = [];
+
+    const addOccurrence = (dateKey) => {
+        if (dateKey < startKey || dateKey > lastKey || exceptions.includes(dateKey)) return;
+        const occurrenceStart = event.allDay ? zonedTimeToDate(dateKey) : zonedTimeToDate(dateKey, startTime);
+        const occurrenceEnd = new Date(occurrenceStart.getTime() + durationMs);
+        if (occurrenceEnd <= windowStart) return;
+        occurrences.push({
+            ...event,
+            id: `${event.id}_${dateKey}`,
+            seriesId: event.id,
+            occurrenceDate: dateKey,
+            date: occurrenceStart,
+            endDate: event.endDate ? occurrenceEnd : null,
+        });
+    };
+
+    if (rule.frequency === 'weekly') {
+        const stepDays = 7 * interval;
+        let currentKey = startKey;
+        // Skip whole steps up to the window so long-running series stay cheap
+        const windowStartKey = toDateKey(windowStart);
+        if (currentKey < windowStartKey) {
+            const daysBehind = Math.floor((zonedTimeToDate(windowStartKey) - zonedTimeToDate(startKey)) / 86400000);
+            currentKey = addDaysToKey(currentKey, Math.max(0, Math.floor(daysBehind / stepDays) - 1) * stepDays);
+        }
+        while (currentKey <= lastKey) {
+            addOccurrence(currentKey);
+            currentKey = addDaysToKey(currentKey, stepDays);
+        }
+    } else if (rule.frequency === 'monthly') {
+        const [startYear, startMonth] = startKey.split('-').map(Number);
+        const [windowYear, windowMonth] = toDateKey(windowStart).split('-').map(Number);
+        const [lastYear, lastMonth] = lastKey.split('-').map(Number);
+        const firstMonthIndex = startYear * 12 + startMonth - 1;
+        const windowMonthIndex = windowYear * 12 + windowMonth - 2; // one month early for events spanning into the window
+        let monthIndex = firstMonthIndex;
+        if (windowMonthIndex > firstMonthIndex) {
+            monthIndex += Math.floor((windowMonthIndex - firstMonthIndex) / interval) * interval;
+        }
+        for (; monthIndex <= lastYear * 12 + lastMonth - 1; monthIndex += interval) {
+            addOccurrence(nthWeekdayOfMonth(Math.floor(monthIndex / 12), monthIndex % 12, rule.weekday, rule.weekdayPosition));
+        }
+    }
+
+    return occurrences;
+};
+
+// --- Distance ---
+
+// Great-circle distance in miles
+export const distanceInMiles = (a, b) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.asin(Math.sqrt(h));
+};
+
+// { lat, lng } from a stored GeoPoint (or plain object), or null
+export const getEventCoordinates = (event) => {
+    const point = event.coordinates;
+    if (!point) return null;
+    const lat = point.latitude !== undefined ? point.latitude : point.lat;
+    const lng = point.longitude !== undefined ? point.longitude : point.lng;
+    return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+};
+
+// --- Filters ---
+// Filters live in query strings (the listing's URL, feeds, the embed widget). Tag groups use their `feedParam`,
+// details their field key; lists are comma-separated. `organizer` is one organizer's id.
+
+export const EVENT_TYPES = ['All', 'In-Person', 'Remote'];
+export const SEARCH_PARAM = 'q';
+
+// Query parameters readFilterParams reads, apart from the search: tag groups, type, details and organizer
+export const FILTER_PARAMS = [...TAG_GROUPS.map(group => group.feedParam), 'type', ...EVENT_DETAIL_FIELDS.map(field => field.key), 'organizer'];
+
+const ORGANIZER_ID_PATTERN = /^[\w-]{1,128}$/;
+
+export const readListParam = (searchParams, name) => (searchParams.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+
+// Filters in the query string, ignoring unknown values and tags that have since been retired or renamed
+export const readFilterParams = (searchParams, taxonomy) => ({
+    selectedTags: Object.fromEntries(TAG_GROUPS.map(group => (
+        [group.key, matchTags(readListParam(searchParams, group.feedParam), getActiveTags(taxonomy, group.key))]
+    ))),
+    selectedDetails: Object.fromEntries(EVENT_DETAIL_FIELDS.map(field => {
+        const values = readListParam(searchParams, field.key);
+        return [field.key, field.options.map(option => option.id).filter(id => values.includes(id))];
+    })),
+    selectedType: EVENT_TYPES.includes(searchParams.get('type')) ? searchParams.get('type') : 'All',
+    selectedOrganizer: ORGANIZER_ID_PATTERN.test(searchParams.get('organizer') || '') ? searchParams.get('organizer') : null,
+    searchText: searchParams.get(SEARCH_PARAM) || '',
+});
+
+// Sets `searchParams` to the given filters (as readFilterParams returns them), leaving out empty ones
+export const writeFilterParams = (searchParams, { selectedType, selectedTags, selectedDetails, selectedOrganizer = null }) => {
+    TAG_GROUPS.forEach(group => {
+        if (selectedTags[group.key].length > 0) searchParams.set(group.feedParam, selectedTags[group.key].join(','));
+    });
+    if (selectedType !== 'All') searchParams.set('type', selectedType);
+    EVENT_DETAIL_FIELDS.forEach(field => {
+        if (selectedDetails[field.key].length > 0) searchParams.set(field.key, selectedDetails[field.key].join(','));
+    });
+    if (selectedOrganizer) searchParams.set('organizer', selectedOrganizer);
+    return searchParams;
+};
+
+// Filters shared by every listing. `selectedType`, `selectedTags`, `selectedDetails` and `selectedOrganizer` are as
+// readFilterParams returns them. `searchResults` is a Set of matching event ids (null when there's no search);
+// occurrences match via their series.
+// `dateBounds` ({ start, end }, either may be null) keeps events overlapping that span.
+// `nearby` ({ lat, lng, radiusMiles }) keeps mapped events within that distance.
+export const applyEventFilters = (events, { selectedType, selectedTags, selectedDetails, selectedOrganizer = null, searchResults = null, dateBounds = null, nearby = null }) => {
+    let currentEvents = events;
+
+    // Filter by Date Range
+    if (dateBounds) {
+        currentEvents = currentEvents.filter(event => (
+            (!dateBounds.end || getEventStart(event) < dateBounds.end) &&
+            (!dateBounds.start || getEventEnd(event) > dateBounds.start)
+        ));
+    }
+
+    // Filter by Keyword Search
+    if (searchResults) {
+        currentEvents = currentEvents.filter(event => searchResults.has(event.seriesId || event.id));
+    }
+
+    // Filter by Distance
+    if (nearby) {
+        currentEvents = currentEvents.filter(event => {
+            const coordinates = getEventCoordinates(event);
+            return coordinates && distanceInMiles(nearby, coordinates) <= nearby.radiusMiles;
+        });
+    }
+
+    // Filter by Event Type
+    if (selectedType !== 'All') {
+        currentEvents = currentEvents.filter(event => event.type === selectedType);
+    }
+
+    // Filter by Organizer
+    if (selectedOrganizer) {
+        currentEvents = currentEvents.filter(event => event.organizerId === selectedOrganizer);
+    }
+
+    // Filter by Tags: any selected tag within a group, every group with a selection
+    TAG_GROUPS.forEach(({ key }) => {
+        const selected = selectedTags[key];
+        if (selected.length > 0) {
+            currentEvents = currentEvents.filter(event => 
+                event[key] && selected.some(tag => event[key].includes(tag))
+            );
+        }
+    });
+
+    // Filter by Details: every selected accessibility option, any selected cost or age
+    EVENT_DETAIL_FIELDS.forEach(({ key, multiple }) => {
+        const selected = selectedDetails[key];
+        if (selected.length > 0) {
+            currentEvents = currentEvents.filter(event => (multiple
+                ? selected.every(id => (event[key] || []).includes(id))
+                : selected.includes(event[key])
+            ));
+        }
+    });
+
+    return currentEvents;
+};
+
+// Upcoming events in start order: series expanded into their occurrences up to `windowEnd`, and anything
+// that has already ended by `now` left out
+export const listUpcomingEvents = (events, { now = new Date(), windowEnd }) => events
+    .flatMap(event => expandRecurrence(event, startOfToday(), windowEnd))
+    .filter(event => getEventEnd(event) > now)
+    .sort((a, b) => (getEventStart(a) || 0) - (getEventStart(b) || 0));
+
+// Detail page path for an event; occurrences link to their series with the date picked out
+export const getEventPath = (event) => (event.seriesId
+    ? `/events/${event.seriesId}?date=${event.occurrenceDate}`
+    : `/events/${event.id}`
+);
+
+// Page path for an organizer's profile and events
+export const getOrganizerPath = (organizerId) => `/organizers/${organizerId}`;
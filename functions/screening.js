@@ -0,0 +1,127 @@
+// Anti-spam and abuse screening for submitted events, shared by the browser (instant feedback on links)
+// and the submitEvent function (enforcement). Kept dependency-free so both can import it.
+
+// Submissions allowed per signed-in user, and per network (hashed IP address). The network limit is
+// generous because many people can share one address, e.g. a community center's Wi-Fi.
+export const SUBMISSION_LIMITS = {
+    perUserPerHour: 3,
+    perUserPerDay: 10,
+    perNetworkPerDay: 25,
+};
+
+// Submissions completed faster than this are almost certainly scripted
+export const MIN_FORM_FILL_MS = 4000;
+
+// Link hosts that are never allowed: IP loggers used to unmask people who click through
+export const BLOCKED_LINK_DOMAINS = [
+    'grabify.link', 'iplogger.org', 'iplogger.com', 'iplogger.ru', '2no.co', 'yip.su', 'blasze.com', 'ps3cfw.com',
+];
+
+// Shorteners hide where a link really goes, so they're allowed but sent to moderators
+export const FLAGGED_LINK_DOMAINS = [
+    'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'cutt.ly', 'rebrand.ly', 'shorturl.at',
+];
+
+// Slurs and harassment phrases aimed at LGBTQ+ people. A match sends the submission to the flagged
+// queue instead of rejecting it: reclaimed words turn up in genuine community event names.
+export const FLAGGED_TERMS = [
+    'tranny', 'trannies', 'troon', 'troons', 'shemale', 'shemales', 'faggot', 'faggots', 'fag', 'fags',
+    'sodomite', 'sodomites', 'groomer', 'groomers', 'pedo', 'pedos', 'pedophile', 'pedophiles',
+    'degenerates', 'abomination', 'repent', 'burn in hell', 'god hates', 'kill yourself', 'kill yourselves', 'kys',
+];
+
+// More links than this in a description looks like link spam
+const MAX_DESCRIPTION_LINKS = 3;
+
+const SCREENED_TEXT_FIELDS = [
+    { key: 'title', label: 'title' },
+    { key: 'description', label: 'description' },
+    { key: 'location', label: 'location' },
+    { key: 'imageAlt', label: 'image description' },
+];
+
+const LOOKALIKE_CHARACTERS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+// Lowercase words only: accents removed, look-alike digits and symbols mapped to letters, spaced-out
+// letters joined ("t r a n s" -> "trans") and repeated letters collapsed ("faaag" -> "fag")
+const normalizeForScreening = (text) => ` ${String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (c) => LOOKALIKE_CHARACTERS[c])
+    .replace(/[^a-z]+/g, ' ')
+    .replace(/\b(?:[a-z] ){2,}[a-z]\b/g, (letters) => letters.replace(/ /g, ''))
+    .replace(/(.)\1+/g, '$1')
+    .trim()} `;
+
+const hostMatches = (hostname, domains) => domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+// { error } for links that can't be accepted, { flag } for links a moderator should check, {} otherwise
+export const checkEventLink = (link, { blockedDomains = [], flaggedDomains = [] } = {}) => {
+    if (!link) return {};
+
+    let url;
+    try {
+        url = new URL(link);
+    } catch {
+        return { error: 'The event link must be a full web address, like https://example.com/event.' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return { error: 'The event link must start with https:// or http://.' };
+    }
+    if (url.username || url.password) {
+        return { error: 'The event link must not contain a username or password.' };
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (hostMatches(hostname, [...BLOCKED_LINK_DOMAINS, ...blockedDomains])) {
+        return { error: "Links to that website aren't allowed. Please link to the event page itself." };
+    }
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname) || hostname.startsWith('[')) {
+        return { flag: 'Event link points to a bare IP address' };
+    }
+    if (!hostname.includes('.')) {
+        return { error: 'The event link must be a full web address, like https://example.com/event.' };
+    }
+    if (hostMatches(hostname, [...FLAGGED_LINK_DOMAINS, ...flaggedDomains])) {
+        return { flag: `Event link uses a link shortener (${hostname})` };
+    }
+    return {};
+};
+
+// Screens an event's fields. `errors` must block the submission; `flags` send it to the flagged queue.
+// `config` adds to the built-in lists: { blockedDomains, flaggedDomains, flaggedTerms }.
+export const screenEventFields = (fields, config = {}) => {
+    const errors = [];
+    const flags = [];
+
+    const linkCheck = checkEventLink(fields.eventLink, config);
+    if (linkCheck.error) errors.push(linkCheck.error);
+    if (linkCheck.flag) flags.push(linkCheck.flag);
+
+    const terms = [...FLAGGED_TERMS, ...(config.flaggedTerms || [])]
+        .map(term => ({ term, normalized: normalizeForScreening(term) }))
+        .filter(({ normalized }) => normalized.trim());
+    SCREENED_TEXT_FIELDS.forEach(({ key, label }) => {
+        const text = normalizeForScreening(fields[key]);
+        const matched = terms.find(({ normalized }) => text.includes(normalized));
+        if (matched) flags.push(`Possible hate speech in the ${label} ("${matched.term}")`);
+    });
+
+    const descriptionLinks = String(fields.description || '').match(/https?:\/\//gi) || [];
+    if (descriptionLinks.length > MAX_DESCRIPTION_LINKS) {
+        flags.push(`Description contains ${descriptionLinks.length} links`);
+    }
+
+    return { errors, flags };
+};
+
+// Reasons people can give when reporting a listed event
+export const REPORT_REASONS = [
+    { id: 'cancelled', label: 'Cancelled or no longer happening' },
+    { id: 'wrong-details', label: 'Wrong date, time or place' },
+    { id: 'unsafe', label: 'Unsafe for attendees' },
+    { id: 'hateful', label: 'Hateful or bad-faith listing' },
+    { id: 'spam', label: 'Spam or scam' },
+    { id: 'other', label: 'Something else' },
+];
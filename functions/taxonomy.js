@@ -0,0 +1,84 @@
+// Tag groups events are labelled and filtered by, shared by the browser and the functions. Each group is
+// stored on events as an array of tag labels in the field named by `key` (firestore.rules must list that
+// field as submitter-editable). Moderators manage each group's tags in
+// artifacts/{appId}/public/data/config/taxonomy as { groups: { [key]: [{ label, retired }] } }, in display
+// order; `defaultTags` apply until that document exists.
+export const TAG_GROUPS = [
+    {
+        key: 'communityFocus',
+        label: 'Community Focus',
+        feedParam: 'focus',
+        required: true,
+        defaultTags: ['Trans', 'Nonbinary', 'LGBT+', 'AAPI', 'Black', 'Latinx'],
+    },
+    {
+        key: 'categories',
+        label: 'Category',
+        feedParam: 'category',
+        required: false,
+        defaultTags: ['Social', 'Support Group', 'Health', 'Activism', 'Nightlife'],
+    },
+];
+
+export const MAX_TAG_LENGTH = 40;
+
+// The taxonomy document's groups with defaults for any group it doesn't define: { [key]: [{ label, retired }] }
+export const normalizeTaxonomy = (data) => Object.fromEntries(TAG_GROUPS.map(group => {
+    const stored = data && data.groups && Array.isArray(data.groups[group.key]) ? data.groups[group.key] : null;
+    const tags = stored
+        ? stored.filter(tag => tag && typeof tag.label === 'string').map(tag => ({ label: tag.label, retired: tag.retired === true }))
+        : group.defaultTags.map(label => ({ label, retired: false }));
+    return [group.key, tags];
+}));
+
+// Labels that can still be picked for new events and filters, in order
+export const getActiveTags = (taxonomy, key) => taxonomy[key].filter(tag => !tag.retired).map(tag => tag.label);
+
+// The group's tags that appear in `values`, matched case-insensitively and spelled as the taxonomy has them
+export const matchTags = (values, labels) => labels.filter(label => (
+    values.some(value => String(value).trim().toLowerCase() === label.toLowerCase())
+));
+
+// Practical details organizers can add to an event, stored in the field named by `key`. Unlike tags these
+// are fixed: the app shows an icon for each option and filters on them. `multiple` fields hold an array of
+// option ids and filtering needs every selected one; the others hold one id (or null) and filtering
+// accepts any selected one.
+export const EVENT_DETAIL_FIELDS = [
+    {
+        key: 'accessibility',
+        label: 'Accessibility',
+        multiple: true,
+        options: [
+            { id: 'wheelchair', label: 'Wheelchair accessible' },
+            { id: 'asl', label: 'ASL interpretation' },
+            { id: 'sober', label: 'Sober (alcohol-free)' },
+        ],
+    },
+    {
+        key: 'cost',
+        label: 'Cost',
+        multiple: false,
+        options: [
+            { id: 'free', label: 'Free' },
+            { id: 'sliding-scale', label: 'Sliding scale' },
+            { id: 'paid', label: 'Paid' },
+        ],
+    },
+    {
+        key: 'ageRestriction',
+        label: 'Age',
+        multiple: false,
+        options: [
+            { id: 'all-ages', label: 'All ages' },
+            { id: '18+', label: '18+' },
+            { id: '21+', label: '21+' },
+        ],
+    },
+];
+
+// Label of a detail option id, or the id itself if it's no longer an option
+export const getDetailLabel = (key, id) => {
+    const field = EVENT_DETAIL_FIELDS.find(f => f.key === key);
+    const option = field && field.options.find(o => o.id === id);
+    return option ? option.label : id;
+};
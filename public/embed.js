@@ -0,0 +1,29 @@
+// Shows the event widget (/embed) on another site, in place of the script tag:
+//
+//   <script src="https://<this site>/embed.js" data-focus="Black,Trans" data-accent="#db2777" async></script>
+//
+// Every data- attribute becomes a widget parameter: the listing's filters (data-focus, data-category, data-type,
+// data-accessibility, data-cost, data-age-restriction, and data-organizer with an organizer's id to show only
+// its events), data-limit, data-title and the data-accent, data-background and data-text colors. The iframe
+// grows to fit the events, so it never scrolls.
+(() => {
+    const script = document.currentScript;
+    if (!script) return;
+
+    const origin = new URL(script.src).origin;
+    const params = new URLSearchParams(Object.entries(script.dataset));
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `${origin}/embed?${params}`;
+    iframe.title = script.dataset.title || 'Houston LGBTQ+ community events';
+    iframe.loading = 'lazy';
+    iframe.style.cssText = 'display:block;width:100%;height:480px;border:0;';
+    script.replaceWith(iframe);
+
+    window.addEventListener('message', (event) => {
+        if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+        if (event.data && event.data.type === 'houston-community-hub:resize' && event.data.height > 0) {
+            iframe.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+    });
+})();
@@ -0,0 +1,88 @@
+// Service worker: keeps the app shell so the directory still opens without a connection. Pages and the
+// app's own files are fetched from the network first, so updates show up straight away, and the last
+// copy is served when that fails. Events come from Firestore's offline cache, not from here.
+const CACHE_NAME = 'houston-community-hub';
+const STATIC_FILES = ['/manifest.webmanifest', '/icon.svg'];
+
+const readAttribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+};
+
+// Same-origin scripts, stylesheets and module preloads a page loads, i.e. the build's hashed entry files
+const getPageAssets = (html) => [...html.matchAll(/<(script|link)\b[^>]*>/gi)]
+    .map(([tag, name]) => {
+        if (name.toLowerCase() === 'script') return readAttribute(tag, 'src');
+        const rel = (readAttribute(tag, 'rel') || '').toLowerCase();
+        return ['stylesheet', 'modulepreload'].includes(rel) ? readAttribute(tag, 'href') : null;
+    })
+    .filter(Boolean)
+    .map(url => new URL(url, self.location.origin))
+    .filter(url => url.origin === self.location.origin)
+    .map(url => url.pathname + url.search);
+
+const getCacheKey = (request) => {
+    const url = new URL(request.url);
+    return url.pathname + url.search;
+};
+
+// Caches a fresh copy of index.html as '/' along with every file it loads. When that brings in a new build,
+// files no longer used by the page (older hashed builds, chunks loaded later) are dropped, so the cache
+// doesn't grow with every deploy.
+const updateShell = async (pageResponse) => {
+    const assets = getPageAssets(await pageResponse.clone().text());
+    const cache = await caches.open(CACHE_NAME);
+    const missing = (await Promise.all(assets.map(async asset => ((await cache.match(asset)) ? null : asset)))).filter(Boolean);
+    await cache.addAll(missing);
+    await cache.put('/', pageResponse);
+    if (missing.length === 0) return;
+
+    const keep = new Set(['/', ...STATIC_FILES, ...assets]);
+    const cachedRequests = await cache.keys();
+    await Promise.all(cachedRequests.filter(request => !keep.has(getCacheKey(request))).map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        fetch('/', { cache: 'no-cache' })
+            .then((response) => {
+                if (!response.ok) throw new Error(`Couldn't load the app shell (status ${response.status})`);
+                return updateShell(response);
+            })
+            .then(() => caches.open(CACHE_NAME))
+            .then(cache => cache.addAll(STATIC_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops caches from earlier versions of this worker, e.g. 'houston-community-hub-v1'
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Firestore, Functions, map tiles and images in Cloud Storage are other origins with their own caching
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Every page is the same index.html (see "Shareable links" in the README), cached once as '/'
+    const isPage = request.mode === 'navigate';
+    const cacheKey = isPage ? '/' : request;
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    event.waitUntil(isPage
+                        ? updateShell(copy).catch(err => console.warn("Couldn't update the app shell:", err))
+                        : caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy)));
+                }
+                return response;
+            })
+            .catch(async () => (await caches.match(cacheKey)) || Response.error())
+    );
+});
@@ -1,10 +1,24 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './EventDirectory.jsx'; // This path MUST match the filename in the same folder (src/)
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import App, { EventWidget } from './EventDirectory.jsx'; // This path MUST match the filename in the same folder (src/)
 
 // This is the file that sets up React and mounts your application component
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <Routes>
+        {/* The embed widget (public/embed.js) renders without the rest of the app */}
+        <Route path="/embed" element={<EventWidget />} />
+        <Route path="*" element={<App />} />
+      </Routes>
+    </BrowserRouter>
   </React.StrictMode>,
 );
+
+// Caches the app shell so the directory opens offline (public/sw.js)
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => console.warn('Service worker registration failed:', e));
+  });
+}
@@ -0,0 +1,399 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { createLocalEventRepository, createSubmissionQueue } from '../eventRepository.js';
+
+// Just enough of the Web Storage API for the repository and the queue
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+// The first value a subscription delivers
+const firstDelivery = (subscribe) => new Promise((resolve, reject) => {
+    const unsubscribe = subscribe((value) => {
+        unsubscribe();
+        resolve(value);
+    }, reject);
+});
+
+const moderator = { uid: 'moderator-1', email: 'mod@example.org' };
+
+const eventFields = (overrides = {}) => ({
+    title: 'Queer Book Club',
+    description: 'Monthly book club at the library.',
+    date: new Date('2030-05-01T23:00:00Z'),
+    endDate: new Date('2030-05-02T01:00:00Z'),
+    type: 'In-Person',
+    location: 'Montrose',
+    eventLink: '',
+    organizerId: null,
+    ...overrides,
+});
+
+const createRepository = (options = {}) => createLocalEventRepository({
+    seedEvents: [
+        { id: 'approved-1', ...eventFields({ title: 'Drag Brunch' }), status: 'approved', submittedBy: 'user-a' },
+        { id: 'pending-1', ...eventFields({ title: 'Trivia Night' }), status: 'pending', submittedBy: 'user-b' },
+    ],
+    seedOrganizers: [
+        { id: 'trusted-org', name: 'Trusted Org', ownerId: 'user-a', trusted: true },
+        { id: 'new-org', name: 'New Org', ownerId: 'user-a', trusted: false },
+    ],
+    ...options,
+});
+
+test('subscribe filters by status and submitter', async () => {
+    const repository = createRepository();
+
+    const pending = await firstDelivery((onChange, onError) => repository.subscribe({ status: 'pending' }, onChange, onError));
+    assert.deepEqual(pending.map(event => event.id), ['pending-1']);
+
+    const either = await firstDelivery((onChange, onError) => repository.subscribe({ status: ['approved', 'pending'] }, onChange, onError));
+    assert.deepEqual(either.map(event => event.id).sort(), ['approved-1', 'pending-1']);
+
+    const mine = await firstDelivery((onChange, onError) => repository.subscribe({ submittedBy: 'user-a' }, onChange, onError));
+    assert.deepEqual(mine.map(event => event.id), ['approved-1']);
+});
+
+test('subscribers hear about later writes', async () => {
+    const repository = createRepository();
+    const deliveries = [];
+    const unsubscribe = repository.subscribe({ status: 'pending' }, (events) => deliveries.push(events.length));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    await repository.submit(eventFields(), { userId: 'user-c' });
+    unsubscribe();
+    await repository.submit(eventFields(), { userId: 'user-c' });
+
+    assert.deepEqual(deliveries, [1, 2]);
+});
+
+test('submit screens the fields like the submitEvent function', async () => {
+    const repository = createRepository();
+
+    const { id, status } = await repository.submit(eventFields(), { userId: 'user-c' });
+    assert.equal(status, 'pending');
+    const stored = await firstDelivery((onChange, onError) => repository.subscribeToEvent(id, onChange, onError));
+    assert.equal(stored.submittedBy, 'user-c');
+    assert.equal(stored.date, '2030-05-01T23:00:00.000Z');
+
+    const flagged = await repository.submit(eventFields({ title: 'Film Night', eventLink: 'http://192.168.0.1/event' }), { userId: 'user-c' });
+    assert.equal(flagged.status, 'flagged');
+
+    await assert.rejects(
+        repository.submit(eventFields({ eventLink: 'javascript:alert(1)' }), { userId: 'user-c' }),
+        { code: 'invalid-argument' }
+    );
+});
+
+test('submissions hosted by a trusted organizer skip review and are logged', async () => {
+    const repository = createRepository();
+
+    const trusted = await repository.submit(eventFields({ organizerId: 'trusted-org' }), { userId: 'user-a' });
+    assert.equal(trusted.status, 'approved');
+    const untrusted = await repository.submit(eventFields({ title: 'Film Night', organizerId: 'new-org' }), { userId: 'user-a' });
+    assert.equal(untrusted.status, 'pending');
+    await assert.rejects(
+        repository.submit(eventFields({ organizerId: 'trusted-org' }), { userId: 'user-b' }),
+        { code: 'invalid-argument' }
+    );
+
+    const { entries: log } = await repository.fetchModerationLog({ pageSize: 10 });
+    assert.equal(log.length, 1);
+    assert.equal(log[0].action, 'autoApprove');
+    assert.equal(log[0].eventId, trusted.id);
+    assert.equal(log[0].moderatorId, 'system');
+});
+
+test('likely duplicates of live and pending events wait for the submitter to confirm them', async () => {
+    const repository = createRepository();
+
+    const live = await repository.submit(eventFields({ title: 'Drag Brunch Party' }), { userId: 'user-c' });
+    assert.equal(live.id, null);
+    assert.deepEqual(live.duplicates.map(({ event }) => event.id), ['approved-1']);
+    assert.deepEqual(live.duplicates[0].reasons, ['same day', 'similar title', 'same place']);
+    assert.equal(live.awaitingReview, false);
+
+    // Someone else's pending submission is only hinted at
+    const warned = await repository.submit(eventFields({ title: 'Trivia Nights at the Pub', location: 'Montrose, Houston' }), { userId: 'user-c' });
+    assert.equal(warned.id, null);
+    assert.deepEqual(warned.duplicates, []);
+    assert.equal(warned.awaitingReview, true);
+    const pending = await firstDelivery((onChange, onError) => repository.subscribe({ status: 'pending' }, onChange, onError));
+    assert.equal(pending.length, 1);
+
+    const confirmed = await repository.submit(eventFields({ title: 'Trivia Nights at the Pub' }), { userId: 'user-c', allowDuplicates: true });
+    assert.equal(confirmed.status, 'pending');
+    const otherDay = await repository.submit(eventFields({ title: 'Trivia Night', date: new Date('2030-05-08T23:00:00Z'), endDate: null }), { userId: 'user-c' });
+    assert.equal(otherDay.status, 'pending');
+
+    const rejectedOnly = createRepository({
+        seedEvents: [{ id: 'rejected-1', ...eventFields({ title: 'Trivia Night' }), status: 'rejected', submittedBy: 'user-b' }],
+    });
+    const afterRejection = await rejectedOnly.submit(eventFields({ title: 'Trivia Night' }), { userId: 'user-c' });
+    assert.equal(afterRejection.status, 'pending');
+});
+
+test('trusting an organizer is logged under its id', async () => {
+    const repository = createRepository();
+    const organizer = await firstDelivery((onChange, onError) => repository.subscribeToOrganizer('new-org', onChange, onError));
+
+    await repository.setOrganizerTrusted(organizer, true, { moderator });
+    await repository.setOrganizerTrusted(organizer, false, { moderator });
+
+    const { entries } = await repository.fetchModerationLog({ pageSize: 10 });
+    assert.deepEqual(entries.map(entry => [entry.action, entry.previousStatus, entry.newStatus]), [
+        ['untrust', 'trusted', 'untrusted'],
+        ['trust', 'untrusted', 'trusted'],
+    ]);
+    assert.equal(entries[0].organizerId, 'new-org');
+    assert.equal(entries[0].eventId, null);
+    assert.equal(entries[0].eventTitle, 'New Org');
+    assert.equal(entries[0].moderatorId, moderator.uid);
+});
+
+test('moderating changes the status and logs the action', async () => {
+    const repository = createRepository();
+    const [pending] = await firstDelivery((onChange, onError) => repository.subscribe({ status: 'pending' }, onChange, onError));
+
+    await repository.approve(pending, { moderator });
+    const approved = await firstDelivery((onChange, onError) => repository.subscribeToEvent('pending-1', onChange, onError));
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.moderatedBy, moderator.uid);
+
+    await repository.moderate(approved, { action: 'unpublish', newStatus: 'unpublished', reason: 'Cancelled', moderator });
+    await repository.moderate({ id: 'approved-1', title: 'Drag Brunch', status: 'approved' }, { action: 'purge', moderator });
+    assert.equal(await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError)), null);
+
+    const { entries: log } = await repository.fetchModerationLog({ pageSize: 10 });
+    assert.deepEqual(log.map(entry => entry.action), ['purge', 'unpublish', 'approve']);
+    assert.deepEqual(
+        { previousStatus: log[1].previousStatus, newStatus: log[1].newStatus, reason: log[1].reason },
+        { previousStatus: 'approved', newStatus: 'unpublished', reason: 'Cancelled' }
+    );
+});
+
+test('the moderation log pages back from the newest entry, filtered by action, moderator and event', async () => {
+    const repository = createRepository();
+    const otherModerator = { uid: 'moderator-2', email: 'other@example.org' };
+    const [pending] = await firstDelivery((onChange, onError) => repository.subscribe({ status: 'pending' }, onChange, onError));
+    const approved = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    await repository.approve(pending, { moderator });
+    await repository.edit(approved, { description: 'Now with mimosas.' }, { reason: 'Changed: Description', moderator });
+    await repository.moderate(approved, { action: 'unpublish', newStatus: 'unpublished', reason: 'Cancelled', moderator: otherModerator });
+
+    const first = await repository.fetchModerationLog({ pageSize: 2 });
+    assert.deepEqual(first.entries.map(entry => entry.action), ['unpublish', 'edit']);
+    assert.equal(first.hasMore, true);
+    const second = await repository.fetchModerationLog({ cursor: first.cursor, pageSize: 2 });
+    assert.deepEqual(second.entries.map(entry => entry.action), ['approve']);
+    assert.equal(second.hasMore, false);
+
+    const byModerator = await repository.fetchModerationLog({ moderatorId: moderator.uid, pageSize: 10 });
+    assert.deepEqual(byModerator.entries.map(entry => entry.action), ['edit', 'approve']);
+    const byEvent = await repository.fetchModerationLog({ eventId: 'approved-1', pageSize: 10 });
+    assert.deepEqual(byEvent.entries.map(entry => entry.action), ['unpublish', 'edit']);
+    const combined = await repository.fetchModerationLog({ action: 'edit', moderatorId: otherModerator.uid, pageSize: 10 });
+    assert.deepEqual(combined.entries, []);
+});
+
+test('merge fills in the kept event and rejects the duplicate', async () => {
+    const repository = createRepository();
+    const events = await firstDelivery((onChange, onError) => repository.subscribe({}, onChange, onError));
+    const keeper = events.find(event => event.id === 'approved-1');
+    const removed = events.find(event => event.id === 'pending-1');
+
+    await repository.merge(keeper, removed, {
+        keeperChanges: { eventLink: 'https://example.org/brunch' },
+        reason: 'Duplicate of "Drag Brunch"',
+        moderator,
+    });
+
+    const [kept, rejected] = await Promise.all(['approved-1', 'pending-1'].map(id => (
+        firstDelivery((onChange, onError) => repository.subscribeToEvent(id, onChange, onError))
+    )));
+    assert.equal(kept.eventLink, 'https://example.org/brunch');
+    assert.equal(kept.status, 'approved');
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.statusReason, 'Duplicate of "Drag Brunch"');
+
+    const { entries: [entry] } = await repository.fetchModerationLog({ pageSize: 1 });
+    assert.equal(entry.action, 'merge');
+    assert.equal(entry.eventId, 'pending-1');
+});
+
+test('revisions to live events wait for a moderator', async () => {
+    const repository = createRepository();
+    const event = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+
+    await repository.submitRevision(event, {
+        changes: { ...eventFields(), title: 'Drag Brunch (new venue)' },
+        changedFields: ['Title'],
+        previousValues: { title: 'Drag Brunch' },
+    }, { userId: 'user-a' });
+
+    const unchanged = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    assert.equal(unchanged.title, 'Drag Brunch');
+    const [revision] = await firstDelivery((onChange, onError) => repository.subscribeToRevisions({ status: ['pending', 'flagged'] }, onChange, onError));
+    assert.equal(revision.id, 'approved-1');
+    assert.equal(revision.status, 'pending');
+
+    await repository.moderateRevision(revision, { action: 'approveRevision', moderator });
+    const updated = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    assert.equal(updated.title, 'Drag Brunch (new venue)');
+    assert.deepEqual(await firstDelivery((onChange, onError) => repository.subscribeToRevisions({}, onChange, onError)), []);
+});
+
+test("a revision's private address is only saved once a moderator approves it", async () => {
+    const repository = createRepository();
+    const event = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    const privateLocation = { address: '123 Westheimer Rd', coordinates: { lat: 29.74, lng: -95.39 } };
+
+    await repository.submitRevision(event, {
+        changes: { ...eventFields({ title: 'Drag Brunch' }), location: 'Montrose', locationPrivacy: 'on-request' },
+        changedFields: ['Location'],
+        previousValues: { location: 'Montrose', locationPrivacy: null },
+        privateLocation,
+    }, { userId: 'user-a' });
+    assert.equal(await repository.fetchPrivateLocation('approved-1'), null);
+
+    const [revision] = await firstDelivery((onChange, onError) => repository.subscribeToRevisions({}, onChange, onError));
+    await repository.moderateRevision(revision, { action: 'approveRevision', moderator });
+    const saved = await repository.fetchPrivateLocation('approved-1');
+    assert.equal(saved.address, '123 Westheimer Rd');
+    assert.deepEqual(saved.coordinates, { lat: 29.74, lng: -95.39 });
+
+    const onRequest = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    await repository.submitRevision(onRequest, {
+        changes: { ...eventFields({ title: 'Drag Brunch' }), locationPrivacy: null },
+        changedFields: ['Location'],
+        previousValues: { locationPrivacy: 'on-request' },
+    }, { userId: 'user-a' });
+    const [madePublic] = await firstDelivery((onChange, onError) => repository.subscribeToRevisions({}, onChange, onError));
+    await repository.moderateRevision(madePublic, { action: 'approveRevision', moderator });
+    assert.equal(await repository.fetchPrivateLocation('approved-1'), null);
+});
+
+test('enough reports hide an event until a moderator dismisses them', async () => {
+    const repository = createRepository();
+    for (const userId of ['user-1', 'user-2', 'user-3']) {
+        await repository.report('approved-1', { reason: 'spam', details: '' }, { userId });
+    }
+    const { alreadyReported } = await repository.report('approved-1', { reason: 'spam', details: 'Still spam' }, { userId: 'user-3' });
+    assert.equal(alreadyReported, true);
+
+    const hidden = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    assert.equal(hidden.status, 'reported');
+    assert.equal(hidden.openReportCount, 3);
+
+    const reports = await firstDelivery((onChange, onError) => repository.subscribeToReports('approved-1', onChange, onError));
+    await repository.resolveReports(hidden, reports, { action: 'dismissReports', moderator });
+    const listed = await firstDelivery((onChange, onError) => repository.subscribeToEvent('approved-1', onChange, onError));
+    assert.equal(listed.status, 'approved');
+    assert.equal(listed.openReportCount, 0);
+    assert.deepEqual(await firstDelivery((onChange, onError) => repository.subscribeToReportedEvents(onChange, onError)), []);
+});
+
+test('everything survives a reload from the same storage', async () => {
+    const storage = createMemoryStorage();
+    const repository = createRepository({ storage });
+    const { id } = await repository.submit(eventFields({ coordinates: { latitude: 29.74, longitude: -95.39 } }), { userId: 'user-c' });
+    await repository.savePrivateLocation(id, { address: '123 Main St', coordinates: { lat: 29.74, lng: -95.39 } });
+    await repository.setInterested('approved-1', true, { userId: 'user-c' });
+    await repository.saveTaxonomy({ communityFocus: [{ label: 'Trans' }] }, { moderator });
+    const pending = await firstDelivery((onChange, onError) => repository.subscribeToEvent(id, onChange, onError));
+    await repository.approve(pending, { moderator });
+
+    // Seeds only fill an empty store, so none of these come back
+    const reloaded = createLocalEventRepository({ storage, seedEvents: [], seedOrganizers: [] });
+    const event = await firstDelivery((onChange, onError) => reloaded.subscribeToEvent(id, onChange, onError));
+    assert.equal(event.status, 'approved');
+    assert.deepEqual(event.coordinates, { lat: 29.74, lng: -95.39 });
+    assert.equal((await reloaded.fetchPrivateLocation(id)).address, '123 Main St');
+    const saved = await firstDelivery((onChange, onError) => reloaded.subscribeToSavedEvents('user-c', onChange, onError));
+    assert.deepEqual(saved.map(({ eventId }) => eventId), ['approved-1']);
+    const taxonomy = await firstDelivery((onChange, onError) => reloaded.subscribeToTaxonomy(onChange, onError));
+    assert.deepEqual(taxonomy.groups, { communityFocus: [{ label: 'Trans' }] });
+    const organizers = await firstDelivery((onChange, onError) => reloaded.subscribeToOrganizers({}, onChange, onError));
+    assert.equal(organizers.length, 2);
+    const { entries: log } = await reloaded.fetchModerationLog({ pageSize: 10 });
+    assert.deepEqual(log.map(entry => entry.action), ['approve']);
+});
+
+test('unreadable storage falls back to the seeds', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('houston-community-hub:events', '{not json');
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        const repository = createRepository({ storage });
+        const events = await firstDelivery((onChange, onError) => repository.subscribe({}, onChange, onError));
+        assert.equal(events.length, 2);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
+
+test('the submission queue keeps entries across reloads and sends them in order', async () => {
+    const storage = createMemoryStorage();
+    const queue = createSubmissionQueue({ storage });
+    queue.add(eventFields({ title: 'First' }), { userId: 'user-c' }, { privateLocation: null });
+    queue.add(eventFields({ title: 'Second' }), { userId: 'user-c' });
+
+    const reloaded = createSubmissionQueue({ storage });
+    assert.deepEqual(reloaded.list().map(entry => entry.eventFields.title), ['First', 'Second']);
+    assert.equal(reloaded.list()[0].eventFields.date, '2030-05-01T23:00:00.000Z');
+
+    const repository = createRepository();
+    const sent = [];
+    const remaining = await reloaded.flush(repository, { onSent: (entry, result) => sent.push([entry.eventFields.title, result.status]) });
+    assert.deepEqual(sent, [['First', 'pending'], ['Second', 'pending']]);
+    assert.deepEqual(remaining, []);
+    assert.equal(storage.getItem('houston-community-hub:submissionQueue'), null);
+
+    const pending = await firstDelivery((onChange, onError) => repository.subscribe({ status: 'pending', submittedBy: 'user-c' }, onChange, onError));
+    assert.deepEqual(pending.map(event => event.title).sort(), ['First', 'Second']);
+});
+
+test('the submission queue drops rejected entries and keeps the rest while offline', async () => {
+    const storage = createMemoryStorage();
+    const queue = createSubmissionQueue({ storage });
+    queue.add(eventFields({ title: 'Bad link', eventLink: 'ftp://example.org' }), { userId: 'user-c' });
+    queue.add(eventFields({ title: 'Good' }), { userId: 'user-c' });
+
+    const offline = { submit: async () => { throw Object.assign(new Error('Failed to fetch'), { code: 'functions/unavailable' }); } };
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal((await queue.flush(offline)).length, 2);
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    const rejected = [];
+    const remaining = await queue.flush(createRepository(), { onRejected: (entry, error) => rejected.push([entry.eventFields.title, error.code]) });
+    assert.deepEqual(rejected, [['Bad link', 'invalid-argument']]);
+    assert.deepEqual(remaining, []);
+});
+
+test('sample repeating events keep their Houston weekday in other time zones', () => {
+    // The device's time zone is fixed when Node starts, so the samples are built in a child process.
+    // Evening starts in Houston are already the next day in Berlin.
+    const script = `
+        import { buildSampleEvents } from ${JSON.stringify(new URL('../eventRepository.js', import.meta.url).href)};
+        const events = buildSampleEvents(new Date('2030-05-01T12:00:00Z')).filter(event => event.recurrence);
+        console.log(JSON.stringify(events.map(event => ({ date: event.date, weekday: event.recurrence.weekday }))));
+    `;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env: { ...process.env, TZ: 'Europe/Berlin' } });
+    const series = JSON.parse(output);
+    const houstonWeekday = new Intl.DateTimeFormat('en-US', { timeZone: 'America/Chicago', weekday: 'short' });
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    assert.ok(series.length > 0);
+    series.forEach(({ date, weekday }) => assert.equal(weekdays[weekday], houstonWeekday.format(new Date(date))));
+});
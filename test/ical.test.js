@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVEvent } from '../functions/ical.js';
+
+const event = (overrides = {}) => ({
+    id: 'event-1',
+    title: 'Queer Book Club',
+    description: 'Monthly book club at the library.',
+    date: new Date('2030-05-01T23:00:00Z'),
+    endDate: new Date('2030-05-02T01:00:00Z'),
+    location: 'Montrose',
+    ...overrides,
+});
+
+// The VEVENT's content lines as one string
+const buildLines = (fields) => buildVEvent(event(fields), { now: new Date('2030-01-01T00:00:00Z') }).join('\n');
+
+test('events carry their map location in either coordinate shape', () => {
+    // { lat, lng } as the local repository and queued submissions store them
+    assert.match(buildLines({ coordinates: { lat: 29.7449, lng: -95.3905 } }), /GEO:29\.744900;-95\.390500/);
+    // A Firestore GeoPoint
+    assert.match(buildLines({ coordinates: { latitude: 29.7449, longitude: -95.3905 } }), /GEO:29\.744900;-95\.390500/);
+    assert.doesNotMatch(buildLines({ coordinates: null }), /GEO:/);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidRecurrence } from '../functions/listing.js';
+
+const rule = (overrides = {}) => ({ frequency: 'weekly', interval: 1, weekday: 3, weekdayPosition: null, until: null, exceptions: [], ...overrides });
+
+test('monthly repeats need the weekday position and weekly ones leave it out', () => {
+    assert.equal(isValidRecurrence(rule()), true);
+    assert.equal(isValidRecurrence(rule({ weekdayPosition: undefined })), true);
+    assert.equal(isValidRecurrence(rule({ frequency: 'monthly', weekdayPosition: 2 })), true);
+    assert.equal(isValidRecurrence(rule({ frequency: 'monthly', weekdayPosition: -1 })), true);
+
+    assert.equal(isValidRecurrence(rule({ frequency: 'monthly' })), false);
+    assert.equal(isValidRecurrence(rule({ frequency: 'monthly', weekdayPosition: 5 })), false);
+    assert.equal(isValidRecurrence(rule({ weekdayPosition: 2 })), false);
+    assert.equal(isValidRecurrence(rule({ exceptions: ['next week'] })), false);
+});
@@ -0,0 +1,183 @@
+// Security rules tests. They need the Firestore emulator, so run them with `npm run test:rules`
+// (firebase emulators:exec sets FIRESTORE_EMULATOR_HOST for them).
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, setDoc, Timestamp, updateDoc, serverTimestamp } from 'firebase/firestore';
+
+const appId = 'test-app';
+const dataPath = `artifacts/${appId}/public/data`;
+
+// Token claims for each kind of sign-in; moderators also need a role document
+const PASSWORD_SIGN_IN = { firebase: { sign_in_provider: 'password' } };
+const ANONYMOUS_SIGN_IN = { firebase: { sign_in_provider: 'anonymous' } };
+
+let testEnv;
+
+const event = (overrides = {}) => ({
+    title: 'Queer Book Club',
+    description: 'Monthly book club at the library.',
+    date: Timestamp.fromDate(new Date('2030-05-01T23:00:00Z')),
+    type: 'In-Person',
+    location: 'Montrose',
+    status: 'pending',
+    statusReason: '',
+    submittedBy: 'submitter',
+    ...overrides,
+});
+
+const logEntry = (overrides = {}) => ({
+    eventId: 'approved-event',
+    eventTitle: 'Drag Brunch',
+    action: 'approve',
+    reason: '',
+    previousStatus: 'pending',
+    previousReason: '',
+    newStatus: 'approved',
+    moderatorId: 'moderator',
+    moderatorEmail: 'mod@example.org',
+    at: serverTimestamp(),
+    ...overrides,
+});
+
+const as = (uid, claims = PASSWORD_SIGN_IN) => testEnv.authenticatedContext(uid, claims).firestore();
+const eventDoc = (db, eventId) => doc(db, `${dataPath}/events`, eventId);
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'houston-lgbtq-events-rules',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, `${dataPath}/moderators`, 'moderator'), { role: 'moderator' });
+        // Has a role document but signs in anonymously in the tests below
+        await setDoc(doc(db, `${dataPath}/moderators`, 'anonymous-moderator'), { role: 'admin' });
+        await setDoc(eventDoc(db, 'pending-event'), event());
+        await setDoc(eventDoc(db, 'approved-event'), event({ title: 'Drag Brunch', status: 'approved' }));
+        await setDoc(eventDoc(db, 'rejected-event'), event({ status: 'rejected', statusReason: 'Missing details' }));
+    });
+});
+
+describe('event creation and moderation', () => {
+    test('only moderators create events, as themselves', async () => {
+        await assertSucceeds(setDoc(eventDoc(as('moderator'), 'imported'), event({ submittedBy: 'moderator', status: 'approved' })));
+        await assertFails(setDoc(eventDoc(as('moderator'), 'imported'), event({ submittedBy: 'someone-else' })));
+        await assertFails(setDoc(eventDoc(as('moderator'), 'imported'), event({ submittedBy: 'moderator', status: 'flagged' })));
+        await assertFails(setDoc(eventDoc(as('submitter'), 'direct'), event()));
+        await assertFails(setDoc(eventDoc(testEnv.unauthenticatedContext().firestore(), 'direct'), event({ submittedBy: null })));
+    });
+
+    test('only moderators approve, and rejecting needs a reason', async () => {
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'pending-event'), { status: 'approved' }));
+        await assertFails(updateDoc(eventDoc(as('moderator'), 'pending-event'), { status: 'rejected', statusReason: '' }));
+        await assertSucceeds(updateDoc(eventDoc(as('moderator'), 'pending-event'), { status: 'rejected', statusReason: 'Spam' }));
+        await assertSucceeds(updateDoc(eventDoc(as('moderator'), 'rejected-event'), { status: 'approved', statusReason: '' }));
+    });
+
+    test('anonymous users are never moderators, even with a role document', async () => {
+        const anonymous = as('anonymous-moderator', ANONYMOUS_SIGN_IN);
+        await assertFails(updateDoc(eventDoc(anonymous, 'pending-event'), { status: 'approved' }));
+        await assertFails(setDoc(eventDoc(anonymous, 'imported'), event({ submittedBy: 'anonymous-moderator' })));
+        await assertFails(setDoc(doc(anonymous, `${dataPath}/moderationLog`, 'entry'), logEntry({ moderatorId: 'anonymous-moderator' })));
+
+        await assertSucceeds(updateDoc(eventDoc(as('anonymous-moderator'), 'pending-event'), { status: 'approved' }));
+    });
+
+    test('only events out of circulation can be purged', async () => {
+        await assertFails(deleteDoc(eventDoc(as('moderator'), 'approved-event')));
+        await assertSucceeds(deleteDoc(eventDoc(as('moderator'), 'rejected-event')));
+        await assertFails(deleteDoc(eventDoc(as('submitter'), 'pending-event')));
+    });
+});
+
+describe('submitter edits and withdrawals', () => {
+    test('submitters fix and resubmit their own events that are not live', async () => {
+        await assertSucceeds(updateDoc(eventDoc(as('submitter'), 'rejected-event'), { title: 'Fixed title', status: 'pending' }));
+        await assertSucceeds(updateDoc(eventDoc(as('submitter', ANONYMOUS_SIGN_IN), 'pending-event'), { title: 'Fixed title', status: 'pending' }));
+    });
+
+    test('submitters cannot edit live events, approve their own, or touch other fields', async () => {
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'approved-event'), { title: 'Changed', status: 'pending' }));
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'rejected-event'), { title: 'Fixed title', status: 'approved' }));
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'rejected-event'), { status: 'pending', statusReason: '' }));
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'rejected-event'), { status: 'pending', submittedBy: 'someone-else' }));
+        await assertFails(updateDoc(eventDoc(as('someone-else'), 'rejected-event'), { title: 'Fixed title', status: 'pending' }));
+    });
+
+    test('submitters withdraw their own events at any time, and nothing else changes', async () => {
+        await assertSucceeds(updateDoc(eventDoc(as('submitter'), 'approved-event'), { status: 'withdrawn', withdrawnAt: serverTimestamp() }));
+        await assertFails(updateDoc(eventDoc(as('submitter'), 'pending-event'), { status: 'withdrawn', title: 'Changed' }));
+        await assertFails(updateDoc(eventDoc(as('someone-else'), 'pending-event'), { status: 'withdrawn' }));
+    });
+});
+
+describe('address requests', () => {
+    const requestDoc = (db, requesterId) => doc(db, `${dataPath}/events/on-request-event/accessRequests`, requesterId);
+    const accessRequest = (requesterId) => ({ requesterId, message: "I'm in the book club's group chat", status: 'pending', createdAt: serverTimestamp() });
+
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(eventDoc(context.firestore(), 'on-request-event'), event({ status: 'approved', locationPrivacy: 'on-request' }));
+        });
+    });
+
+    test('only visitors with an account ask for an address, as themselves', async () => {
+        await assertSucceeds(setDoc(requestDoc(as('visitor'), 'visitor'), accessRequest('visitor')));
+        await assertFails(setDoc(requestDoc(as('anonymous-visitor', ANONYMOUS_SIGN_IN), 'anonymous-visitor'), accessRequest('anonymous-visitor')));
+        await assertFails(setDoc(requestDoc(as('visitor'), 'someone-else'), accessRequest('someone-else')));
+    });
+});
+
+describe('organizers', () => {
+    const organizerDoc = (db, organizerId = 'organizer') => doc(db, `${dataPath}/organizers`, organizerId);
+    const organizer = (links) => ({
+        name: 'Montrose Book Club',
+        bio: '',
+        logoUrl: '',
+        links,
+        contactEmail: '',
+        ownerId: 'owner',
+        trusted: false,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+    });
+
+    test('profiles only link to web addresses', async () => {
+        await assertSucceeds(setDoc(organizerDoc(as('owner')), organizer(['https://example.org', 'http://example.org/club'])));
+        await assertFails(setDoc(organizerDoc(as('owner'), 'script'), organizer(['https://example.org', 'javascript:alert(1)'])));
+        await assertFails(setDoc(organizerDoc(as('owner'), 'data'), organizer(['data:text/html,<script>alert(1)</script>'])));
+        await assertFails(updateDoc(organizerDoc(as('owner')), { links: ['javascript:alert(1)'], updatedAt: serverTimestamp() }));
+    });
+});
+
+describe('moderation log', () => {
+    const entryDoc = (db, entryId = 'entry') => doc(db, `${dataPath}/moderationLog`, entryId);
+
+    test('moderators append entries as themselves', async () => {
+        await assertSucceeds(setDoc(entryDoc(as('moderator')), logEntry()));
+        await assertFails(setDoc(entryDoc(as('moderator')), logEntry({ moderatorId: 'someone-else' })));
+        await assertFails(setDoc(entryDoc(as('moderator')), logEntry({ action: 'rewriteHistory' })));
+        await assertSucceeds(setDoc(entryDoc(as('moderator'), 'trust'), logEntry({
+            eventId: null, eventTitle: 'Montrose Book Club', organizerId: 'organizer', action: 'trust', previousStatus: 'untrusted', newStatus: 'trusted',
+        })));
+        await assertFails(setDoc(entryDoc(as('moderator')), logEntry({ at: Timestamp.fromDate(new Date('2020-01-01T00:00:00Z')) })));
+        await assertFails(setDoc(entryDoc(as('submitter')), logEntry({ moderatorId: 'submitter' })));
+    });
+
+    test('entries can never be changed or deleted', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(entryDoc(context.firestore(), 'existing'), logEntry({ at: Timestamp.now() }));
+        });
+        await assertFails(updateDoc(entryDoc(as('moderator'), 'existing'), { reason: 'Rewritten' }));
+        await assertFails(deleteDoc(entryDoc(as('moderator'), 'existing')));
+    });
+});